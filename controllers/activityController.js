@@ -1,7 +1,9 @@
 import { validationResult } from 'express-validator';
 import Activity from '../models/Activity.js';
 import Relationship from '../models/Relationship.js';
-import Notification from '../models/Notification.js';
+import { notifyMembers } from '../services/relationshipMembers.js';
+import { permissionDenied } from '../services/relationshipPermissions.js';
+import { refreshRelationshipHealth } from '../services/relationshipHealth.js';
 
 export const createActivity = async (req, res) => {
   try {
@@ -25,6 +27,10 @@ export const createActivity = async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    if (!relationship.can(req.user.id, 'createActivities')) {
+      return res.status(403).json(permissionDenied('createActivities'));
+    }
+
     if (relationship.status !== 'active') {
       return res.status(400).json({ message: 'Can only create activities for active relationships' });
     }
@@ -57,23 +63,11 @@ export const createActivity = async (req, res) => {
       $set: { 'stats.lastInteraction': new Date() }
     });
 
-    // Apply trust/relationship impact if specified
-    if (impact && (impact.trustChange || impact.relationshipStrength)) {
-      const trustUpdate = {};
-      if (impact.trustChange) {
-        trustUpdate['stats.trustLevel'] = Math.max(0, Math.min(100, relationship.stats.trustLevel + impact.trustChange));
-      }
-      
-      if (Object.keys(trustUpdate).length > 0) {
-        await Relationship.findByIdAndUpdate(relationshipId, trustUpdate);
-      }
-    }
+    // Reported trust changes count towards the score along with everything else
+    await refreshRelationshipHealth(relationshipId);
 
-    // Notify the other person in the relationship
-    const partnerId = relationship.getPartner(req.user.id);
-    await Notification.create({
-      recipient: partnerId,
-      sender: req.user.id,
+    // Notify the other members of the relationship
+    await notifyMembers(relationship, req.user.id, {
       type: 'activity_added',
       title: 'New Activity Added',
       message: `${req.user.firstName} ${req.user.lastName} added a new activity: "${title}"`,
@@ -164,10 +158,7 @@ console.log(userId);
     // Find all accepted relationships where user is userA or userB
     const relationships = await Relationship.find({
       status: 'active',
-      $or: [
-        { initiator: userId },
-        { partner: userId }
-      ]
+      ...Relationship.memberFilter(userId)
     }).select('_id');
     console.log("Found Relationships:", relationships);
 
@@ -210,7 +201,7 @@ export const getActivity = async (req, res) => {
     }
 
     const activity = await Activity.findById(req.params.id)
-      .populate('relationship', 'title type initiator partner')
+      .populate('relationship', 'title type kind initiator partner members')
       .populate('createdBy', 'username firstName lastName avatar')
       .populate('participants.user', 'username firstName lastName avatar')
       .populate('reactions.user', 'username firstName lastName avatar')
@@ -222,7 +213,7 @@ export const getActivity = async (req, res) => {
     }
 
     // Check if user is part of the relationship
-    if (!activity.relationship.initiator.equals(req.user.id) && !activity.relationship.partner.equals(req.user.id)) {
+    if (!activity.relationship.includesUser(req.user.id)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -273,6 +264,8 @@ export const updateActivity = async (req, res) => {
       { path: 'participants.user', select: 'username firstName lastName avatar' }
     ]);
 
+    await refreshRelationshipHealth(activity.relationship._id);
+
     res.json({
       message: 'Activity updated successfully',
       activity: updatedActivity
@@ -302,7 +295,7 @@ export const addReaction = async (req, res) => {
     }
 
     // Check if user is part of the relationship
-    if (!activity.relationship.initiator.equals(req.user.id) && !activity.relationship.partner.equals(req.user.id)) {
+    if (!activity.relationship.includesUser(req.user.id)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -344,7 +337,7 @@ export const addComment = async (req, res) => {
     }
 
     // Check if user is part of the relationship
-    if (!activity.relationship.initiator.equals(req.user.id) && !activity.relationship.partner.equals(req.user.id)) {
+    if (!activity.relationship.includesUser(req.user.id)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -391,6 +384,8 @@ export const deleteActivity = async (req, res) => {
       $inc: { 'stats.totalActivities': -1 }
     });
 
+    await refreshRelationshipHealth(activity.relationship);
+
     res.json({
       message: 'Activity deleted successfully'
     });
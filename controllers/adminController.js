@@ -0,0 +1,364 @@
+import { validationResult } from 'express-validator';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Relationship from '../models/Relationship.js';
+import Activity from '../models/Activity.js';
+import Term from '../models/Term.js';
+import Milestone from '../models/Milestone.js';
+import Certificate from '../models/Certificate.js';
+import AuditLog from '../models/AuditLog.js';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const serializeUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  fullName: user.fullName,
+  registrationId: user.registrationId,
+  roles: user.roles,
+  isActive: user.isActive,
+  deactivatedAt: user.deactivatedAt,
+  deletionScheduledFor: user.deletion?.scheduledFor,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt
+});
+
+export const listUsers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { q, role, isActive, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [
+        { username: pattern },
+        { email: pattern },
+        { firstName: pattern },
+        { lastName: pattern },
+        { registrationId: q }
+      ];
+    }
+    if (role) filter.roles = role;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const skip = (page - 1) * limit;
+
+    const users = await User.find(filter)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(filter);
+
+    await AuditLog.record(req, 'user.search', { type: 'user' }, { q, role, isActive, page: parseInt(page) });
+
+    res.json({
+      users: users.map(serializeUser),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({ message: 'Server error fetching users' });
+  }
+};
+
+export const getUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const [relationships, activeSessions] = await Promise.all([
+      Relationship.countDocuments(Relationship.memberFilter(user._id)),
+      Session.countDocuments({ user: user._id, revokedAt: { $exists: false }, expiresAt: { $gt: new Date() } })
+    ]);
+
+    await AuditLog.record(req, 'user.view', { type: 'user', id: user._id });
+
+    res.json({
+      user: serializeUser(user),
+      stats: { relationships, activeSessions }
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({ message: 'Server error fetching user' });
+  }
+};
+
+export const deactivateUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot deactivate your own account' });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({ message: 'User is already deactivated' });
+    }
+
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'admin');
+
+    await AuditLog.record(req, 'user.deactivate', { type: 'user', id: user._id }, { reason: req.body.reason });
+
+    res.json({
+      message: 'User deactivated successfully',
+      user: serializeUser(user)
+    });
+  } catch (error) {
+    console.error('Admin deactivate user error:', error);
+    res.status(500).json({ message: 'Server error deactivating user' });
+  }
+};
+
+export const reactivateUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.deletedAt) {
+      return res.status(400).json({ message: 'Deleted accounts cannot be reactivated' });
+    }
+
+    if (user.isActive) {
+      return res.status(400).json({ message: 'User is already active' });
+    }
+
+    user.isActive = true;
+    user.deactivatedAt = undefined;
+    await user.save();
+
+    await AuditLog.record(req, 'user.reactivate', { type: 'user', id: user._id }, { reason: req.body.reason });
+
+    res.json({
+      message: 'User reactivated successfully',
+      user: serializeUser(user)
+    });
+  } catch (error) {
+    console.error('Admin reactivate user error:', error);
+    res.status(500).json({ message: 'Server error reactivating user' });
+  }
+};
+
+export const updateUserRoles = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { roles } = req.body;
+
+    // Admins can't lock themselves out of the admin API
+    if (req.params.id === req.user.id && !roles.includes('admin')) {
+      return res.status(400).json({ message: 'You cannot remove your own admin role' });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const previousRoles = [...user.roles];
+    user.roles = [...new Set(['user', ...roles])];
+    await user.save();
+
+    await AuditLog.record(req, 'user.update_roles', { type: 'user', id: user._id }, {
+      from: previousRoles,
+      to: user.roles
+    });
+
+    res.json({
+      message: 'User roles updated successfully',
+      user: serializeUser(user)
+    });
+  } catch (error) {
+    console.error('Admin update roles error:', error);
+    res.status(500).json({ message: 'Server error updating user roles' });
+  }
+};
+
+export const revokeCertificate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reason } = req.body;
+
+    const certificate = await Certificate.findById(req.params.id);
+
+    if (!certificate) {
+      return res.status(404).json({ message: 'Certificate not found' });
+    }
+
+    if (certificate.metadata.isRevoked) {
+      return res.status(400).json({ message: 'Certificate is already revoked' });
+    }
+
+    certificate.revoke(reason);
+    await certificate.save();
+
+    await AuditLog.record(req, 'certificate.revoke', { type: 'certificate', id: certificate._id }, { reason });
+
+    res.json({
+      message: 'Certificate revoked successfully',
+      certificate
+    });
+  } catch (error) {
+    console.error('Admin revoke certificate error:', error);
+    res.status(500).json({ message: 'Server error revoking certificate' });
+  }
+};
+
+export const getPlatformStats = async (req, res) => {
+  try {
+    const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
+    const [
+      totalUsers,
+      activeUsers,
+      newUsers,
+      relationshipsByStatus,
+      activities,
+      terms,
+      milestones,
+      certificates,
+      revokedCertificates
+    ] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments({ isActive: true }),
+      User.countDocuments({ createdAt: { $gte: since } }),
+      Relationship.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      Activity.countDocuments(),
+      Term.countDocuments(),
+      Milestone.countDocuments(),
+      Certificate.countDocuments(),
+      Certificate.countDocuments({ 'metadata.isRevoked': true })
+    ]);
+
+    await AuditLog.record(req, 'platform.view_stats', { type: 'platform' });
+
+    res.json({
+      stats: {
+        users: { total: totalUsers, active: activeUsers, newLast30Days: newUsers },
+        relationships: relationshipsByStatus.reduce((acc, { _id, count }) => {
+          acc[_id] = count;
+          acc.total = (acc.total || 0) + count;
+          return acc;
+        }, {}),
+        activities,
+        terms,
+        milestones,
+        certificates: { total: certificates, revoked: revokedCertificates }
+      }
+    });
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({ message: 'Server error fetching platform stats' });
+  }
+};
+
+export const getAuditLogs = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { actor, action, targetType, targetId, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (action) filter.action = action;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+
+    const skip = (page - 1) * limit;
+
+    const logs = await AuditLog.find(filter)
+      .populate('actor', 'username firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.json({
+      logs,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Admin audit logs error:', error);
+    res.status(500).json({ message: 'Server error fetching audit logs' });
+  }
+};
@@ -0,0 +1,93 @@
+import { validationResult } from 'express-validator';
+import ApiToken, { API_TOKEN_PREFIX } from '../models/ApiToken.js';
+import { generateRandomToken, hashToken } from '../utils/tokens.js';
+
+const MAX_ACTIVE_TOKENS = 20;
+
+const formatApiToken = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  displayPrefix: apiToken.displayPrefix,
+  scopes: apiToken.scopes,
+  lastUsedAt: apiToken.lastUsedAt,
+  expiresAt: apiToken.expiresAt,
+  expired: Boolean(apiToken.expiresAt && apiToken.expiresAt < new Date()),
+  createdAt: apiToken.createdAt
+});
+
+export const createApiToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+
+    const activeCount = await ApiToken.countDocuments({ user: req.user.id, revokedAt: null });
+    if (activeCount >= MAX_ACTIVE_TOKENS) {
+      return res.status(400).json({ message: `You can have at most ${MAX_ACTIVE_TOKENS} API tokens. Revoke one first.` });
+    }
+
+    const token = `${API_TOKEN_PREFIX}${generateRandomToken(24)}`;
+    const apiToken = await ApiToken.create({
+      user: req.user.id,
+      name,
+      tokenHash: hashToken(token),
+      displayPrefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+    });
+
+    // The plain token is only ever returned here
+    res.status(201).json({
+      message: 'API token created. Copy it now, it will not be shown again.',
+      token,
+      apiToken: formatApiToken(apiToken)
+    });
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.status(500).json({ message: 'Server error creating API token' });
+  }
+};
+
+export const getApiTokens = async (req, res) => {
+  try {
+    const apiTokens = await ApiToken.find({ user: req.user.id, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.json({ apiTokens: apiTokens.map(formatApiToken) });
+  } catch (error) {
+    console.error('Get API tokens error:', error);
+    res.status(500).json({ message: 'Server error fetching API tokens' });
+  }
+};
+
+export const revokeApiToken = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const apiToken = await ApiToken.findOne({ _id: req.params.id, user: req.user.id, revokedAt: null });
+
+    if (!apiToken) {
+      return res.status(404).json({ message: 'API token not found' });
+    }
+
+    apiToken.revokedAt = new Date();
+    await apiToken.save();
+
+    res.json({ message: 'API token revoked' });
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({ message: 'Server error revoking API token' });
+  }
+};
@@ -1,19 +1,46 @@
-import jwt from 'jsonwebtoken';
 import { validationResult } from 'express-validator';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import { nanoid } from 'nanoid'; // Import nanoid
+import { createSession, rotateRefreshToken, signPurposeToken, verifyPurposeToken } from '../services/authTokens.js';
+import {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendMagicLinkEmail,
+  sendPasswordChangedEmail,
+  sendAccountDeletionScheduledEmail
+} from '../services/emails.js';
+import { scheduleAccountDeletion } from '../services/accountDeletion.js';
+import { convertPendingInvitations } from '../services/relationshipInvites.js';
+import { removeAvatarFiles, getAvatarUrls } from '../services/avatars.js';
+import { TWO_FACTOR_FIELDS, registerFailedLogin, sendLockedResponse, confirmIdentity, createTwoFactorChallenge } from '../services/loginSecurity.js';
+import { recordHistoryAccessEvent } from '../services/historyAccess.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import ApiToken from '../models/ApiToken.js';
+import Block from '../models/Block.js';
+import { generateRandomToken, hashToken } from '../utils/tokens.js';
+import { maskEmail } from '../utils/mask.js';
+import { HttpError } from '../utils/httpError.js';
 
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET || 'fallback_secret',
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES || '30', 10);
+const MAGIC_LINK_TTL_MINUTES = parseInt(process.env.MAGIC_LINK_EXPIRES_MINUTES || '10', 10);
+
+const issueVerificationEmail = async (user) => {
+  const token = signPurposeToken(
+    { userId: user._id, email: user.email },
+    'email_verification',
+    process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h'
   );
+
+  await sendVerificationEmail(user, token);
+
+  user.emailVerificationSentAt = new Date();
+  await user.save();
 };
 
 export const signup = async (req, res) => {
   try {
-    console.log("=======1");
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({
@@ -21,14 +48,14 @@ export const signup = async (req, res) => {
         errors: errors.array()
       });
     }
-    console.log("=======2");
+
     const { username, email, password, firstName, lastName } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({
       $or: [{ email }, { username }]
     });
-    console.log("=======3");
+
     if (existingUser) {
       return res.status(400).json({
         message: existingUser.email === email 
@@ -36,8 +63,7 @@ export const signup = async (req, res) => {
           : 'Username already taken'
       });
     }
-    console.log('🟢 Received signup request');
-    console.log('🟢 Data:', req.body);
+
     // Create new user
     const user = new User({
       username,
@@ -47,23 +73,27 @@ export const signup = async (req, res) => {
       lastName
     });
 
-    console.log('🟡 Before saving user');
-
     await user.save();
-    
-    console.log('🟢 After saving user');
-    
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send the verification email; a mail failure shouldn't fail the signup
+    try {
+      await issueVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Start a session and issue tokens
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       message: 'User created successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
         firstName: user.firstName,
         lastName: user.lastName,
         fullName: user.fullName,
@@ -77,6 +107,72 @@ export const signup = async (req, res) => {
   }
 };
 
+// Anyone who invited an address before it was registered is waiting for an
+// answer. The invitations are only handed over once the owner has proven the
+// address is theirs; otherwise whoever registers it first would get them.
+export const claimPendingInvitations = async (user) => {
+  try {
+    await convertPendingInvitations(user);
+  } catch (inviteError) {
+    console.error('Convert pending invitations error:', inviteError);
+  }
+};
+
+// Final step of every login flow (password, 2FA, ...): record the login,
+// backfill the registration ID and issue a session
+export const completeLogin = async (user, req, res, method = 'password') => {
+  // Update last login and clear any failed-attempt counters
+  user.lastLogin = new Date();
+  user.resetLoginFailures();
+  await user.save();
+
+  await LoginAttempt.record(req, { user, success: true, reason: 'success', method });
+
+  // If registrationId is missing, generate and save it
+  if (!user.registrationId) {
+    let uniqueId = nanoid(10);
+    let userWithId = await User.findOne({ registrationId: uniqueId });
+    while (userWithId) {
+      uniqueId = nanoid(10);
+      userWithId = await User.findOne({ registrationId: uniqueId });
+    }
+    user.registrationId = uniqueId;
+    await user.save(); // Save again to persist new registrationId
+  }
+
+  // Start a session and issue tokens
+  const { token, refreshToken } = await createSession(user, req);
+
+  res.json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      fullName: user.fullName,
+      avatar: user.avatar,
+      preferences: user.preferences,
+      registrationId: user.registrationId, // Add registrationId
+      deletionScheduledFor: user.deletion?.scheduledFor
+    }
+  });
+};
+
+export const sendTwoFactorChallenge = async (user, res) => {
+  const challengeToken = await createTwoFactorChallenge(user);
+
+  return res.json({
+    message: 'Two-factor authentication required',
+    twoFactorRequired: true,
+    challengeToken
+  });
+};
+
 export const login = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -92,54 +188,40 @@ export const login = async (req, res) => {
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
+      await LoginAttempt.record(req, { email, success: false, reason: 'unknown_email' });
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
+    // Refuse to even check the password while the account is locked
+    if (user.isLocked()) {
+      await LoginAttempt.record(req, { user, success: false, reason: 'account_locked' });
+      return sendLockedResponse(res, user.loginSecurity.lockUntil);
+    }
+
     // Check if account is active
     if (!user.isActive) {
+      await LoginAttempt.record(req, { user, success: false, reason: 'account_deactivated' });
       return res.status(401).json({ message: 'Account is deactivated' });
     }
 
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await LoginAttempt.record(req, { user, success: false, reason: 'invalid_password' });
+      const lockUntil = await registerFailedLogin(user);
+      if (lockUntil) {
+        return sendLockedResponse(res, lockUntil);
+      }
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    // If registrationId is missing, generate and save it
-    if (!user.registrationId) {
-      let uniqueId = nanoid(10);
-      let userWithId = await User.findOne({ registrationId: uniqueId });
-      while (userWithId) {
-        uniqueId = nanoid(10);
-        userWithId = await User.findOne({ registrationId: uniqueId });
-      }
-      user.registrationId = uniqueId;
-      await user.save(); // Save again to persist new registrationId
+    // Second factor required: hand out a short-lived challenge instead of tokens
+    if (user.twoFactor?.enabled) {
+      await sendTwoFactorChallenge(user, res);
+      return;
     }
 
-    // Generate token
-    const token = generateToken(user._id);
-
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        fullName: user.fullName,
-        avatar: user.avatar,
-        preferences: user.preferences,
-        registrationId: user.registrationId // Add registrationId
-      }
-    });
+    await completeLogin(user, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ message: 'Server error during login' });
@@ -171,13 +253,20 @@ export const getMe = async (req, res) => {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
         firstName: user.firstName,
         lastName: user.lastName,
         fullName: user.fullName,
         avatar: user.avatar,
+        avatarUrls: getAvatarUrls(user),
         bio: user.bio,
         dateOfBirth: user.dateOfBirth,
         preferences: user.preferences,
+        privacy: user.privacy,
+        roles: user.roles,
+        hasPassword: user.hasPassword,
+        twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+        deletionScheduledFor: user.deletion?.scheduledFor,
         lastLogin: user.lastLogin,
         createdAt: user.createdAt,
         registrationId: user.registrationId // Add registrationId
@@ -209,6 +298,15 @@ export const updateProfile = async (req, res) => {
       }
     });
 
+    // Linking an avatar URL replaces any uploaded one
+    if (updates.avatar !== undefined) {
+      const current = await User.findById(req.user.id).select('avatarVersion');
+      if (current?.avatarVersion) {
+        await removeAvatarFiles(current._id);
+        updates.$unset = { avatarVersion: 1 };
+      }
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user.id,
       updates,
@@ -225,6 +323,7 @@ export const updateProfile = async (req, res) => {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
         firstName: user.firstName,
         lastName: user.lastName,
         fullName: user.fullName,
@@ -251,32 +350,36 @@ export const searchUsers = async (req, res) => {
       });
     }
 
-    const { q, registrationId } = req.query;
-    let users = [];
+    const { q, registrationId, page = 1, limit = 10 } = req.query;
+
+    // Users who blocked each other never see one another
+    const hiddenUserIds = req.user ? await Block.getHiddenUserIds(req.user.id) : [];
+
+    // Only exact matches are supported so the user base cannot be enumerated
+    const filter = {
+      _id: { $nin: req.user ? [req.user.id, ...hiddenUserIds] : [] }, // Exclude the current user and blocked users
+      isActive: true
+    };
 
     if (q) {
-      // Search by email or username
-      users = await User.find({
-        $or: [
-          { username: { $regex: q, $options: 'i' } },
-          { email: { $regex: q, $options: 'i' } }
-        ],
-        ...(req.user ? { _id: { $ne: req.user.id } } : {}) // Exclude the current user if authenticated
-      }).select('firstName lastName username email avatar registrationId'); // Select relevant fields
+      filter.email = q.trim().toLowerCase();
+      filter['privacy.discoverability'] = { $in: ['everyone', 'email'] };
     } else if (registrationId) {
-      // Search by registration ID (assuming it's a unique identifier like _id or a custom regId field)
-      const userFound = await User.findOne({
-        _id: registrationId, // Assuming registrationId is the user's _id
-        ...(req.user ? { _id: { $ne: req.user.id } } : {}) // Exclude current user if authenticated
-      }).select('firstName lastName username email avatar registrationId');
-
-      if (userFound) {
-        users = [userFound];
-      }
+      filter.registrationId = registrationId.trim();
+      filter['privacy.discoverability'] = { $in: ['everyone', 'registration_id'] };
     } else {
       return res.status(400).json({ message: 'Search query (q) or registrationId is required.' });
     }
 
+    const skip = (page - 1) * limit;
+
+    const users = await User.find(filter)
+      .select('firstName lastName username email avatar registrationId')
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(filter);
+
     res.json({
       success: true,
       users: users.map(user => ({
@@ -285,13 +388,572 @@ export const searchUsers = async (req, res) => {
         lastName: user.lastName,
         fullName: user.fullName,
         username: user.username,
-        email: user.email,
+        maskedEmail: maskEmail(user.email),
         avatar: user.avatar,
-        registrationId: user.registrationId // Add registrationId
-      }))
+        registrationId: user.registrationId
+      })),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
     });
   } catch (error) {
     console.error('Search users error:', error);
     res.status(500).json({ message: 'Server error during user search' });
   }
-};
\ No newline at end of file
+};
+
+export const updatePrivacy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { discoverability, historyPrivacy } = req.body;
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const previousHistoryPrivacy = user.historyPrivacy;
+    if (discoverability !== undefined) user.privacy.discoverability = discoverability;
+    if (historyPrivacy !== undefined) user.historyPrivacy = historyPrivacy;
+    await user.save();
+
+    if (user.historyPrivacy !== previousHistoryPrivacy) {
+      await recordHistoryAccessEvent('user_history_privacy_changed', {
+        actor: user._id,
+        targetUser: user._id,
+        details: { from: previousHistoryPrivacy, to: user.historyPrivacy }
+      });
+    }
+
+    res.json({
+      message: 'Privacy settings updated successfully',
+      privacy: user.privacy,
+      historyPrivacy: user.historyPrivacy
+    });
+  } catch (error) {
+    console.error('Update privacy error:', error);
+    res.status(500).json({ message: 'Server error updating privacy settings' });
+  }
+};
+
+export const refreshToken = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, refreshToken: nextRefreshToken, session } = await rotateRefreshToken(req.body.refreshToken, req);
+
+    const user = await User.findById(session.user).select('isActive');
+    if (!user || !user.isActive) {
+      await session.revoke('user_revoked');
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token,
+      refreshToken: nextRefreshToken
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+};
+
+export const logout = async (req, res) => {
+  try {
+    if (req.sessionId) {
+      const session = await Session.findOne({ _id: req.sessionId, user: req.user.id });
+      if (session && !session.revokedAt) {
+        await session.revoke('logout');
+      }
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+};
+
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error fetching sessions' });
+  }
+};
+
+export const revokeSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!session || session.revokedAt) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.revoke('user_revoked');
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error revoking session' });
+  }
+};
+
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.id, 'user_revoked', req.sessionId);
+
+    res.json({
+      message: 'All other sessions revoked successfully',
+      revokedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error revoking sessions' });
+  }
+};
+
+export const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyPurposeToken(req.body.token, 'email_verification');
+    } catch (tokenError) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    const user = await User.findById(decoded.userId);
+
+    // The token is bound to the address it was sent to
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+      await claimPendingInvitations(user);
+    }
+
+    res.json({
+      message: 'Email verified successfully',
+      emailVerified: true
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error during email verification' });
+  }
+};
+
+export const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    if (user.emailVerificationSentAt &&
+        Date.now() - user.emailVerificationSentAt.getTime() < VERIFICATION_RESEND_INTERVAL_MS) {
+      return res.status(429).json({ message: 'Please wait a minute before requesting another verification email' });
+    }
+
+    await issueVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error sending verification email' });
+  }
+};
+
+export const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+    const user = await User.findOne({ email });
+
+    // Only issue a token for real, active accounts, but always answer the
+    // same way so the endpoint can't be used to discover registered emails
+    if (user && user.isActive) {
+      const resetToken = generateRandomToken(32);
+      user.passwordResetTokenHash = hashToken(resetToken);
+      user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+      await user.save();
+
+      try {
+        await sendPasswordResetEmail(user, resetToken, PASSWORD_RESET_TTL_MINUTES);
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+      }
+    }
+
+    res.json({
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error during password reset request' });
+  }
+};
+
+export const requestMagicLink = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+    const user = await User.findOne({ email });
+
+    // Same rules as forgotPassword: never reveal whether the email is registered
+    if (user && user.isActive) {
+      const loginToken = generateRandomToken(32);
+      user.magicLinkTokenHash = hashToken(loginToken);
+      user.magicLinkExpires = new Date(Date.now() + MAGIC_LINK_TTL_MINUTES * 60 * 1000);
+      await user.save();
+
+      try {
+        await sendMagicLinkEmail(user, loginToken, MAGIC_LINK_TTL_MINUTES);
+      } catch (mailError) {
+        console.error('Magic link email error:', mailError);
+      }
+    }
+
+    res.json({
+      message: 'If an account exists for this email, a login link has been sent'
+    });
+  } catch (error) {
+    console.error('Magic link request error:', error);
+    res.status(500).json({ message: 'Server error during login link request' });
+  }
+};
+
+export const verifyMagicLink = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Single use: the token is cleared in the same query that finds it
+    const user = await User.findOneAndUpdate(
+      {
+        magicLinkTokenHash: hashToken(req.body.token),
+        magicLinkExpires: { $gt: new Date() }
+      },
+      { $unset: { magicLinkTokenHash: 1, magicLinkExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ message: 'Login link is invalid or has expired' });
+    }
+
+    if (user.isLocked()) {
+      await LoginAttempt.record(req, { user, success: false, reason: 'account_locked', method: 'magic_link' });
+      return sendLockedResponse(res, user.loginSecurity.lockUntil);
+    }
+
+    if (!user.isActive) {
+      await LoginAttempt.record(req, { user, success: false, reason: 'account_deactivated', method: 'magic_link' });
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
+    // Opening the link proves the user controls the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+      await claimPendingInvitations(user);
+    }
+
+    if (user.twoFactor?.enabled) {
+      await sendTwoFactorChallenge(user, res);
+      return;
+    }
+
+    await completeLogin(user, req, res, 'magic_link');
+  } catch (error) {
+    console.error('Magic link verify error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+};
+
+export const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    }).select('+passwordResetTokenHash +passwordResetExpires');
+
+    if (!user) {
+      return res.status(400).json({ message: 'Password reset link is invalid or has expired' });
+    }
+
+    // Single use: clear the token together with the password change
+    user.password = password;
+    user.hasPassword = true;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Sign out every device that was using the old password. A reset usually
+    // means the account was at risk, so API tokens go too.
+    await Session.revokeAllForUser(user._id, 'password_changed');
+    await ApiToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+    try {
+      await sendPasswordChangedEmail(user);
+    } catch (mailError) {
+      console.error('Password changed email error:', mailError);
+    }
+
+    res.json({ message: 'Password has been reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error during password reset' });
+  }
+};
+
+export const changePassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.hasPassword) {
+      return res.status(400).json({ message: 'Your account has no password yet. Use "Forgot password" to set one.' });
+    }
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ message: 'New password must be different from the current password' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Existing tokens are now invalid; hand this device a fresh session
+    await Session.revokeAllForUser(user._id, 'password_changed');
+    const { token, refreshToken } = await createSession(user, req);
+
+    try {
+      await sendPasswordChangedEmail(user);
+    } catch (mailError) {
+      console.error('Password changed email error:', mailError);
+    }
+
+    res.json({
+      message: 'Password changed successfully',
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error during password change' });
+  }
+};
+
+export const deleteAccount = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await confirmIdentity(user, req))) {
+      return res.status(400).json({
+        message: user.hasPassword
+          ? 'Password is incorrect'
+          : 'Sign in again or enter an authentication code to confirm'
+      });
+    }
+
+    if (user.deletion?.scheduledFor) {
+      return res.status(400).json({
+        message: 'Account deletion is already scheduled',
+        scheduledFor: user.deletion.scheduledFor
+      });
+    }
+
+    const scheduledFor = await scheduleAccountDeletion(user);
+
+    try {
+      await sendAccountDeletionScheduledEmail(user, scheduledFor);
+    } catch (mailError) {
+      console.error('Account deletion email error:', mailError);
+    }
+
+    res.status(202).json({
+      message: 'Account scheduled for deletion. To cancel, log in again and cancel the deletion before the scheduled date.',
+      scheduledFor
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ message: 'Server error during account deletion' });
+  }
+};
+
+export const cancelAccountDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.deletion?.scheduledFor) {
+      return res.status(400).json({ message: 'No account deletion is scheduled' });
+    }
+
+    user.deletion = undefined;
+    await user.save();
+
+    res.json({ message: 'Account deletion canceled' });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ message: 'Server error canceling account deletion' });
+  }
+};
+
+export const getLoginHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { user: req.user.id };
+
+    const attempts = await LoginAttempt.find(filter)
+      .select('success method reason ip userAgent createdAt')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await LoginAttempt.countDocuments(filter);
+
+    res.json({
+      attempts,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({ message: 'Server error fetching login history' });
+  }
+};
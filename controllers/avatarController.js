@@ -0,0 +1,111 @@
+import { validationResult } from 'express-validator';
+import User from '../models/User.js';
+import { replaceAvatar, removeAvatarFiles, getAvatarStream, getAvatarUrls, AVATAR_SIZES } from '../services/avatars.js';
+import { HttpError } from '../utils/httpError.js';
+
+export const uploadAvatar = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'An image file is required in the "avatar" field' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await replaceAvatar(user, req.file.buffer);
+
+    res.json({
+      message: 'Avatar updated successfully',
+      avatar: user.avatar,
+      avatarUrls: getAvatarUrls(user)
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
+    console.error('Upload avatar error:', error);
+    res.status(500).json({ message: 'Server error uploading avatar' });
+  }
+};
+
+export const deleteAvatar = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await removeAvatarFiles(user._id);
+    user.avatar = '';
+    user.avatarVersion = undefined;
+    await user.save();
+
+    res.json({ message: 'Avatar removed successfully' });
+  } catch (error) {
+    console.error('Delete avatar error:', error);
+    res.status(500).json({ message: 'Server error removing avatar' });
+  }
+};
+
+// Every upload gets a new version in its URL, so responses never change and
+// can be cached forever
+export const serveAvatar = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userId, version, file } = req.params;
+    const size = parseInt(file, 10);
+
+    if (!/^[a-z0-9]+$/.test(version) || file !== `${size}.webp` || !AVATAR_SIZES.includes(size)) {
+      return res.status(404).json({ message: 'Avatar not found' });
+    }
+
+    const avatar = await getAvatarStream(userId, version, size);
+    if (!avatar) {
+      return res.status(404).json({ message: 'Avatar not found' });
+    }
+
+    res.set({
+      'Content-Type': 'image/webp',
+      'Content-Length': avatar.size,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      ETag: `"${version}-${size}"`,
+      // Avatars are embedded by the frontend, which lives on another origin
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+
+    if (req.fresh) {
+      avatar.stream.destroy();
+      return res.status(304).end();
+    }
+
+    // The file can disappear between the stat and the read, e.g. when the
+    // avatar is replaced mid-request
+    avatar.stream.on('error', (error) => {
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      for (const header of ['Content-Type', 'Content-Length', 'Cache-Control', 'ETag']) {
+        res.removeHeader(header);
+      }
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({ message: 'Avatar not found' });
+      }
+      console.error('Serve avatar error:', error);
+      res.status(500).json({ message: 'Server error fetching avatar' });
+    });
+    avatar.stream.pipe(res);
+  } catch (error) {
+    console.error('Serve avatar error:', error);
+    res.status(500).json({ message: 'Server error fetching avatar' });
+  }
+};
@@ -0,0 +1,115 @@
+import { validationResult } from 'express-validator';
+import Block from '../models/Block.js';
+import User from '../models/User.js';
+import Relationship from '../models/Relationship.js';
+import Notification from '../models/Notification.js';
+import HistoryAccessGrant from '../models/HistoryAccessGrant.js';
+
+export const blockUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ message: 'You cannot block yourself' });
+    }
+
+    const target = await User.findById(userId).select('_id');
+    if (!target) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const existing = await Block.findOne({ blocker: req.user.id, blocked: userId });
+    if (existing) {
+      return res.json({ message: 'User is already blocked', block: existing });
+    }
+
+    const block = await Block.create({ blocker: req.user.id, blocked: userId });
+
+    // Auto-decline open invitations in either direction, quietly
+    const pendingInvites = await Relationship.find({
+      status: 'pending',
+      $or: [
+        { initiator: req.user.id, partner: userId },
+        { initiator: userId, partner: req.user.id }
+      ]
+    });
+
+    for (const relationship of pendingInvites) {
+      await relationship.actingAs(req.user.id).deleteOne();
+      await Notification.deleteMany({
+        type: 'relationship_invite',
+        'metadata.relationshipId': relationship._id
+      });
+    }
+
+    // History access between the two ends as well
+    const betweenUsers = {
+      $or: [
+        { requester: req.user.id, owner: userId },
+        { requester: userId, owner: req.user.id }
+      ]
+    };
+    await HistoryAccessGrant.updateMany({ ...betweenUsers, status: 'pending' }, { status: 'canceled' });
+    await HistoryAccessGrant.updateMany({ ...betweenUsers, status: 'granted' }, { status: 'revoked', revokedAt: new Date() });
+
+    res.status(201).json({
+      message: 'User blocked successfully',
+      block,
+      declinedInvitations: pendingInvites.length
+    });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ message: 'Server error blocking user' });
+  }
+};
+
+export const unblockUser = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const block = await Block.findOneAndDelete({ blocker: req.user.id, blocked: req.params.userId });
+
+    if (!block) {
+      return res.status(404).json({ message: 'This user is not blocked' });
+    }
+
+    res.json({ message: 'User unblocked successfully' });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ message: 'Server error unblocking user' });
+  }
+};
+
+export const getBlockedUsers = async (req, res) => {
+  try {
+    const blocks = await Block.find({ blocker: req.user.id })
+      .populate('blocked', 'username firstName lastName avatar')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      blockedUsers: blocks
+        .filter(block => block.blocked)
+        .map(block => ({
+          user: block.blocked,
+          blockedAt: block.createdAt
+        }))
+    });
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({ message: 'Server error fetching blocked users' });
+  }
+};
@@ -4,6 +4,7 @@ import Relationship from '../models/Relationship.js';
 import User from '../models/User.js';
 import PDFDocument from 'pdfkit';
 import blobStream from 'blob-stream';
+import { renderCertificatePdf } from '../services/certificatePdf.js';
 
 export const generateRelationshipCertificate = async (req, res) => {
   try {
@@ -20,7 +21,8 @@ export const generateRelationshipCertificate = async (req, res) => {
 
     const relationship = await Relationship.findById(relationshipId)
       .populate('initiator', 'firstName lastName')
-      .populate('partner', 'firstName lastName');
+      .populate('partner', 'firstName lastName')
+      .populate('members.user', 'firstName lastName');
 
     if (!relationship) {
       return res.status(404).json({ message: 'Relationship not found' });
@@ -30,13 +32,18 @@ export const generateRelationshipCertificate = async (req, res) => {
       return res.status(403).json({ message: 'Access denied. You are not part of this relationship.' });
     }
 
-    if (!relationship.initiator || !relationship.partner) {
+    // Everyone currently in the relationship is named on the certificate
+    const partners = relationship.getMembers()
+      .filter(member => member.status === 'active')
+      .map(member => member.user);
+
+    if (partners.length < 2 || partners.some(partner => !partner?.firstName)) {
       return res.status(500).json({ message: 'Could not retrieve full user details for the relationship.' });
     }
 
-    const initiatorFullName = `${relationship.initiator.firstName} ${relationship.initiator.lastName}`;
-    const partnerFullName = `${relationship.partner.firstName} ${relationship.partner.lastName}`;
-    const partners = [relationship.initiator, relationship.partner];
+    const fullNames = partners.map(partner => `${partner.firstName} ${partner.lastName}`);
+    const allButLast = fullNames.slice(0, -1).join(', ');
+    const lastFullName = fullNames[fullNames.length - 1];
 
     // Create a new PDF document
     const doc = new PDFDocument({ 
@@ -56,7 +63,7 @@ export const generateRelationshipCertificate = async (req, res) => {
         relatedTo: 'relationship',
         relatedId: relationship._id,
         title: `Certificate of ${relationship.title} Relationship`,
-        description: `This certifies the ${relationship.title} relationship between ${initiatorFullName} and ${partnerFullName}, with a current status of '${relationship.status}'.`,
+        description: `This certifies the ${relationship.title} relationship between ${allButLast} and ${lastFullName}, with a current status of '${relationship.status}'.`,
         type: 'relationship',
         level: 'gold', // Default level for relationship certificates
         recipients: partners.map(p => ({ user: p._id, awardedAt: new Date() })),
@@ -107,7 +114,7 @@ export const generateRelationshipCertificate = async (req, res) => {
     currentY += 30;
 
     doc.font('Helvetica-Bold').fontSize(30).fillColor('#2D3748')
-      .text(`${initiatorFullName} & ${partnerFullName}`, 0, currentY, { align: 'center' });
+      .text(`${allButLast} & ${lastFullName}`, 0, currentY, { align: 'center' });
     currentY += 50;
 
     doc.font('Helvetica').fontSize(16).fillColor('#718096')
@@ -271,116 +278,11 @@ export const downloadCertificate = async (req, res) => {
     certificate.stats.downloadCount += 1;
     await certificate.save();
 
-    // For now, we'll generate a PDF with content
-    const doc = new PDFDocument({ 
-      size: 'A4', 
-      layout: 'landscape', 
-      margin: 50 
-    });
+    const pdfBuffer = await renderCertificatePdf(certificate);
 
-    let buffers = [];
-    doc.on('data', buffers.push.bind(buffers));
-    doc.on('end', () => {
-      let pdfBuffer = Buffer.concat(buffers);
-
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `inline; filename="certificate-${req.params.id}.pdf"`);
-      res.send(pdfBuffer);
-    });
-
-   // --- Certificate Design --- //
-const docWidth = doc.page.width;
-const docHeight = doc.page.height;
-let currentY = 90;
-
-// Elegant Border
-doc.lineWidth(4).strokeColor('#C6A664'); // gold border
-doc.rect(30, 30, docWidth - 60, docHeight - 60).stroke();
-
-// Inner thin border
-doc.lineWidth(1).strokeColor('#A0AEC0');
-doc.rect(50, 50, docWidth - 100, docHeight - 100).stroke();
-
-// Watermark / Background
-doc.fontSize(100).fillColor('#F7FAFC').opacity(0.2)
-  .text('Relationship', 0, docHeight/2 - 50, { align: 'center' });
-doc.opacity(1);
-
-// Certificate Number and Issued Date (smaller, top area)
-doc.font('Helvetica').fontSize(10).fillColor('#718096');
-doc.text(`Certificate No: ${certificate._id}`, 60, 60, { align: 'left' });
-// doc.text(`Issued On: ${new Date(certificate.createdAt).toLocaleDateString()}`, -60, 60, { align: 'right' });
-
-// Header Title
-doc.font('Helvetica-Bold')
-  .fontSize(38)
-  .fillColor('#2D3748')
-  .text('CERTIFICATE OF RELATIONSHIP', 0, currentY, { align: 'center' });
-currentY += 70;
-
-// Subtitle
-doc.font('Helvetica-Oblique')
-  .fontSize(16)
-  .fillColor('#4A5568')
-  .text('This is proudly presented to', 0, currentY, { align: 'center' });
-currentY += 40;
-
-// Recipient Names
-doc.font('Times-BoldItalic') // more elegant font
-  .fontSize(36)
-  .fillColor('#1A202C')
-  .text(certificate.recipients.map(r => r.user.fullName || '').join(' & '), 0, currentY, { align: 'center' });
-currentY += 70;
-
-// Relationship Title
-doc.font('Helvetica')
-  .fontSize(16)
-  .fillColor('#4A5568')
-  .text('In recognition of their enduring bond known as', 0, currentY, { align: 'center' });
-currentY += 30;
-
-doc.font('Helvetica-Bold')
-  .fontSize(28)
-  .fillColor('#C53030')
-  .text(`"${certificate.relatedId.title}"`, 0, currentY, { align: 'center' });
-currentY += 70;
-
-// Main Description (longer + more meaningful)
-doc.font('Helvetica')
-  .fontSize(14)
-  .fillColor('#2D3748')
-  .text(
-    `Since ${certificate.relatedId.startDate ? new Date(certificate.relatedId.startDate).toLocaleDateString() : 'an unknown date'}, this relationship has stood as a symbol of love, trust, and togetherness. 
-It celebrates the shared journey of growth, challenges overcome, and moments cherished.`,
-    100,
-    currentY,
-    { width: docWidth - 200, align: 'center', lineGap: 6 }
-  );
-currentY += 100;
-
-// Closing Line
-doc.font('Helvetica-Oblique')
-  .fontSize(14)
-  .fillColor('#4A5568')
-  .text(
-    `May this bond continue to inspire loyalty, affection, and strength for years to come.`,
-    100,
-    currentY,
-    { width: docWidth - 200, align: 'center', lineGap: 6 }
-  );
-
-// Issued By + Date (footer)
-doc.font('Helvetica-Oblique')
-  .fontSize(12)
-  .fillColor('#4A5568')
-  .text(
-    `Issued by ${certificate.metadata.issuedBy || 'RelationApp'} on ${new Date(certificate.createdAt).toLocaleDateString()}`,
-    0,
-    docHeight - 80,
-    { align: 'center' }
-  );
- 
-    doc.end();
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="certificate-${req.params.id}.pdf"`);
+    res.send(pdfBuffer);
 
   } catch (error) {
     console.error('Download certificate error:', error);
@@ -398,7 +300,7 @@ export const shareCertificate = async (req, res) => {
       });
     }
 
-    const { platform } = req.body;
+    const { platform, isPublic } = req.body;
 
     const certificate = await Certificate.findById(req.params.id);
 
@@ -420,18 +322,30 @@ export const shareCertificate = async (req, res) => {
       return res.status(400).json({ message: 'Certificate is no longer valid' });
     }
 
-    // Update sharing stats
-    if (platform && !certificate.sharing.sharedOn.includes(platform)) {
-      certificate.sharing.sharedOn.push(platform);
+    // Update sharing stats; taking it off the profile isn't a share
+    if (isPublic !== false) {
+      if (platform && !certificate.sharing.sharedOn.includes(platform)) {
+        certificate.sharing.sharedOn.push(platform);
+      }
+      certificate.sharing.shareCount += 1;
+      certificate.stats.shareCount += 1;
+    }
+
+    // Publishing on profiles is opt-in and names every recipient, so each of
+    // them has to agree; leaving isPublic out keeps the current choice
+    if (typeof isPublic === 'boolean') {
+      certificate.setPublicConsent(req.user.id, isPublic);
     }
-    certificate.sharing.shareCount += 1;
-    certificate.stats.shareCount += 1;
 
     await certificate.save();
 
     res.json({
       message: 'Certificate sharing recorded successfully',
-      shareUrl: `${process.env.FRONTEND_URL}/certificates/${certificate._id}/public`
+      shareUrl: `${process.env.FRONTEND_URL}/certificates/${certificate._id}/public`,
+      isPublic: certificate.sharing.isPublic,
+      awaitingConsent: certificate.recipients
+        .filter(recipient => recipient.user && !certificate.sharing.publicBy.some(id => id.equals(recipient.user)))
+        .map(recipient => recipient.user)
     });
   } catch (error) {
     console.error('Share certificate error:', error);
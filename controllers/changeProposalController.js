@@ -0,0 +1,209 @@
+import { validationResult } from 'express-validator';
+import ChangeProposal from '../models/ChangeProposal.js';
+import Relationship, { RELATIONSHIP_PERMISSIONS } from '../models/Relationship.js';
+import {
+  SHARED_FIELDS,
+  acceptProposal,
+  rejectProposal,
+  counterProposal,
+  cancelProposal
+} from '../services/changeProposals.js';
+import { HttpError } from '../utils/httpError.js';
+
+const userFields = 'username firstName lastName avatar';
+
+// The relationship and one of its proposals; throws when the user can't have them
+const findProposal = async (req) => {
+  const relationship = await Relationship.findById(req.params.id);
+  if (!relationship) {
+    throw new HttpError(404, 'Relationship not found');
+  }
+
+  if (!relationship.includesUser(req.user.id)) {
+    throw new HttpError(403, 'Access denied');
+  }
+
+  const proposal = await ChangeProposal.findOne({ _id: req.params.proposalId, relationship: relationship._id });
+  if (!proposal) {
+    throw new HttpError(404, 'Proposal not found');
+  }
+
+  return { relationship, proposal };
+};
+
+export const getProposals = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const relationship = await Relationship.findById(req.params.id);
+
+    if (!relationship) {
+      return res.status(404).json({ message: 'Relationship not found' });
+    }
+
+    if (!relationship.includesUser(req.user.id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { status, kind, page = 1, limit = 20 } = req.query;
+
+    const filter = { relationship: relationship._id };
+    if (status) filter.status = status;
+    if (kind) filter.kind = kind;
+
+    const skip = (page - 1) * limit;
+
+    const proposals = await ChangeProposal.find(filter)
+      .populate('proposedBy', userFields)
+      .populate('respondedBy', userFields)
+      .populate('member', userFields)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ChangeProposal.countDocuments(filter);
+
+    res.json({
+      proposals,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get change proposals error:', error);
+    res.status(500).json({ message: 'Server error fetching change proposals' });
+  }
+};
+
+export const acceptChangeProposal = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { relationship, proposal } = await findProposal(req);
+
+    const accepted = await acceptProposal(relationship, proposal, req.user);
+
+    res.json({
+      message: 'Change accepted and applied',
+      proposal: accepted,
+      relationship
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
+    console.error('Accept change proposal error:', error);
+    res.status(500).json({ message: 'Server error accepting change proposal' });
+  }
+};
+
+export const rejectChangeProposal = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { relationship, proposal } = await findProposal(req);
+
+    const rejected = await rejectProposal(relationship, proposal, req.user);
+
+    res.json({
+      message: 'Change rejected',
+      proposal: rejected
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
+    console.error('Reject change proposal error:', error);
+    res.status(500).json({ message: 'Server error rejecting change proposal' });
+  }
+};
+
+export const counterChangeProposal = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { relationship, proposal } = await findProposal(req);
+
+    // Counter proposals change the same kind of thing as the proposal they answer
+    const changes = {};
+    if (proposal.kind === 'permissions') {
+      for (const permission of RELATIONSHIP_PERMISSIONS) {
+        if (typeof req.body.permissions?.[permission] === 'boolean') changes[permission] = req.body.permissions[permission];
+      }
+    } else {
+      for (const field of SHARED_FIELDS) {
+        if (req.body[field] !== undefined) changes[field] = req.body[field];
+      }
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ message: 'No changes provided' });
+    }
+
+    const counter = await counterProposal(relationship, proposal, req.user, changes, req.body.message);
+
+    res.status(201).json({
+      message: 'Counter proposal sent',
+      proposal: counter
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
+    console.error('Counter change proposal error:', error);
+    res.status(500).json({ message: 'Server error countering change proposal' });
+  }
+};
+
+export const cancelChangeProposal = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { relationship, proposal } = await findProposal(req);
+
+    const canceled = await cancelProposal(relationship, proposal, req.user);
+
+    res.json({
+      message: 'Change proposal canceled',
+      proposal: canceled
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
+    console.error('Cancel change proposal error:', error);
+    res.status(500).json({ message: 'Server error canceling change proposal' });
+  }
+};
@@ -0,0 +1,98 @@
+import { validationResult } from 'express-validator';
+import DataExport from '../models/DataExport.js';
+import { queueDataExport, staleExportCutoff } from '../services/dataExport.js';
+
+const serializeExport = (dataExport) => ({
+  id: dataExport._id,
+  status: dataExport.status,
+  fileSize: dataExport.fileSize,
+  createdAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+  downloadUrl: dataExport.isDownloadable() ? `/api/auth/export/${dataExport._id}/download` : null
+});
+
+export const requestDataExport = async (req, res) => {
+  try {
+    // Only one export per user may be in flight at a time. One that has been
+    // running too long was lost and doesn't count; the cleanup job fails it.
+    const inProgress = await DataExport.findOne({
+      user: req.user.id,
+      status: { $in: ['queued', 'processing'] },
+      createdAt: { $gt: staleExportCutoff() }
+    });
+
+    if (inProgress) {
+      return res.status(202).json({
+        message: 'An export is already being prepared',
+        export: serializeExport(inProgress)
+      });
+    }
+
+    const dataExport = await queueDataExport(req.user.id);
+
+    res.status(202).json({
+      message: 'Your export is being prepared. You will be notified when it is ready.',
+      export: serializeExport(dataExport)
+    });
+  } catch (error) {
+    console.error('Request data export error:', error);
+    res.status(500).json({ message: 'Server error requesting data export' });
+  }
+};
+
+export const getDataExport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const dataExport = await DataExport.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!dataExport) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+
+    res.json({ export: serializeExport(dataExport) });
+  } catch (error) {
+    console.error('Get data export error:', error);
+    res.status(500).json({ message: 'Server error fetching data export' });
+  }
+};
+
+export const downloadDataExport = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const dataExport = await DataExport.findOne({ _id: req.params.id, user: req.user.id }).select('+filePath');
+
+    if (!dataExport) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+
+    if (!dataExport.isDownloadable()) {
+      return res.status(409).json({
+        message: dataExport.status === 'completed' || dataExport.status === 'expired'
+          ? 'This export has expired. Please request a new one.'
+          : 'This export is not ready yet',
+        status: dataExport.status
+      });
+    }
+
+    const date = dataExport.completedAt.toISOString().slice(0, 10);
+    res.download(dataExport.filePath, `relationapp-export-${date}.zip`);
+  } catch (error) {
+    console.error('Download data export error:', error);
+    res.status(500).json({ message: 'Server error downloading data export' });
+  }
+};
@@ -0,0 +1,445 @@
+import { validationResult } from 'express-validator';
+import HistoryAccessGrant from '../models/HistoryAccessGrant.js';
+import RelationshipHistory from '../models/RelationshipHistory.js';
+import Relationship from '../models/Relationship.js';
+import User from '../models/User.js';
+import Block from '../models/Block.js';
+import Notification from '../models/Notification.js';
+import {
+  HISTORY_ACCESS_REQUEST_TTL_DAYS,
+  HISTORY_ACCESS_GRANT_DAYS,
+  daysFromNow,
+  buildUserHistoryFilter,
+  recordHistoryAccessEvent,
+  recordHistoryView,
+  filterRelationshipsForViewer
+} from '../services/historyAccess.js';
+
+const userFields = 'username firstName lastName avatar';
+
+export const requestHistoryAccess = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ message: 'You can already view your own history' });
+    }
+
+    const owner = await User.findById(userId).select('historyPrivacy isActive');
+    if (!owner || !owner.isActive || await Block.existsBetween(req.user.id, owner._id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (owner.historyPrivacy === 'public') {
+      return res.status(400).json({ message: 'This user\'s history is already public' });
+    }
+
+    if (owner.historyPrivacy === 'private') {
+      return res.status(403).json({ message: 'This user does not accept history access requests' });
+    }
+
+    // Only people who share (or were invited to) a relationship may ask
+    const connected = await Relationship.exists({
+      $and: [Relationship.memberFilter(req.user.id), Relationship.memberFilter(owner._id)]
+    });
+    if (!connected) {
+      return res.status(403).json({ message: 'You can only request history access from people you have a relationship with' });
+    }
+
+    const now = new Date();
+    const open = await HistoryAccessGrant.findOne({
+      owner: owner._id,
+      requester: req.user.id,
+      $or: [
+        { status: 'pending', requestExpiresAt: { $gt: now } },
+        { status: 'granted', expiresAt: { $gt: now } }
+      ]
+    });
+    if (open) {
+      return res.status(409).json({
+        message: open.status === 'pending'
+          ? 'You already have a pending request for this history'
+          : 'You already have access to this history'
+      });
+    }
+
+    const recentlyDenied = await HistoryAccessGrant.exists({
+      owner: owner._id,
+      requester: req.user.id,
+      status: 'denied',
+      respondedAt: { $gt: daysFromNow(-HISTORY_ACCESS_REQUEST_TTL_DAYS) }
+    });
+    if (recentlyDenied) {
+      return res.status(429).json({ message: 'Your last request was declined recently. Please try again later.' });
+    }
+
+    const grant = await HistoryAccessGrant.create({
+      requester: req.user.id,
+      owner: owner._id,
+      message: req.body.message,
+      requestExpiresAt: daysFromNow(HISTORY_ACCESS_REQUEST_TTL_DAYS)
+    });
+
+    await recordHistoryAccessEvent('history_access_requested', {
+      actor: req.user.id,
+      targetUser: owner._id,
+      details: { grantId: grant._id }
+    });
+
+    await Notification.createNotification({
+      recipient: owner._id,
+      sender: req.user.id,
+      type: 'history_access_request',
+      title: 'History Access Request',
+      message: `${req.user.firstName} ${req.user.lastName} wants to view your relationship history`,
+      category: 'relationship',
+      actionRequired: true,
+      actions: [
+        { type: 'accept', label: 'Review Request', url: `/history-access/${grant._id}` },
+        { type: 'decline', label: 'Dismiss', url: '/notifications' }
+      ],
+      expiresAt: grant.requestExpiresAt,
+      metadata: {
+        customData: { grantId: grant._id }
+      }
+    });
+
+    res.status(201).json({
+      message: 'History access request sent successfully',
+      request: grant
+    });
+  } catch (error) {
+    console.error('Request history access error:', error);
+    res.status(500).json({ message: 'Server error during history access request' });
+  }
+};
+
+export const getHistoryAccessRequests = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { direction = 'incoming', status, page = 1, limit = 20 } = req.query;
+
+    const filter = direction === 'outgoing' ? { requester: req.user.id } : { owner: req.user.id };
+    if (status) filter.status = status;
+
+    const skip = (page - 1) * limit;
+
+    const requests = await HistoryAccessGrant.find(filter)
+      .populate('requester', userFields)
+      .populate('owner', userFields)
+      .populate('scope.relationships', 'title type')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await HistoryAccessGrant.countDocuments(filter);
+
+    res.json({
+      requests,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get history access requests error:', error);
+    res.status(500).json({ message: 'Server error fetching history access requests' });
+  }
+};
+
+export const grantHistoryAccess = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const grant = await HistoryAccessGrant.findById(req.params.id);
+
+    if (!grant || !grant.owner.equals(req.user.id)) {
+      return res.status(404).json({ message: 'Access request not found' });
+    }
+
+    if (!grant.isAwaitingResponse()) {
+      return res.status(409).json({ message: 'This request is no longer pending' });
+    }
+
+    const owner = await User.findById(req.user.id).select('historyPrivacy');
+    if (owner.historyPrivacy !== 'granted_only') {
+      return res.status(409).json({ message: 'Set your history privacy to "granted_only" before granting access' });
+    }
+
+    const { durationDays = HISTORY_ACCESS_GRANT_DAYS, relationships = [], eventTypes = [] } = req.body;
+
+    // Only the owner's own relationships can be shared
+    const relationshipIds = [...new Set(relationships)];
+    if (relationshipIds.length > 0) {
+      const owned = await Relationship.countDocuments({
+        _id: { $in: relationshipIds },
+        ...Relationship.memberFilter(req.user.id)
+      });
+      if (owned !== relationshipIds.length) {
+        return res.status(400).json({ message: 'You can only share relationships you are part of' });
+      }
+    }
+
+    const now = new Date();
+    const granted = await HistoryAccessGrant.findOneAndUpdate(
+      { _id: grant._id, status: 'pending' },
+      {
+        status: 'granted',
+        respondedAt: now,
+        expiresAt: daysFromNow(durationDays),
+        scope: { relationships: relationshipIds, eventTypes: [...new Set(eventTypes)] }
+      },
+      { new: true }
+    );
+    if (!granted) {
+      return res.status(409).json({ message: 'This request is no longer pending' });
+    }
+
+    await recordHistoryAccessEvent('history_access_granted', {
+      actor: req.user.id,
+      targetUser: granted.requester,
+      details: { grantId: granted._id, expiresAt: granted.expiresAt, scope: granted.scope }
+    });
+
+    await Notification.deleteMany({ type: 'history_access_request', 'metadata.customData.grantId': granted._id });
+    await Notification.createNotification({
+      recipient: granted.requester,
+      sender: req.user.id,
+      type: 'history_access_granted',
+      title: 'History Access Granted',
+      message: `${req.user.firstName} ${req.user.lastName} granted you access to view their relationship history until ${granted.expiresAt.toDateString()}`,
+      category: 'relationship',
+      actions: [
+        { type: 'view', label: 'View History', url: `/history/${req.user.id}` }
+      ],
+      metadata: {
+        customData: { grantId: granted._id }
+      }
+    });
+
+    res.json({
+      message: 'History access granted successfully',
+      grant: granted
+    });
+  } catch (error) {
+    console.error('Grant history access error:', error);
+    res.status(500).json({ message: 'Server error during history access grant' });
+  }
+};
+
+export const denyHistoryAccess = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const grant = await HistoryAccessGrant.findById(req.params.id);
+
+    if (!grant || !grant.owner.equals(req.user.id)) {
+      return res.status(404).json({ message: 'Access request not found' });
+    }
+
+    const denied = grant.isAwaitingResponse() && await HistoryAccessGrant.findOneAndUpdate(
+      { _id: grant._id, status: 'pending' },
+      { status: 'denied', respondedAt: new Date() },
+      { new: true }
+    );
+    if (!denied) {
+      return res.status(409).json({ message: 'This request is no longer pending' });
+    }
+
+    await recordHistoryAccessEvent('history_access_denied', {
+      actor: req.user.id,
+      targetUser: denied.requester,
+      details: { grantId: denied._id }
+    });
+
+    await Notification.deleteMany({ type: 'history_access_request', 'metadata.customData.grantId': denied._id });
+    await Notification.createNotification({
+      recipient: denied.requester,
+      sender: req.user.id,
+      type: 'history_access_denied',
+      title: 'History Access Denied',
+      message: `${req.user.firstName} ${req.user.lastName} denied your request to view their relationship history`,
+      category: 'relationship',
+      metadata: {
+        customData: { grantId: denied._id }
+      }
+    });
+
+    res.json({ message: 'History access denied' });
+  } catch (error) {
+    console.error('Deny history access error:', error);
+    res.status(500).json({ message: 'Server error during history access denial' });
+  }
+};
+
+// Requesters withdraw pending requests; either side can end an active grant
+export const revokeHistoryAccess = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const grant = await HistoryAccessGrant.findById(req.params.id);
+    const isOwner = grant?.owner.equals(req.user.id);
+    const isRequester = grant?.requester.equals(req.user.id);
+
+    if (!grant || (!isOwner && !isRequester)) {
+      return res.status(404).json({ message: 'Access request not found' });
+    }
+
+    if (isRequester && grant.isAwaitingResponse()) {
+      const canceled = await HistoryAccessGrant.findOneAndUpdate(
+        { _id: grant._id, status: 'pending' },
+        { status: 'canceled' }
+      );
+      if (canceled) {
+        await Notification.deleteMany({ type: 'history_access_request', 'metadata.customData.grantId': grant._id });
+        return res.json({ message: 'History access request withdrawn' });
+      }
+    }
+
+    const revoked = grant.isActive() && await HistoryAccessGrant.findOneAndUpdate(
+      { _id: grant._id, status: 'granted' },
+      { status: 'revoked', revokedAt: new Date() },
+      { new: true }
+    );
+    if (!revoked) {
+      return res.status(409).json({ message: 'Only pending requests can be withdrawn and only active grants can be revoked' });
+    }
+
+    await recordHistoryAccessEvent('history_access_revoked', {
+      actor: req.user.id,
+      targetUser: isOwner ? revoked.requester : revoked.owner,
+      details: { grantId: revoked._id }
+    });
+
+    if (isOwner) {
+      await Notification.createNotification({
+        recipient: revoked.requester,
+        sender: req.user.id,
+        type: 'history_access_revoked',
+        title: 'History Access Revoked',
+        message: `${req.user.firstName} ${req.user.lastName} revoked your access to their relationship history`,
+        category: 'relationship',
+        metadata: {
+          customData: { grantId: revoked._id }
+        }
+      });
+    }
+
+    res.json({ message: 'History access revoked successfully' });
+  } catch (error) {
+    console.error('Revoke history access error:', error);
+    res.status(500).json({ message: 'Server error revoking history access' });
+  }
+};
+
+export const getUserHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { userId } = req.params;
+    const isOwner = userId === req.user.id;
+
+    const owner = await User.findById(userId).select('historyPrivacy isActive');
+    if (!owner || (!isOwner && (!owner.isActive || await Block.existsBetween(req.user.id, owner._id)))) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    let grant = null;
+    if (!isOwner) {
+      if (owner.historyPrivacy === 'granted_only') {
+        grant = await HistoryAccessGrant.findActiveGrant(owner._id, req.user.id);
+      }
+      if (owner.historyPrivacy === 'private' || (owner.historyPrivacy === 'granted_only' && !grant)) {
+        return res.status(403).json({ message: 'Access to this user\'s history is denied' });
+      }
+    }
+
+    // Relationships whose history the owner may not see stay hidden from everyone
+    let relationships = (await Relationship.find(Relationship.memberFilter(owner._id))
+      .select('kind initiator partner members status privacy settings.memberPermissions'))
+      .filter(relationship => relationship.can(owner._id, 'viewHistory'));
+
+    // Anyone else only sees what the other people in each relationship allow
+    if (!isOwner) {
+      relationships = await filterRelationshipsForViewer(relationships, owner._id, req.user.id);
+    }
+
+    const { eventType, from, to, page = 1, limit = 20 } = req.query;
+
+    const conditions = [buildUserHistoryFilter(owner._id, relationships.map(r => r._id), { grant, isOwner })];
+    if (eventType) conditions.push({ eventType: { $in: eventType.split(',') } });
+    if (from) conditions.push({ eventDate: { $gte: new Date(from) } });
+    if (to) conditions.push({ eventDate: { $lte: new Date(to) } });
+    const filter = { $and: conditions };
+
+    const skip = (page - 1) * limit;
+
+    const history = await RelationshipHistory.find(filter)
+      .populate('relationshipId', 'title type')
+      .populate('actor', userFields)
+      .populate('targetUser', userFields)
+      .sort({ eventDate: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await RelationshipHistory.countDocuments(filter);
+
+    if (!isOwner) {
+      await recordHistoryView(req.user.id, owner._id, grant, { page: parseInt(page) });
+    }
+
+    res.json({
+      history,
+      access: isOwner ? 'owner' : (grant ? 'grant' : 'public'),
+      ...(grant && { accessExpiresAt: grant.expiresAt }),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get user history error:', error);
+    res.status(500).json({ message: 'Server error fetching user history' });
+  }
+};
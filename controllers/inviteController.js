@@ -0,0 +1,99 @@
+import { validationResult } from 'express-validator';
+import QRCode from 'qrcode';
+import InviteCode from '../models/InviteCode.js';
+import User from '../models/User.js';
+import { signPurposeToken } from '../services/authTokens.js';
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://relation-ship-proof.vercel.app';
+
+export const getMyInvite = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { expiresInHours, singleUse = false, format = 'json' } = req.query;
+
+    const user = await User.findById(req.user.id).select('registrationId');
+    if (!user?.registrationId) {
+      return res.status(409).json({ message: 'Your account does not have a registration ID yet. Load your profile first.' });
+    }
+
+    // Plain invites are reused so the link stays stable; restricted ones are always new
+    const restricted = Boolean(expiresInHours) || singleUse === 'true' || singleUse === true;
+    let invite = restricted ? null : await InviteCode.findOne({
+      user: user._id,
+      registrationId: user.registrationId,
+      singleUse: false,
+      expiresAt: null,
+      revokedAt: null
+    });
+
+    if (!invite) {
+      invite = await InviteCode.create({
+        user: user._id,
+        registrationId: user.registrationId,
+        singleUse: singleUse === 'true' || singleUse === true,
+        expiresAt: expiresInHours ? new Date(Date.now() + Number(expiresInHours) * 60 * 60 * 1000) : undefined
+      });
+    }
+
+    const code = signPurposeToken(
+      { inviteId: invite._id, registrationId: invite.registrationId },
+      'invite',
+      expiresInHours ? `${Number(expiresInHours)}h` : undefined
+    );
+    const url = `${FRONTEND_URL}/invite/${code}`;
+
+    if (format === 'png') {
+      res.setHeader('Content-Type', 'image/png');
+      return res.send(await QRCode.toBuffer(url, { type: 'png', margin: 2, width: 512 }));
+    }
+
+    if (format === 'svg') {
+      res.setHeader('Content-Type', 'image/svg+xml');
+      return res.send(await QRCode.toString(url, { type: 'svg', margin: 2 }));
+    }
+
+    res.json({
+      invite: {
+        id: invite._id,
+        code,
+        url,
+        registrationId: invite.registrationId,
+        singleUse: invite.singleUse,
+        expiresAt: invite.expiresAt,
+        useCount: invite.useCount,
+        qrCode: {
+          png: await QRCode.toDataURL(url, { margin: 2, width: 512 }),
+          svg: await QRCode.toString(url, { type: 'svg', margin: 2 })
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get invite error:', error);
+    res.status(500).json({ message: 'Server error generating invite' });
+  }
+};
+
+// Invalidates every invite link the user has handed out
+export const revokeMyInvites = async (req, res) => {
+  try {
+    const result = await InviteCode.updateMany(
+      { user: req.user.id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    res.json({
+      message: 'Invite links revoked',
+      revokedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke invites error:', error);
+    res.status(500).json({ message: 'Server error revoking invites' });
+  }
+};
@@ -3,6 +3,9 @@ import Milestone from '../models/Milestone.js';
 import Relationship from '../models/Relationship.js';
 import Certificate from '../models/Certificate.js';
 import Notification from '../models/Notification.js';
+import { notifyMembers } from '../services/relationshipMembers.js';
+import { permissionDenied } from '../services/relationshipPermissions.js';
+import { refreshRelationshipHealth } from '../services/relationshipHealth.js';
 
 export const createMilestone = async (req, res) => {
   try {
@@ -26,6 +29,10 @@ export const createMilestone = async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    if (!relationship.can(req.user.id, 'createMilestones')) {
+      return res.status(403).json(permissionDenied('createMilestones'));
+    }
+
     if (relationship.status !== 'active') {
       return res.status(400).json({ message: 'Can only create milestones for active relationships' });
     }
@@ -45,11 +52,8 @@ export const createMilestone = async (req, res) => {
     await milestone.save();
     await milestone.populate('relationship', 'title type');
 
-    // Notify the other person in the relationship
-    const partnerId = relationship.getPartner(req.user.id);
-    await Notification.create({
-      recipient: partnerId,
-      sender: req.user.id,
+    // Notify the other members of the relationship
+    await notifyMembers(relationship, req.user.id, {
       type: 'milestone_created',
       title: 'New Milestone Created',
       message: `${req.user.firstName} ${req.user.lastName} created a new milestone: "${title}"`,
@@ -120,7 +124,7 @@ export const getMilestone = async (req, res) => {
     }
 
     const milestone = await Milestone.findById(req.params.id)
-      .populate('relationship', 'title type initiator partner')
+      .populate('relationship', 'title type kind initiator partner members')
       .populate('participants.user', 'username firstName lastName avatar')
       .populate('evidence.uploadedBy', 'username firstName lastName avatar');
 
@@ -129,7 +133,7 @@ export const getMilestone = async (req, res) => {
     }
 
     // Check if user is part of the relationship
-    if (!milestone.relationship.initiator.equals(req.user.id) && !milestone.relationship.partner.equals(req.user.id)) {
+    if (!milestone.relationship.includesUser(req.user.id)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -157,7 +161,7 @@ export const updateMilestone = async (req, res) => {
     }
 
     // Check if user is part of the relationship
-    if (!milestone.relationship.initiator.equals(req.user.id) && !milestone.relationship.partner.equals(req.user.id)) {
+    if (!milestone.relationship.includesUser(req.user.id)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -208,7 +212,7 @@ export const completeMilestone = async (req, res) => {
     }
 
     // Check if user is part of the relationship
-    if (!milestone.relationship.initiator.equals(req.user.id) && !milestone.relationship.partner.equals(req.user.id)) {
+    if (!milestone.relationship.includesUser(req.user.id)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -224,6 +228,7 @@ export const completeMilestone = async (req, res) => {
     await Relationship.findByIdAndUpdate(milestone.relationship._id, {
       $inc: { 'stats.milestonesAchieved': 1 }
     });
+    await refreshRelationshipHealth(milestone.relationship._id);
 
     // Create certificate if specified in rewards
     if (milestone.rewards.certificate) {
@@ -236,50 +241,32 @@ export const completeMilestone = async (req, res) => {
         level: milestone.difficulty === 'expert' ? 'platinum' : 
                milestone.difficulty === 'hard' ? 'gold' : 
                milestone.difficulty === 'medium' ? 'silver' : 'bronze',
-        recipients: [
-          { user: milestone.relationship.initiator },
-          { user: milestone.relationship.partner }
-        ]
+        recipients: milestone.relationship.getMembers()
+          .filter(member => member.status === 'active')
+          .map(member => ({ user: member.user }))
       });
 
       await certificate.save();
 
       // Notify about certificate
-      await Notification.create({
-        recipient: milestone.relationship.initiator,
-        sender: req.user.id,
-        type: 'certificate_earned',
-        title: 'Certificate Earned',
-        message: `You earned a certificate for completing "${milestone.title}"`,
-        category: 'achievement',
-        metadata: {
-          certificateId: certificate._id,
-          milestoneId: milestone._id
-        }
-      });
-
-      await Notification.create({
-        recipient: milestone.relationship.partner,
-        sender: req.user.id,
-        type: 'certificate_earned',
-        title: 'Certificate Earned',
-        message: `You earned a certificate for completing "${milestone.title}"`,
-        category: 'achievement',
-        metadata: {
-          certificateId: certificate._id,
-          milestoneId: milestone._id
-        }
-      });
+      for (const recipient of certificate.recipients) {
+        await Notification.createNotification({
+          recipient: recipient.user,
+          sender: req.user.id,
+          type: 'certificate_earned',
+          title: 'Certificate Earned',
+          message: `You earned a certificate for completing "${milestone.title}"`,
+          category: 'achievement',
+          metadata: {
+            certificateId: certificate._id,
+            milestoneId: milestone._id
+          }
+        });
+      }
     }
 
-    // Notify the other person about milestone completion
-    const partnerId = milestone.relationship.initiator.equals(req.user.id) 
-      ? milestone.relationship.partner 
-      : milestone.relationship.initiator;
-
-    await Notification.create({
-      recipient: partnerId,
-      sender: req.user.id,
+    // Notify the other members about milestone completion
+    await notifyMembers(milestone.relationship, req.user.id, {
       type: 'milestone_achieved',
       title: 'Milestone Completed',
       message: `${req.user.firstName} ${req.user.lastName} completed the milestone: "${milestone.title}"`,
@@ -321,7 +308,7 @@ export const addEvidence = async (req, res) => {
     }
 
     // Check if user is part of the relationship
-    if (!milestone.relationship.initiator.equals(req.user.id) && !milestone.relationship.partner.equals(req.user.id)) {
+    if (!milestone.relationship.includesUser(req.user.id)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -362,7 +349,7 @@ export const deleteMilestone = async (req, res) => {
     }
 
     // Check if user is part of the relationship
-    if (!milestone.relationship.initiator.equals(req.user.id) && !milestone.relationship.partner.equals(req.user.id)) {
+    if (!milestone.relationship.includesUser(req.user.id)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -0,0 +1,136 @@
+import { validationResult } from 'express-validator';
+import Identity from '../models/Identity.js';
+import User from '../models/User.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import { getProviderNames, getProvider, buildAuthorizationUrl, exchangeCode, resolveUserFromClaims } from '../services/oidc.js';
+import { sendLockedResponse } from '../services/loginSecurity.js';
+import { completeLogin, sendTwoFactorChallenge, claimPendingInvitations } from './authController.js';
+import { HttpError } from '../utils/httpError.js';
+
+export const getOidcProviders = async (req, res) => {
+  const providers = getProviderNames()
+    .map(getProvider)
+    .filter(Boolean)
+    .map(provider => ({ name: provider.name, label: provider.label }));
+
+  res.json({ providers });
+};
+
+export const startOidcLogin = async (req, res, next) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Unknown identity provider' });
+    }
+
+    const { authorizationUrl, state } = await buildAuthorizationUrl(provider);
+
+    res.json({ authorizationUrl, state });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
+    console.error('Start OIDC login error:', error);
+    res.status(500).json({ message: 'Server error starting login' });
+  }
+};
+
+export const completeOidcLogin = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Unknown identity provider' });
+    }
+
+    const claims = await exchangeCode(provider, req.body);
+    const { user, created } = await resolveUserFromClaims(provider, claims);
+
+    // The provider vouched for the address, so invitations to it can be handed over
+    if (created) {
+      await claimPendingInvitations(user);
+    }
+
+    if (user.isLocked()) {
+      await LoginAttempt.record(req, { user, success: false, reason: 'account_locked', method: 'oidc' });
+      return sendLockedResponse(res, user.loginSecurity.lockUntil);
+    }
+
+    if (!user.isActive) {
+      await LoginAttempt.record(req, { user, success: false, reason: 'account_deactivated', method: 'oidc' });
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
+    // Existing accounts keep their second factor; new ones can't have one yet
+    if (!created && user.twoFactor?.enabled) {
+      await sendTwoFactorChallenge(user, res);
+      return;
+    }
+
+    await completeLogin(user, req, res, 'oidc');
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
+    console.error('Complete OIDC login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+};
+
+export const getIdentities = async (req, res) => {
+  try {
+    const identities = await Identity.find({ user: req.user.id }).sort({ createdAt: 1 });
+
+    res.json({
+      identities: identities.map(identity => ({
+        id: identity._id,
+        provider: identity.provider,
+        label: getProvider(identity.provider)?.label || identity.provider,
+        email: identity.email,
+        lastLoginAt: identity.lastLoginAt,
+        linkedAt: identity.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get identities error:', error);
+    res.status(500).json({ message: 'Server error fetching identities' });
+  }
+};
+
+export const unlinkIdentity = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const identity = await Identity.findOne({ _id: req.params.id, user: req.user.id });
+    if (!identity) {
+      return res.status(404).json({ message: 'Identity not found' });
+    }
+
+    // Never leave an account without a way to log in
+    const user = await User.findById(req.user.id).select('hasPassword');
+    const identityCount = await Identity.countDocuments({ user: req.user.id });
+    if (!user.hasPassword && identityCount <= 1) {
+      return res.status(400).json({ message: 'Set a password before unlinking your last sign-in method' });
+    }
+
+    await identity.deleteOne();
+
+    res.json({ message: 'Identity unlinked successfully' });
+  } catch (error) {
+    console.error('Unlink identity error:', error);
+    res.status(500).json({ message: 'Server error unlinking identity' });
+  }
+};
@@ -1,8 +1,30 @@
 import { validationResult } from 'express-validator';
-import Relationship from '../models/Relationship.js';
+import Relationship, { RELATIONSHIP_PERMISSIONS } from '../models/Relationship.js';
 import User from '../models/User.js';
-import Notification from '../models/Notification.js';
-// import RelationshipHistory from '../models/RelationshipHistory.js';
+import InviteCode from '../models/InviteCode.js';
+import PendingInvitation from '../models/PendingInvitation.js';
+import Block from '../models/Block.js';
+import { verifyPurposeToken } from '../services/authTokens.js';
+import {
+  getInviteRejection,
+  createPendingRelationship,
+  createPendingInvitation,
+  hasReachedInvitationLimit
+} from '../services/relationshipInvites.js';
+import { transitionRelationship, getAvailableTransitions } from '../services/relationshipStateMachine.js';
+import {
+  GROUP_MAX_MEMBERS,
+  inviteMembers,
+  respondToInvitation,
+  removeMember as removeGroupMember,
+  changeMemberRole
+} from '../services/relationshipMembers.js';
+import { permissionDenied } from '../services/relationshipPermissions.js';
+import { updateRelationshipFields, changePermissions } from '../services/changeProposals.js';
+import { assessRelationshipHealth } from '../services/relationshipHealth.js';
+import ChangeProposal from '../models/ChangeProposal.js';
+import RelationshipHistory from '../models/RelationshipHistory.js';
+import { HttpError } from '../utils/httpError.js';
 
 export const createRelationship = async (req, res) => {
   try {
@@ -14,83 +36,155 @@ export const createRelationship = async (req, res) => {
       });
     }
 
-    const { partnerEmail, title, type = 'acquaintance', description = '' } = req.body;
+    const { partnerEmail, title, type, description } = req.body;
 
-    // Find partner by email
+    // Someone who blocked the inviter gets the same treatment as an unknown address
     const partner = await User.findOne({ email: partnerEmail });
-    if (!partner) {
-      return res.status(404).json({ message: 'User not found with this email' });
+    const rejection = partner && await getInviteRejection(req.user.id, partner);
+
+    if (!partner || rejection?.blockedByPartner) {
+      if (await hasReachedInvitationLimit(req.user.id)) {
+        return res.status(429).json({ message: 'You have sent too many invitations today. Please try again tomorrow.' });
+      }
+
+      if (!partner) {
+        await createPendingInvitation(req.user, partnerEmail, { title, type, description });
+      }
+
+      return res.status(202).json({
+        message: 'This person is not on RelationApp yet. We emailed them an invitation to sign up.'
+      });
     }
 
-    // Check if user is trying to create relationship with themselves
-    if (partner._id.toString() === req.user.id) {
-      return res.status(400).json({ message: 'Cannot create relationship with yourself' });
+    if (rejection) {
+      return res.status(rejection.status).json({ message: rejection.message, ...rejection.details });
     }
 
-    // Check if relationship already exists
-    const existingRelationship = await Relationship.findOne({
-      $or: [
-        { initiator: req.user.id, partner: partner._id },
-        { initiator: partner._id, partner: req.user.id }
-      ]
+    const relationship = await createPendingRelationship(req.user, partner, { title, type, description });
+
+    res.status(201).json({
+      message: 'Relationship invitation sent successfully',
+      relationship
     });
+  } catch (error) {
+    console.error('Create relationship error:', error);
+    res.status(500).json({ message: 'Server error during relationship creation' });
+  }
+};
 
-    if (existingRelationship) {
-      return res.status(400).json({ message: 'Relationship already exists' });
+export const redeemInviteCode = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
-    // Create new relationship
-    const relationship = new Relationship({
-      initiator: req.user.id,
-      partner: partner._id,
-      title,
-      type,
-      description,
-      status: 'pending'
-    });
+    const invalidMessage = 'Invite code is invalid or has expired';
 
-    await relationship.save();
+    let decoded;
+    try {
+      decoded = verifyPurposeToken(req.params.code, 'invite');
+    } catch (tokenError) {
+      return res.status(400).json({ message: invalidMessage });
+    }
 
-    // Populate the relationship data
-    await relationship.populate([
-      { path: 'initiator', select: 'username firstName lastName avatar' },
-      { path: 'partner', select: 'username firstName lastName avatar' }
-    ]);
+    const invite = await InviteCode.findById(decoded.inviteId);
+    if (!invite || !invite.isRedeemable()) {
+      return res.status(400).json({ message: invalidMessage });
+    }
+
+    const partner = await User.findOne({ _id: invite.user, registrationId: invite.registrationId, isActive: true });
+    if (!partner) {
+      return res.status(400).json({ message: invalidMessage });
+    }
 
-    // Log relationship creation
-    // await RelationshipHistory.create({
-    //   relationshipId: relationship._id,
-    //   eventType: 'created',
-    //   actor: req.user.id,
-    //   targetUser: partner._id,
-    //   details: { title: relationship.title, type: relationship.type }
-    // });
-
-    // Create notification for partner
-    await Notification.create({
-      recipient: partner._id,
-      sender: req.user.id,
-      type: 'relationship_invite',
-      title: 'New Relationship Invitation',
-      message: `${req.user.firstName} ${req.user.lastName} wants to start a "${title}" relationship with you`,
-      category: 'relationship',
-      actionRequired: true,
-      actions: [
-        { type: 'accept', label: 'Accept', url: `/relationships/${relationship._id}/accept` },
-        { type: 'decline', label: 'Decline', url: `/relationships/${relationship._id}/decline` }
-      ],
-      metadata: {
-        relationshipId: relationship._id
+    const rejection = await getInviteRejection(req.user.id, partner);
+    if (rejection) {
+      if (rejection.blockedByPartner) {
+        return res.status(rejection.status).json({ message: invalidMessage });
       }
+      return res.status(rejection.status).json({ message: rejection.message, ...rejection.details });
+    }
+
+    // Claim single-use codes atomically so two scans cannot both succeed
+    const usedAt = new Date();
+    const claimFilter = invite.singleUse ? { _id: invite._id, usedAt: null } : { _id: invite._id };
+    const claimed = await InviteCode.findOneAndUpdate(claimFilter, {
+      $inc: { useCount: 1 },
+      usedAt,
+      usedBy: req.user.id
     });
+    if (!claimed) {
+      return res.status(400).json({ message: invalidMessage });
+    }
+
+    let relationship;
+    try {
+      relationship = await createPendingRelationship(req.user, partner, req.body);
+    } catch (createError) {
+      // Hand the claim back so a failed attempt doesn't use the code up
+      await InviteCode.updateOne(
+        { _id: invite._id, usedAt, usedBy: req.user.id },
+        { $inc: { useCount: -1 }, usedAt: claimed.usedAt || null, usedBy: claimed.usedBy || null }
+      );
+      throw createError;
+    }
 
     res.status(201).json({
       message: 'Relationship invitation sent successfully',
       relationship
     });
   } catch (error) {
-    console.error('Create relationship error:', error);
-    res.status(500).json({ message: 'Server error during relationship creation' });
+    console.error('Redeem invite code error:', error);
+    res.status(500).json({ message: 'Server error redeeming invite code' });
+  }
+};
+
+export const getPendingInvitations = async (req, res) => {
+  try {
+    const invitations = await PendingInvitation.find({
+      inviter: req.user.id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    res.json({ invitations });
+  } catch (error) {
+    console.error('Get pending invitations error:', error);
+    res.status(500).json({ message: 'Server error fetching invitations' });
+  }
+};
+
+export const cancelPendingInvitation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await PendingInvitation.findOne({ _id: req.params.id, inviter: req.user.id });
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    if (!invitation.isOpen()) {
+      return res.status(400).json({ message: 'Invitation is no longer pending' });
+    }
+
+    invitation.status = 'canceled';
+    await invitation.save();
+
+    res.json({ message: 'Invitation canceled successfully' });
+  } catch (error) {
+    console.error('Cancel pending invitation error:', error);
+    res.status(500).json({ message: 'Server error canceling invitation' });
   }
 };
 
@@ -98,12 +192,7 @@ export const getRelationships = async (req, res) => {
   try {
     const { status, type, page = 1, limit = 10 } = req.query;
     
-    const filter = {
-      $or: [
-        { initiator: req.user.id },
-        { partner: req.user.id }
-      ]
-    };
+    const filter = Relationship.memberFilter(req.user.id);
 
     if (status) filter.status = status;
     if (type) filter.type = type;
@@ -113,6 +202,7 @@ export const getRelationships = async (req, res) => {
     const relationships = await Relationship.find(filter)
       .populate('initiator', 'username firstName lastName avatar')
       .populate('partner', 'username firstName lastName avatar')
+      .populate('members.user', 'username firstName lastName avatar')
       .populate({
         path: 'latestCertificate'
       }) // Populate the latestCertificate
@@ -157,6 +247,7 @@ export const getRelationship = async (req, res) => {
     const relationship = await Relationship.findById(req.params.id)
       .populate('initiator', 'username firstName lastName avatar bio')
       .populate('partner', 'username firstName lastName avatar bio')
+      .populate('members.user', 'username firstName lastName avatar bio')
       .populate({
         path: 'latestCertificate'
       }) // Populate the latestCertificate
@@ -173,19 +264,22 @@ export const getRelationship = async (req, res) => {
       return res.status(404).json({ message: 'Relationship not found' });
     }
 
-    // Check if user is part of this relationship
-    if (!relationship.includesUser(req.user.id)) {
+    // Check if user is part of this relationship; invitees may look at a group before joining
+    if (!relationship.getMember(req.user.id)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    res.json({ relationship });
+    res.json({
+      relationship,
+      availableTransitions: getAvailableTransitions(relationship, req.user.id)
+    });
   } catch (error) {
     console.error('Get relationship error:', error);
     res.status(500).json({ message: 'Server error fetching relationship' });
   }
 };
 
-export const updateRelationship = async (req, res) => {
+export const updateRelationship = async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -206,6 +300,10 @@ export const updateRelationship = async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    if (!relationship.can(req.user.id, 'editProfile')) {
+      return res.status(403).json(permissionDenied('editProfile'));
+    }
+
     // Only allow updates if relationship is active
     if (relationship.status !== 'active') {
       return res.status(400).json({ message: 'Can only update active relationships' });
@@ -220,35 +318,36 @@ export const updateRelationship = async (req, res) => {
       }
     });
 
-    const updatedRelationship = await Relationship.findByIdAndUpdate(
-      req.params.id,
-      updates,
-      { new: true, runValidators: true }
-    ).populate([
+    // Shared fields wait for the other side while mutual consent is required
+    const { proposal } = await updateRelationshipFields(relationship, req.user, updates);
+
+    const updatedRelationship = await relationship.populate([
       { path: 'initiator', select: 'username firstName lastName avatar' },
       { path: 'partner', select: 'username firstName lastName avatar' }
     ]);
 
-    // Log relationship update
-    // await RelationshipHistory.create({
-    //   relationshipId: updatedRelationship._id,
-    //   eventType: 'updated',
-    //   actor: req.user.id,
-    //   targetUser: updatedRelationship.getPartner(req.user.id),
-    //   details: { updates: updates }
-    // });
+    if (proposal) {
+      return res.status(202).json({
+        message: 'Changes proposed and waiting for consent',
+        relationship: updatedRelationship,
+        proposal
+      });
+    }
 
     res.json({
       message: 'Relationship updated successfully',
       relationship: updatedRelationship
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
     console.error('Update relationship error:', error);
     res.status(500).json({ message: 'Server error during relationship update' });
   }
 };
 
-export const acceptRelationship = async (req, res) => {
+export const acceptRelationship = async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -264,29 +363,16 @@ export const acceptRelationship = async (req, res) => {
       return res.status(404).json({ message: 'Relationship not found' });
     }
 
-    // Check if user is the partner (not the initiator)
-    if (relationship.partner.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Only the invited partner can accept this relationship' });
-    }
-
-    // Check if relationship is still pending
-    if (relationship.status !== 'pending') {
-      return res.status(400).json({ message: 'Relationship is not pending' });
+    // Group invitations change the member, not the relationship
+    if (relationship.isGroup()) {
+      await respondToInvitation(relationship, req.user, true);
+      await relationship.populate('members.user', 'username firstName lastName avatar');
+      return res.json({ message: 'Joined group successfully', relationship });
     }
 
-    // Update relationship status
-    relationship.status = 'active';
-    relationship.acceptedDate = new Date();
-    await relationship.save();
-
-    // Log relationship acceptance
-    // await RelationshipHistory.create({
-    //   relationshipId: relationship._id,
-    //   eventType: 'accepted',
-    //   actor: req.user.id,
-    //   targetUser: relationship.initiator._id,
-    //   details: { title: relationship.title, type: relationship.type }
-    // });
+    // The same endpoint answers a first invitation and a rekindle request
+    const event = relationship.status === 'requested_rekindle' ? 'accept_rekindle' : 'accept';
+    await transitionRelationship(relationship, event, { actor: req.user });
 
     // Populate the relationship data
     await relationship.populate([
@@ -294,30 +380,20 @@ export const acceptRelationship = async (req, res) => {
       { path: 'partner', select: 'username firstName lastName avatar' }
     ]);
 
-    // Create notification for initiator
-    await Notification.create({
-      recipient: relationship.initiator._id,
-      sender: req.user.id,
-      type: 'relationship_accepted',
-      title: 'Relationship Accepted',
-      message: `${req.user.firstName} ${req.user.lastName} accepted your "${relationship.title}" relationship invitation`,
-      category: 'relationship',
-      metadata: {
-        relationshipId: relationship._id
-      }
-    });
-
     res.json({
-      message: 'Relationship accepted successfully',
+      message: event === 'accept_rekindle' ? 'Relationship rekindled successfully' : 'Relationship accepted successfully',
       relationship
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
     console.error('Accept relationship error:', error);
     res.status(500).json({ message: 'Server error during relationship acceptance' });
   }
 };
 
-export const declineRelationship = async (req, res) => {
+export const declineRelationship = async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -333,51 +409,27 @@ export const declineRelationship = async (req, res) => {
       return res.status(404).json({ message: 'Relationship not found' });
     }
 
-    // Check if user is the partner (not the initiator)
-    if (relationship.partner.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Only the invited partner can decline this relationship' });
-    }
-
-    // Check if relationship is still pending
-    if (relationship.status !== 'pending') {
-      return res.status(400).json({ message: 'Relationship is not pending' });
+    if (relationship.isGroup()) {
+      await respondToInvitation(relationship, req.user, false);
+      return res.json({ message: 'Group invitation declined' });
     }
 
-    // Delete the relationship
-    await Relationship.findByIdAndDelete(req.params.id);
-
-    // Log relationship decline
-    // await RelationshipHistory.create({
-    //   relationshipId: relationship._id,
-    //   eventType: 'declined',
-    //   actor: req.user.id,
-    //   targetUser: relationship.initiator._id,
-    //   details: { title: relationship.title, type: relationship.type }
-    // });
-
-    // Create notification for initiator
-    await Notification.create({
-      recipient: relationship.initiator._id,
-      sender: req.user.id,
-      type: 'relationship_declined',
-      title: 'Relationship Declined',
-      message: `${req.user.firstName} ${req.user.lastName} declined your "${relationship.title}" relationship invitation`,
-      category: 'relationship',
-      metadata: {
-        relationshipId: relationship._id
-      }
-    });
+    const event = relationship.status === 'requested_rekindle' ? 'decline_rekindle' : 'decline';
+    await transitionRelationship(relationship, event, { actor: req.user });
 
     res.json({
-      message: 'Relationship declined successfully'
+      message: event === 'decline_rekindle' ? 'Rekindle request declined' : 'Relationship declined successfully'
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
     console.error('Decline relationship error:', error);
     res.status(500).json({ message: 'Server error during relationship decline' });
   }
 };
 
-export const deleteRelationship = async (req, res) => {
+export const deleteRelationship = async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -398,30 +450,30 @@ export const deleteRelationship = async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Archive instead of delete if relationship is active
+    // Active relationships are archived rather than deleted; invitations are
+    // canceled by the sender or declined by the invitee
+    let event = 'remove';
     if (relationship.status === 'active') {
-      relationship.status = 'archived';
-      relationship.endDate = new Date();
-      await relationship.save();
+      event = 'archive';
+    } else if (relationship.status === 'pending') {
+      event = relationship.initiator.equals(req.user.id) ? 'cancel_invitation' : 'decline';
+    }
 
-      res.json({
-        message: 'Relationship archived successfully'
-      });
-    } else {
-      // Delete if pending or already ended
-      await Relationship.findByIdAndDelete(req.params.id);
+    await transitionRelationship(relationship, event, { actor: req.user });
 
-      res.json({
-        message: 'Relationship deleted successfully'
-      });
-    }
+    res.json({
+      message: event === 'archive' ? 'Relationship archived successfully' : 'Relationship deleted successfully'
+    });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
     console.error('Delete relationship error:', error);
     res.status(500).json({ message: 'Server error during relationship deletion' });
   }
 };
 
-export const requestBreakup = async (req, res) => {
+export const requestBreakup = async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -441,53 +493,22 @@ export const requestBreakup = async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    if (relationship.status !== 'active') {
-      return res.status(400).json({ message: 'Can only request breakup for active relationships' });
-    }
-
-    relationship.status = 'requested_breakup';
-    relationship.breakupRequestedBy = req.user.id; // New field
-    await relationship.save();
+    await transitionRelationship(relationship, 'request_breakup', { actor: req.user });
 
     res.json({
       message: 'Breakup request sent successfully',
       relationship
     });
-
-    const partnerId = relationship.getPartner(req.user.id);
-    // No need to await these, let them run in background. If they fail, log it but don't block response.
-    Notification.create({
-      recipient: partnerId,
-      sender: req.user.id,
-      type: 'breakup_request',
-      title: 'Breakup Request',
-      message: `${req.user.firstName} ${req.user.lastName} has requested a breakup for your "${relationship.title}" relationship. Both parties must agree.`, 
-      category: 'relationship',
-      actionRequired: true,
-      actions: [
-        { type: 'accept', label: 'Confirm Breakup', url: `/relationships/${relationship._id}/confirm-breakup` },
-        { type: 'decline', label: 'Cancel Request', url: `/relationships/${relationship._id}/cancel-breakup-request` } 
-      ],
-      metadata: {
-        relationshipId: relationship._id
-      }
-    }).catch(notificationError => console.error('Error creating breakup request notification:', notificationError));
-
-    // RelationshipHistory.create({
-    //   relationshipId: relationship._id,
-    //   eventType: 'breakup_requested',
-    //   actor: req.user.id,
-    //   targetUser: partnerId,
-    //   details: { requestedBy: req.user.id }
-    // }).catch(historyError => console.error('Error creating breakup request history:', historyError));
-    
   } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
     console.error('Request breakup error:', error);
     res.status(500).json({ message: 'Server error during breakup request' });
   }
 };
 
-export const confirmBreakup = async (req, res) => {
+export const confirmBreakup = async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -507,53 +528,22 @@ export const confirmBreakup = async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    if (relationship.status !== 'requested_breakup') {
-      return res.status(400).json({ message: 'Relationship is not in breakup request state' });
-    }
-
-    // Ensure the confirming user is not the one who initiated the breakup request
-    if (relationship.breakupRequestedBy.toString() === req.user.id) {
-      return res.status(400).json({ message: 'You cannot confirm your own breakup request' });
-    }
-
-    relationship.status = 'ended';
-    relationship.endDate = new Date();
-    await relationship.save();
+    await transitionRelationship(relationship, 'confirm_breakup', { actor: req.user });
 
     res.json({
       message: 'Breakup confirmed successfully',
       relationship
     });
-
-    const initiatorId = relationship.breakupRequestedBy;
-    // No need to await these, let them run in background. If they fail, log it but don't block response.
-    Notification.create({
-      recipient: initiatorId,
-      sender: req.user.id,
-      type: 'breakup_confirmed',
-      title: 'Breakup Confirmed',
-      message: `${req.user.firstName} ${req.user.lastName} has confirmed the breakup for your "${relationship.title}" relationship. Your relationship has ended.`,
-      category: 'relationship',
-      metadata: {
-        relationshipId: relationship._id
-      }
-    }).catch(notificationError => console.error('Error creating breakup confirmed notification:', notificationError));
-
-    // RelationshipHistory.create({
-    //   relationshipId: relationship._id,
-    //   eventType: 'breakup_confirmed',
-    //   actor: req.user.id,
-    //   targetUser: initiatorId,
-    //   details: { confirmedBy: req.user.id }
-    // }).catch(historyError => console.error('Error creating breakup confirmed history:', historyError));
-  
   } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
     console.error('Confirm breakup error:', error);
     res.status(500).json({ message: 'Server error during breakup confirmation' });
   }
 };
 
-export const cancelBreakupRequest = async (req, res) => {
+export const cancelBreakupRequest = async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -563,59 +553,18 @@ export const cancelBreakupRequest = async (req, res) => {
       });
     }
 
-    const { id } = req.params;
-    const userId = req.user.id;
-
-    const relationship = await Relationship.findById(id);
+    const relationship = await Relationship.findById(req.params.id);
 
     if (!relationship) {
       return res.status(404).json({ message: 'Relationship not found' });
     }
 
     // Check if user is part of this relationship
-    if (!relationship.includesUser(userId)) {
+    if (!relationship.includesUser(req.user.id)) {
       return res.status(403).json({ message: 'Not authorized to cancel this request' });
     }
 
-    // Check if a breakup was actually requested
-    if (relationship.status !== 'requested_breakup') {
-      return res.status(400).json({ message: 'No breakup request pending for this relationship' });
-    }
-
-    // Only the user who requested the breakup can cancel it
-    if (relationship.breakupRequestedBy.toString() !== userId) {
-      return res.status(403).json({ message: 'Only the initiator can cancel the breakup request' });
-    }
-
-    // Revert relationship status to active
-    relationship.status = 'active';
-    relationship.breakupRequestedBy = undefined;
-    relationship.breakupRequestedAt = undefined;
-    await relationship.save();
-
-    // Log relationship history
-    // await RelationshipHistory.create({
-    //   relationshipId: relationship._id,
-    //   eventType: 'breakup_request_canceled',
-    //   initiatedBy: userId,
-    //   details: { message: 'Breakup request canceled by initiator' }
-    // });
-
-    // Notify the other partner
-    const partnerId = relationship.getPartner(userId);
-    if (partnerId) {
-      await Notification.create({
-        recipient: partnerId,
-        sender: userId,
-        type: 'breakup_request_canceled',
-        title: 'Breakup Request Canceled',
-        message: `${req.user.firstName} ${req.user.lastName} has canceled the breakup request for your "${relationship.title}" relationship. Your relationship is now active again.`,
-        category: 'relationship',
-        metadata: {
-          relationshipId: relationship._id
-        }
-      });
-    }
+    await transitionRelationship(relationship, 'cancel_breakup', { actor: req.user });
 
     res.json({
       success: true,
@@ -623,193 +572,431 @@ export const cancelBreakupRequest = async (req, res) => {
       relationship
     });
   } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
     console.error('Cancel breakup request error:', error);
     res.status(500).json({ message: 'Server error during breakup request cancellation' });
   }
 };
 
-// export const getUserHistory = async (req, res) => {
-//   try {
-//     const { userId } = req.params;
-//     const requestingUser = req.user.id;
-
-//     const targetUser = await User.findById(userId);
-//     if (!targetUser) {
-//       return res.status(404).json({ message: 'User not found' });
-//     }
-
-//     let canAccessHistory = false;
-//     if (targetUser.historyPrivacy === 'public') {
-//       canAccessHistory = true;
-//     } else if (targetUser.historyPrivacy === 'granted_only') {
-//       // Check if the requesting user has been explicitly granted access
-//       // This will require a new field on User model or a separate collection for grants
-//       // For now, we will assume this is handled on a relationship-by-relationship basis
-//       // We'll refine this when we implement the user-specific history access grant/revoke
-
-//       // For the scope of relationship history, if they are/were in a relationship and access was granted for that specific relationship.
-//       const existingRelationship = await Relationship.findOne({
-//         $or: [
-//           { initiator: requestingUser, partner: targetUser._id },
-//           { initiator: targetUser._id, partner: requestingUser }
-//         ],
-//         'historyAccess.granted': true
-//       });
-//       if (existingRelationship) {
-//         canAccessHistory = true;
-//       }
-//     }
-
-//     if (!canAccessHistory) {
-//       return res.status(403).json({ message: 'Access to this user\'s history is denied' });
-//     }
-
-//     const history = await RelationshipHistory.find({
-//       $or: [
-//         { actor: targetUser._id },
-//         { targetUser: targetUser._id }
-//       ]
-//     })
-//     .populate('relationshipId', 'title type')
-//     .populate('actor', 'username firstName lastName avatar')
-//     .populate('targetUser', 'username firstName lastName avatar')
-//     .sort({ eventDate: -1 });
-
-//     res.json({ history });
-
-//   } catch (error) {
-//     console.error('Get user history error:', error);
-//     res.status(500).json({ message: 'Server error fetching user history' });
-//   }
-// };
-
-// export const requestHistoryAccess = async (req, res) => {
-//   try {
-//     const errors = validationResult(req);
-//     if (!errors.isEmpty()) {
-//       return res.status(400).json({
-//         message: 'Validation failed',
-//         errors: errors.array()
-//       });
-//     }
-
-//     const relationship = await Relationship.findById(req.params.id);
-
-//     if (!relationship) {
-//       return res.status(404).json({ message: 'Relationship not found' });
-//     }
-
-//     // Check if user is part of this relationship
-//     if (!relationship.includesUser(req.user.id)) {
-//       return res.status(403).json({ message: 'Access denied' });
-//     }
-
-//     // Update history access request
-//     relationship.historyAccess.requested = true;
-//     relationship.historyAccess.requestedBy = req.user.id;
-//     relationship.historyAccess.requestedAt = new Date();
-//     await relationship.save();
-
-//     // Notify the other person
-//     const partnerId = relationship.getPartner(req.user.id);
-//     await Notification.create({
-//       recipient: partnerId,
-//       sender: req.user.id,
-//       type: 'history_access_request',
-//       title: 'History Access Request',
-//       message: `${req.user.firstName} ${req.user.lastName} wants to view your relationship history`,
-//       category: 'relationship',
-//       actionRequired: true,
-//       actions: [
-//         { type: 'accept', label: 'Review Request', url: `/relationships/${relationship._id}` },
-//         { type: 'decline', label: 'Dismiss', url: `/notifications` } // Changed to /notifications as a placeholder or dismiss action
-//       ],
-//       metadata: {
-//         relationshipId: relationship._id
-//       }
-//     });
-
-//     await RelationshipHistory.create({
-//       relationshipId: relationship._id,
-//       eventType: 'history_access_requested',
-//       actor: req.user.id,
-//       targetUser: partnerId,
-//       details: { requestedForRelationship: relationship._id }
-//     });
-
-//     res.json({
-//       message: 'History access request sent successfully'
-//     });
-//   } catch (error) {
-//     console.error('Request history access error:', error);
-//     res.status(500).json({ message: 'Server error during history access request' });
-//   }
-// };
-
-// export const grantHistoryAccess = async (req, res) => {
-//   try {
-//     const errors = validationResult(req);
-//     if (!errors.isEmpty()) {
-//       return res.status(400).json({
-//         message: 'Validation failed',
-//         errors: errors.array()
-//       });
-//     }
-
-//     const { granted = true } = req.body;
-//     const relationship = await Relationship.findById(req.params.id);
-
-//     if (!relationship) {
-//       return res.status(404).json({ message: 'Relationship not found' });
-//     }
-
-//     // Check if user is part of this relationship
-//     if (!relationship.includesUser(req.user.id)) {
-//       return res.status(403).json({ message: 'Access denied' });
-//     }
-
-//     // Update history access grant
-//     relationship.historyAccess.requested = true;
-//     relationship.historyAccess.granted = granted;
-//     relationship.historyAccess.grantedBy = req.user.id;
-//     relationship.historyAccess.grantedAt = new Date();
-//     await relationship.save();
-
-//     // Log history access granted/denied event
-//     await RelationshipHistory.create({
-//       relationshipId: relationship._id,
-//       eventType: granted ? 'history_access_granted' : 'history_access_denied',
-//       actor: req.user.id,
-//       targetUser: relationship.historyAccess.requestedBy,
-//       details: { grantedAccess: granted, relationshipId: relationship._id }
-//     });
-
-//     // Notify the requester
-//     const requesterId = relationship.historyAccess.requestedBy;
-//     if (requesterId) {
-//       await Notification.create({
-//         recipient: requesterId,
-//         sender: req.user.id,
-//         type: granted ? 'history_access_granted' : 'history_access_denied',
-//         title: granted ? 'History Access Granted' : 'History Access Denied',
-//         message: granted 
-//           ? `${req.user.firstName} ${req.user.lastName} granted you access to view relationship history`
-//           : `${req.user.firstName} ${req.user.lastName} denied your request to view relationship history`,
-//         category: 'relationship',
-//         actions: [
-//           { type: 'view', label: 'View Relationship', url: `/relationships/${relationship._id}` }
-//         ],
-//         metadata: {
-//           relationshipId: relationship._id
-//         }
-//       });
-//     }
-
-//     res.json({
-//       message: granted ? 'History access granted successfully' : 'History access denied'
-//     });
-//   } catch (error) {
-//     console.error('Grant history access error:', error);
-//     res.status(500).json({ message: 'Server error during history access grant' });
-//   }
-// };
\ No newline at end of file
+export const rekindleRelationship = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const relationship = await Relationship.findById(req.params.id);
+
+    if (!relationship) {
+      return res.status(404).json({ message: 'Relationship not found' });
+    }
+
+    if (!relationship.includesUser(req.user.id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Either side blocking the other ends any way back into the relationship
+    const partnerId = relationship.isGroup() ? null : relationship.getPartner(req.user.id);
+    if (partnerId && await Block.existsBetween(req.user.id, partnerId)) {
+      return res.status(404).json({ message: 'Relationship not found' });
+    }
+
+    const { title, type } = req.body;
+    await transitionRelationship(relationship, 'request_rekindle', { actor: req.user, title, type });
+
+    res.json({
+      message: 'Rekindle request sent successfully',
+      relationship
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
+    console.error('Rekindle relationship error:', error);
+    res.status(500).json({ message: 'Server error during rekindle request' });
+  }
+};
+
+export const cancelRekindleRequest = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const relationship = await Relationship.findById(req.params.id);
+
+    if (!relationship) {
+      return res.status(404).json({ message: 'Relationship not found' });
+    }
+
+    if (!relationship.includesUser(req.user.id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await transitionRelationship(relationship, 'cancel_rekindle', { actor: req.user });
+
+    res.json({
+      message: 'Rekindle request canceled successfully',
+      relationship
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
+    console.error('Cancel rekindle request error:', error);
+    res.status(500).json({ message: 'Server error during rekindle request cancellation' });
+  }
+};
+
+export const createGroup = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { title, type = 'family', description = '', memberEmails = [] } = req.body;
+
+    if (memberEmails.length >= GROUP_MAX_MEMBERS) {
+      return res.status(400).json({ message: `Groups cannot have more than ${GROUP_MAX_MEMBERS} members` });
+    }
+
+    const now = new Date();
+    const relationship = new Relationship({
+      kind: 'group',
+      initiator: req.user.id,
+      title,
+      type,
+      description,
+      status: 'active',
+      acceptedDate: now,
+      members: [{ user: req.user.id, role: 'owner', status: 'active', joinedAt: now }]
+    });
+
+    await relationship.actingAs(req.user.id).save();
+
+    // Only people with an account can be invited; the rest are ignored
+    const users = await User.find({ email: { $in: memberEmails }, isActive: true }).select('_id');
+    const { invited } = await inviteMembers(relationship, req.user, users);
+
+    await relationship.populate('members.user', 'username firstName lastName avatar');
+
+    res.status(201).json({
+      message: 'Group created successfully',
+      relationship,
+      invitedCount: invited.length
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
+    console.error('Create group error:', error);
+    res.status(500).json({ message: 'Server error during group creation' });
+  }
+};
+
+export const inviteGroupMembers = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const relationship = await Relationship.findById(req.params.id);
+
+    if (!relationship) {
+      return res.status(404).json({ message: 'Relationship not found' });
+    }
+
+    if (!relationship.includesUser(req.user.id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const users = await User.find({ email: { $in: req.body.memberEmails }, isActive: true }).select('_id');
+    const { invited } = await inviteMembers(relationship, req.user, users);
+
+    await relationship.populate('members.user', 'username firstName lastName avatar');
+
+    res.json({
+      message: 'Invitations sent successfully',
+      relationship,
+      invitedCount: invited.length
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
+    console.error('Invite group members error:', error);
+    res.status(500).json({ message: 'Server error inviting group members' });
+  }
+};
+
+export const removeMember = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const relationship = await Relationship.findById(req.params.id);
+
+    if (!relationship) {
+      return res.status(404).json({ message: 'Relationship not found' });
+    }
+
+    if (!relationship.includesUser(req.user.id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const leaving = req.params.userId === req.user.id.toString();
+    await removeGroupMember(relationship, req.user, req.params.userId);
+
+    res.json({
+      message: leaving ? 'You left the group' : 'Member removed successfully'
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
+    console.error('Remove member error:', error);
+    res.status(500).json({ message: 'Server error removing member' });
+  }
+};
+
+export const updateMemberRole = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const relationship = await Relationship.findById(req.params.id);
+
+    if (!relationship) {
+      return res.status(404).json({ message: 'Relationship not found' });
+    }
+
+    if (!relationship.includesUser(req.user.id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await changeMemberRole(relationship, req.user, req.params.userId, req.body.role);
+    await relationship.populate('members.user', 'username firstName lastName avatar');
+
+    res.json({
+      message: 'Member role updated successfully',
+      relationship
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
+    console.error('Update member role error:', error);
+    res.status(500).json({ message: 'Server error updating member role' });
+  }
+};
+
+export const getPermissions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const relationship = await Relationship.findById(req.params.id);
+
+    if (!relationship) {
+      return res.status(404).json({ message: 'Relationship not found' });
+    }
+
+    if (!relationship.includesUser(req.user.id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const members = relationship.getMembers().filter(member => member.status === 'active');
+    const pendingProposals = await ChangeProposal.find({
+      relationship: relationship._id,
+      kind: 'permissions',
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    }).populate('proposedBy member', 'username firstName lastName avatar');
+
+    res.json({
+      permissions: members.map(member => ({
+        user: member.user,
+        ...relationship.getPermissions(member.user)
+      })),
+      requireMutualConsent: relationship.settings.transparency.requireMutualConsent,
+      pendingProposals
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({ message: 'Server error fetching permissions' });
+  }
+};
+
+export const updatePermissions = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const relationship = await Relationship.findById(req.params.id);
+
+    if (!relationship) {
+      return res.status(404).json({ message: 'Relationship not found' });
+    }
+
+    if (!relationship.includesUser(req.user.id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { userId, permissions } = req.body;
+    const changes = {};
+    for (const permission of RELATIONSHIP_PERMISSIONS) {
+      if (typeof permissions[permission] === 'boolean') changes[permission] = permissions[permission];
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ message: 'No permission changes provided' });
+    }
+
+    const { proposal } = await changePermissions(relationship, req.user, userId, changes);
+
+    if (proposal) {
+      return res.status(202).json({
+        message: 'Permission change proposed and waiting for consent',
+        proposal
+      });
+    }
+
+    res.json({
+      message: 'Permissions updated successfully',
+      permissions: relationship.getPermissions(userId)
+    });
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return next(error);
+    }
+    console.error('Update permissions error:', error);
+    res.status(500).json({ message: 'Server error updating permissions' });
+  }
+};
+
+export const getRelationshipHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const relationship = await Relationship.findById(req.params.id);
+
+    if (!relationship) {
+      return res.status(404).json({ message: 'Relationship not found' });
+    }
+
+    if (!relationship.includesUser(req.user.id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!relationship.can(req.user.id, 'viewHistory')) {
+      return res.status(403).json(permissionDenied('viewHistory'));
+    }
+
+    const { eventType, from, to, page = 1, limit = 20 } = req.query;
+
+    const filter = { relationshipId: relationship._id };
+    if (eventType) filter.eventType = { $in: eventType.split(',') };
+    if (from || to) {
+      filter.eventDate = {};
+      if (from) filter.eventDate.$gte = new Date(from);
+      if (to) filter.eventDate.$lte = new Date(to);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const history = await RelationshipHistory.find(filter)
+      .populate('actor', 'username firstName lastName avatar')
+      .populate('targetUser', 'username firstName lastName avatar')
+      .sort({ eventDate: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await RelationshipHistory.countDocuments(filter);
+
+    res.json({
+      history,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get relationship history error:', error);
+    res.status(500).json({ message: 'Server error fetching relationship history' });
+  }
+};
+
+// The live score with what moved it. Stored stats catch up on the next
+// signal or the nightly pass.
+export const getRelationshipHealth = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const relationship = await Relationship.findById(req.params.id);
+
+    if (!relationship) {
+      return res.status(404).json({ message: 'Relationship not found' });
+    }
+
+    if (!relationship.includesUser(req.user.id)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const health = await assessRelationshipHealth(relationship);
+
+    res.json({ health });
+  } catch (error) {
+    console.error('Get relationship health error:', error);
+    res.status(500).json({ message: 'Server error fetching relationship health' });
+  }
+};
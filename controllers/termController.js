@@ -1,7 +1,9 @@
 import { validationResult } from 'express-validator';
 import Term from '../models/Term.js';
 import Relationship from '../models/Relationship.js';
-import Notification from '../models/Notification.js';
+import { notifyMembers } from '../services/relationshipMembers.js';
+import { permissionDenied } from '../services/relationshipPermissions.js';
+import { refreshRelationshipHealth } from '../services/relationshipHealth.js';
 
 export const createTerm = async (req, res) => {
   try {
@@ -13,7 +15,7 @@ export const createTerm = async (req, res) => {
       });
     }
 
-    const { relationshipId, title, description, category, priority = 'medium', expiresAt } = req.body;
+    const { relationshipId, title, description, category, priority = 'medium', expiresAt, quorum } = req.body;
 
     // Verify relationship exists and user is part of it
     const relationship = await Relationship.findById(relationshipId);
@@ -25,10 +27,20 @@ export const createTerm = async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    if (!relationship.can(req.user.id, 'createTerms')) {
+      return res.status(403).json(permissionDenied('createTerms'));
+    }
+
     if (relationship.status !== 'active') {
       return res.status(400).json({ message: 'Can only create terms for active relationships' });
     }
 
+    // Group terms need every member, or a quorum of them when one is given
+    const memberCount = relationship.countActiveMembers();
+    if (quorum && (!relationship.isGroup() || quorum > memberCount)) {
+      return res.status(400).json({ message: `Quorum must be between 2 and ${memberCount} for this relationship` });
+    }
+
     const term = new Term({
       relationship: relationshipId,
       createdBy: req.user.id,
@@ -36,7 +48,11 @@ export const createTerm = async (req, res) => {
       description,
       category,
       priority,
-      expiresAt
+      expiresAt,
+      ...(relationship.isGroup() && {
+        agreementRule: quorum ? 'quorum' : 'all',
+        requiredAgreements: Math.max(2, quorum || memberCount)
+      })
     });
 
     await term.save();
@@ -45,11 +61,8 @@ export const createTerm = async (req, res) => {
       { path: 'createdBy', select: 'username firstName lastName avatar' }
     ]);
 
-    // Notify the other person in the relationship
-    const partnerId = relationship.getPartner(req.user.id);
-    await Notification.create({
-      recipient: partnerId,
-      sender: req.user.id,
+    // Notify the other members of the relationship
+    await notifyMembers(relationship, req.user.id, {
       type: 'term_proposed',
       title: 'New Term Proposed',
       message: `${req.user.firstName} ${req.user.lastName} proposed a new term: "${title}"`,
@@ -124,7 +137,7 @@ export const getTerm = async (req, res) => {
     }
 
     const term = await Term.findById(req.params.id)
-      .populate('relationship', 'title type initiator partner')
+      .populate('relationship', 'title type kind initiator partner members')
       .populate('createdBy', 'username firstName lastName avatar')
       .populate('agreedBy.user', 'username firstName lastName avatar')
       .populate('violations.reportedBy', 'username firstName lastName avatar');
@@ -134,7 +147,7 @@ export const getTerm = async (req, res) => {
     }
 
     // Check if user is part of the relationship
-    if (!term.relationship.initiator.equals(req.user.id) && !term.relationship.partner.equals(req.user.id)) {
+    if (!term.relationship.includesUser(req.user.id)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -224,7 +237,7 @@ export const agreeTerm = async (req, res) => {
     }
 
     // Check if user is part of the relationship
-    if (!term.relationship.initiator.equals(req.user.id) && !term.relationship.partner.equals(req.user.id)) {
+    if (!term.relationship.includesUser(req.user.id)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -239,8 +252,8 @@ export const agreeTerm = async (req, res) => {
       signature: signature || `${req.user.firstName} ${req.user.lastName}`
     });
 
-    // Check if both parties have agreed
-    if (term.agreedBy.length >= 2) {
+    // Check if everyone needed has agreed
+    if (term.isFullyAgreed) {
       term.status = 'agreed';
     }
 
@@ -250,14 +263,8 @@ export const agreeTerm = async (req, res) => {
       { path: 'agreedBy.user', select: 'username firstName lastName avatar' }
     ]);
 
-    // Notify the other person
-    const partnerId = term.relationship.initiator.equals(req.user.id) 
-      ? term.relationship.partner 
-      : term.relationship.initiator;
-
-    await Notification.create({
-      recipient: partnerId,
-      sender: req.user.id,
+    // Notify the other members
+    await notifyMembers(term.relationship, req.user.id, {
       type: 'term_agreed',
       title: 'Term Agreement',
       message: `${req.user.firstName} ${req.user.lastName} agreed to the term: "${term.title}"`,
@@ -297,7 +304,7 @@ export const reportViolation = async (req, res) => {
     }
 
     // Check if user is part of the relationship
-    if (!term.relationship.initiator.equals(req.user.id) && !term.relationship.partner.equals(req.user.id)) {
+    if (!term.relationship.includesUser(req.user.id)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -309,15 +316,10 @@ export const reportViolation = async (req, res) => {
     });
 
     await term.save();
+    await refreshRelationshipHealth(term.relationship._id);
 
-    // Notify the other person
-    const partnerId = term.relationship.initiator.equals(req.user.id) 
-      ? term.relationship.partner 
-      : term.relationship.initiator;
-
-    await Notification.create({
-      recipient: partnerId,
-      sender: req.user.id,
+    // Notify the other members
+    await notifyMembers(term.relationship, req.user.id, {
       type: 'term_violated',
       title: 'Term Violation Reported',
       message: `${req.user.firstName} ${req.user.lastName} reported a violation of the term: "${term.title}"`,
@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+import { validationResult } from 'express-validator';
+import User from '../models/User.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import { completeLogin } from './authController.js';
+import {
+  TWO_FACTOR_FIELDS,
+  normalizeRecoveryCode,
+  verifySecondFactor,
+  registerFailedLogin,
+  sendLockedResponse,
+  openTwoFactorChallenge,
+  consumeTwoFactorChallenge
+} from '../services/loginSecurity.js';
+import { hashToken } from '../utils/tokens.js';
+import { generateSecret, verifyTotp, buildOtpauthUri } from '../utils/totp.js';
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'RelationApp';
+const RECOVERY_CODE_COUNT = 10;
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+  };
+};
+
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+    });
+  } catch (error) {
+    console.error('Setup two-factor error:', error);
+    res.status(500).json({ message: 'Server error during two-factor setup' });
+  }
+};
+
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({ message: 'Server error enabling two-factor authentication' });
+  }
+};
+
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    // Accounts without a password confirm with the second factor alone
+    if (user.hasPassword && !(await user.comparePassword(password || ''))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({ message: 'Server error disabling two-factor authentication' });
+  }
+};
+
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.json({
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ message: 'Server error regenerating recovery codes' });
+  }
+};
+
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    // Every call spends one of the challenge's attempts, right or wrong
+    const challenge = await openTwoFactorChallenge(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired. Please log in again.' });
+    }
+
+    const user = await User.findById(challenge.userId).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired. Please log in again.' });
+    }
+
+    if (user.isLocked()) {
+      await LoginAttempt.record(req, { user, success: false, reason: 'account_locked', method: 'two_factor' });
+      return sendLockedResponse(res, user.loginSecurity.lockUntil);
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      await LoginAttempt.record(req, { user, success: false, reason: 'invalid_two_factor_code', method: 'two_factor' });
+      const lockUntil = await registerFailedLogin(user);
+      if (lockUntil) {
+        return sendLockedResponse(res, lockUntil);
+      }
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    if (!await consumeTwoFactorChallenge(challenge.challengeId)) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired. Please log in again.' });
+    }
+
+    // completeLogin saves the user, persisting the consumed code/step
+    await completeLogin(user, req, res, 'two_factor');
+  } catch (error) {
+    console.error('Verify two-factor error:', error);
+    res.status(500).json({ message: 'Server error during two-factor verification' });
+  }
+};
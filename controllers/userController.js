@@ -0,0 +1,107 @@
+import { validationResult } from 'express-validator';
+import User from '../models/User.js';
+import Relationship from '../models/Relationship.js';
+import Certificate from '../models/Certificate.js';
+import Block from '../models/Block.js';
+import { getAvatarUrls } from '../services/avatars.js';
+
+const publicUser = (user) => ({
+  username: user.username,
+  fullName: user.fullName,
+  avatar: user.avatar
+});
+
+export const getPublicProfile = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const owner = await User.findOne({ username: req.params.username, isActive: true });
+    if (!owner) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const viewerId = req.user?.id;
+    const isOwner = viewerId === owner._id.toString();
+
+    if (viewerId && !isOwner && await Block.existsBetween(viewerId, owner._id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const ownerRelationships = { $or: [{ initiator: owner._id }, { partner: owner._id }] };
+
+    // Sharing an active relationship with the owner unlocks "friends" content
+    const isConnected = isOwner || Boolean(viewerId && await Relationship.exists({
+      status: 'active',
+      $or: [
+        { initiator: owner._id, partner: viewerId },
+        { initiator: viewerId, partner: owner._id }
+      ]
+    }));
+
+    // Users who opted out of discovery only show their profile to people they know
+    if (owner.privacy?.discoverability === 'none' && !isConnected) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Groups involve people beyond the owner, so only pairs are listed
+    const relationships = await Relationship.find({
+      ...ownerRelationships,
+      kind: { $ne: 'group' },
+      status: 'active',
+      privacy: { $in: isConnected ? ['public', 'friends'] : ['public'] }
+    })
+      .populate('initiator', 'username firstName lastName avatar')
+      .populate('partner', 'username firstName lastName avatar')
+      .sort({ acceptedDate: -1 });
+
+    const certificates = await Certificate.find({
+      'recipients.user': owner._id,
+      'sharing.isPublic': true,
+      'metadata.isRevoked': { $ne: true }
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      profile: {
+        username: owner.username,
+        firstName: owner.firstName,
+        lastName: owner.lastName,
+        fullName: owner.fullName,
+        bio: owner.bio,
+        avatar: owner.avatar,
+        avatarUrls: getAvatarUrls(owner),
+        memberSince: owner.createdAt,
+        relationships: relationships.map(relationship => {
+          const other = relationship.initiator._id.equals(owner._id) ? relationship.partner : relationship.initiator;
+          return {
+            id: relationship._id,
+            title: relationship.title,
+            type: relationship.type,
+            privacy: relationship.privacy,
+            since: relationship.acceptedDate || relationship.startDate,
+            partner: publicUser(other)
+          };
+        }),
+        certificates: certificates
+          .filter(certificate => certificate.isValid())
+          .map(certificate => ({
+            id: certificate._id,
+            title: certificate.title,
+            description: certificate.description,
+            type: certificate.type,
+            level: certificate.level,
+            issuedAt: certificate.createdAt
+          }))
+      },
+      viewerIsConnected: isConnected
+    });
+  } catch (error) {
+    console.error('Get public profile error:', error);
+    res.status(500).json({ message: 'Server error fetching profile' });
+  }
+};
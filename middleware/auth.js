@@ -1,5 +1,70 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import ApiToken, { API_TOKEN_PREFIX } from '../models/ApiToken.js';
+import { hashToken } from '../utils/tokens.js';
+
+// lastUsedAt is only written once per interval to keep token auth read-mostly
+const API_TOKEN_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Access tokens are always bound to a session and die with it. Anything else
+// signed with the same secret (tokens from before sessions existed, purpose
+// tokens such as 2FA challenges or verification links) is not an access token
+// and is refused.
+const isAccessToken = (decoded) => Boolean(decoded.sessionId) && !decoded.purpose;
+
+const isSessionActive = async (sessionId) => {
+  const session = await Session.findById(sessionId);
+  return Boolean(session && session.isActive());
+};
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Declares which API token scope resource a route belongs to. Must run before
+// authenticate; routes without a declared resource reject API tokens.
+export const apiScope = (resource) => (req, res, next) => {
+  req.apiScopeResource = resource;
+  next();
+};
+
+const authenticateApiToken = async (token, req, res, next) => {
+  const apiToken = await ApiToken.findOne({ tokenHash: hashToken(token) });
+
+  if (!apiToken || !apiToken.isUsable()) {
+    return res.status(401).json({ message: 'Invalid or expired API token.' });
+  }
+
+  if (!req.apiScopeResource) {
+    return res.status(403).json({ message: 'This endpoint cannot be used with an API token.' });
+  }
+
+  const requiredScope = `${req.apiScopeResource}:${READ_METHODS.includes(req.method) ? 'read' : 'write'}`;
+  if (!apiToken.hasScope(requiredScope)) {
+    return res.status(403).json({
+      message: `API token is missing the required scope: ${requiredScope}`,
+      requiredScope
+    });
+  }
+
+  const user = await User.findById(apiToken.user).select('-password');
+
+  if (!user) {
+    return res.status(401).json({ message: 'Invalid token. User not found.' });
+  }
+
+  if (!user.isActive) {
+    return res.status(401).json({ message: 'Account is deactivated.' });
+  }
+
+  if (!apiToken.lastUsedAt || Date.now() - apiToken.lastUsedAt.getTime() > API_TOKEN_TOUCH_INTERVAL_MS) {
+    ApiToken.updateOne({ _id: apiToken._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip })
+      .catch(error => console.error('API token touch error:', error));
+  }
+
+  req.user = user;
+  req.apiToken = apiToken;
+  next();
+};
 
 export const authenticate = async (req, res, next) => {
   try {
@@ -9,7 +74,15 @@ export const authenticate = async (req, res, next) => {
       return res.status(401).json({ message: 'Access denied. No token provided.' });
     }
 
+    if (token.startsWith(API_TOKEN_PREFIX)) {
+      return await authenticateApiToken(token, req, res, next);
+    }
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+    if (!isAccessToken(decoded)) {
+      return res.status(401).json({ message: 'Invalid token.' });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
@@ -20,7 +93,16 @@ export const authenticate = async (req, res, next) => {
       return res.status(401).json({ message: 'Account is deactivated.' });
     }
 
+    if (!(await isSessionActive(decoded.sessionId))) {
+      return res.status(401).json({ message: 'Session has been revoked.' });
+    }
+
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ message: 'Password was changed. Please log in again.' });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -37,12 +119,15 @@ export const optionalAuth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
-    if (token) {
+    // API tokens are only honoured on routes that require authentication
+    if (token && !token.startsWith(API_TOKEN_PREFIX)) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
-      const user = await User.findById(decoded.userId).select('-password');
+      const user = isAccessToken(decoded) && await User.findById(decoded.userId).select('-password');
       
-      if (user && user.isActive) {
+      if (user && user.isActive && !user.changedPasswordAfter(decoded.iat) &&
+          await isSessionActive(decoded.sessionId)) {
         req.user = user;
+        req.sessionId = decoded.sessionId;
       }
     }
     
@@ -51,4 +136,27 @@ export const optionalAuth = async (req, res, next) => {
     // For optional auth, we don't return errors, just continue without user
     next();
   }
-};
\ No newline at end of file
+};
+
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user?.emailVerified) {
+    return res.status(403).json({
+      message: 'Please verify your email address to continue.',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+  next();
+};
+
+// Must run after authenticate
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Access denied. No token provided.' });
+  }
+
+  if (!req.user.hasRole(...roles)) {
+    return res.status(403).json({ message: 'You do not have permission to perform this action.' });
+  }
+
+  next();
+};
@@ -1,4 +1,14 @@
+import { HttpError } from '../utils/httpError.js';
+
 export const errorHandler = (err, req, res, next) => {
+  // Expected failures go to the client as they are
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({
+      message: err.message,
+      ...err.details
+    });
+  }
+
   console.error('Error:', err);
 
   // Mongoose validation error
@@ -26,6 +36,13 @@ export const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Multer upload errors
+  if (err.name === 'MulterError') {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      message: err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message
+    });
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     return res.status(401).json({
@@ -0,0 +1,15 @@
+import multer from 'multer';
+import { AVATAR_MAX_BYTES, AVATAR_MIME_TYPES } from '../services/avatars.js';
+import { HttpError } from '../utils/httpError.js';
+
+// Uploads stay in memory; they are small and get re-encoded before storage
+export const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: AVATAR_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!AVATAR_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new HttpError(400, 'Avatars must be JPEG, PNG or WebP images'));
+    }
+    cb(null, true);
+  }
+}).single('avatar');
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+export const API_TOKEN_PREFIX = 'rlt_';
+
+const RESOURCES = ['profile', 'relationships', 'activities', 'milestones', 'terms', 'certificates', 'notifications'];
+export const API_TOKEN_SCOPES = RESOURCES.flatMap(resource => [`${resource}:read`, `${resource}:write`]);
+
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [50, 'Token name cannot exceed 50 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token, shown so users can tell tokens apart
+  displayPrefix: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: API_TOKEN_SCOPES
+  }],
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  expiresAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+apiTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// Method to check if token can still be used
+apiTokenSchema.methods.isUsable = function() {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && new Date() > this.expiresAt) return false;
+  return true;
+};
+
+// Method to check if token grants a scope; write access implies read access
+apiTokenSchema.methods.hasScope = function(scope) {
+  if (this.scopes.includes(scope)) return true;
+  const [resource, level] = scope.split(':');
+  return level === 'read' && this.scopes.includes(`${resource}:write`);
+};
+
+apiTokenSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+export default mongoose.model('ApiToken', apiTokenSchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  targetType: {
+    type: String,
+    enum: ['user', 'certificate', 'relationship', 'platform'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Audit entries are append-only
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+});
+
+// Static method to record an action performed through the request. Callers
+// record after the action has happened, so a failed write is logged rather
+// than turning a completed action into an error response.
+auditLogSchema.statics.record = async function(req, action, { type, id } = {}, details = {}) {
+  try {
+    return await this.create({
+      actor: req.user.id,
+      action,
+      targetType: type,
+      targetId: id,
+      details,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error);
+    return null;
+  }
+};
+
+export default mongoose.model('AuditLog', auditLogSchema);
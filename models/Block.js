@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+const blockSchema = new mongoose.Schema({
+  blocker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blocked: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+blockSchema.index({ blocked: 1 });
+
+// Static method to check whether either user has blocked the other
+blockSchema.statics.existsBetween = async function(userA, userB) {
+  const block = await this.exists({
+    $or: [
+      { blocker: userA, blocked: userB },
+      { blocker: userB, blocked: userA }
+    ]
+  });
+  return Boolean(block);
+};
+
+// Static method to get everyone a user should not see, in both directions
+blockSchema.statics.getHiddenUserIds = async function(userId) {
+  const blocks = await this.find({
+    $or: [{ blocker: userId }, { blocked: userId }]
+  }).select('blocker blocked');
+
+  return blocks.map(block => (block.blocker.equals(userId) ? block.blocked : block.blocker));
+};
+
+export default mongoose.model('Block', blockSchema);
@@ -77,7 +77,12 @@ const certificateSchema = new mongoose.Schema({
     revokedReason: String
   },
   sharing: {
+    // Shown on public profiles only once every recipient has agreed
     isPublic: { type: Boolean, default: false },
+    publicBy: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }], // recipients who agreed to show it publicly
     sharedOn: [String], // platforms where shared
     shareCount: { type: Number, default: 0 }
   },
@@ -133,4 +138,14 @@ certificateSchema.methods.incrementView = function() {
 
 certificateSchema.set('toJSON', { virtuals: true });
 
+// Method to record whether a recipient agrees to show the certificate publicly;
+// it only goes public once all of them have
+certificateSchema.methods.setPublicConsent = function(userId, agrees) {
+  const others = this.sharing.publicBy.filter(id => id.toString() !== userId.toString());
+  this.sharing.publicBy = agrees ? [...others, userId] : others;
+  this.sharing.isPublic = this.recipients
+    .filter(recipient => recipient.user)
+    .every(recipient => this.sharing.publicBy.some(id => id.toString() === recipient.user.toString()));
+};
+
 export default mongoose.model('Certificate', certificateSchema);
\ No newline at end of file
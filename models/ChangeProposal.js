@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+const changeProposalSchema = new mongoose.Schema({
+  relationship: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Relationship',
+    required: true
+  },
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Shared relationship fields, or one member's permissions
+  kind: {
+    type: String,
+    enum: ['fields', 'permissions'],
+    default: 'fields'
+  },
+  member: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }, // Whose permissions change, for permission proposals
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Field values when proposed; the proposal is outdated once they change
+  baseline: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Members whose answer counts
+  approvers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'countered', 'canceled', 'expired', 'outdated'],
+    default: 'pending'
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Message cannot exceed 300 characters'],
+    default: ''
+  },
+  counterOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChangeProposal'
+  }, // The proposal this one answers
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  respondedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+changeProposalSchema.index({ relationship: 1, status: 1 });
+changeProposalSchema.index({ status: 1, expiresAt: 1 });
+
+// Method to check if the proposal can still be answered
+changeProposalSchema.methods.isOpen = function() {
+  return this.status === 'pending' && new Date() < this.expiresAt;
+};
+
+// Method to check if the user's answer counts
+changeProposalSchema.methods.isApprover = function(userId) {
+  return this.approvers.some(approver => approver.toString() === userId.toString());
+};
+
+export default mongoose.model('ChangeProposal', changeProposalSchema);
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'expired'],
+    default: 'queued'
+  },
+  filePath: {
+    type: String,
+    select: false
+  },
+  fileSize: {
+    type: Number,
+    default: 0
+  },
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// Method to check if the archive can still be downloaded
+dataExportSchema.methods.isDownloadable = function() {
+  return this.status === 'completed' && (!this.expiresAt || new Date() < this.expiresAt);
+};
+
+dataExportSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.filePath;
+    return ret;
+  }
+});
+
+export default mongoose.model('DataExport', dataExportSchema);
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+const historyAccessGrantSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }, // Whose history is being requested
+  status: {
+    type: String,
+    enum: ['pending', 'granted', 'denied', 'revoked', 'expired', 'canceled'],
+    default: 'pending'
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Message cannot exceed 300 characters'],
+    default: ''
+  },
+  // What the owner agreed to share; empty lists mean everything
+  scope: {
+    relationships: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Relationship'
+    }],
+    eventTypes: [String]
+  },
+  requestExpiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date,
+  expiresAt: Date, // When a granted request stops giving access
+  revokedAt: Date,
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+historyAccessGrantSchema.index({ owner: 1, status: 1 });
+historyAccessGrantSchema.index({ requester: 1, status: 1 });
+historyAccessGrantSchema.index({ status: 1, requestExpiresAt: 1 });
+historyAccessGrantSchema.index({ status: 1, expiresAt: 1 });
+
+// Method to check if the request is still waiting for an answer
+historyAccessGrantSchema.methods.isAwaitingResponse = function() {
+  return this.status === 'pending' && new Date() < this.requestExpiresAt;
+};
+
+// Method to check if the grant currently gives access
+historyAccessGrantSchema.methods.isActive = function() {
+  return this.status === 'granted' && Boolean(this.expiresAt) && new Date() < this.expiresAt;
+};
+
+// Static method to find the grant that lets requester see owner's history
+historyAccessGrantSchema.statics.findActiveGrant = function(ownerId, requesterId) {
+  return this.findOne({
+    owner: ownerId,
+    requester: requesterId,
+    status: 'granted',
+    expiresAt: { $gt: new Date() }
+  }).sort({ expiresAt: -1 });
+};
+
+export default mongoose.model('HistoryAccessGrant', historyAccessGrantSchema);
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// An external OpenID Connect account linked to a user
+const identitySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's stable user identifier (the "sub" claim)
+  subject: {
+    type: String,
+    required: true
+  },
+  email: String,
+  lastLoginAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+identitySchema.index({ provider: 1, subject: 1 }, { unique: true });
+identitySchema.index({ user: 1 });
+
+export default mongoose.model('Identity', identitySchema);
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const inviteCodeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  registrationId: {
+    type: String,
+    required: true
+  },
+  singleUse: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: Date,
+  useCount: {
+    type: Number,
+    default: 0
+  },
+  usedAt: Date,
+  usedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+inviteCodeSchema.index({ user: 1, createdAt: -1 });
+
+// Method to check if the code can still be redeemed
+inviteCodeSchema.methods.isRedeemable = function() {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && new Date() > this.expiresAt) return false;
+  if (this.singleUse && this.usedAt) return false;
+  return true;
+};
+
+export default mongoose.model('InviteCode', inviteCodeSchema);
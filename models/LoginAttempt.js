@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+const loginAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['password', 'two_factor', 'magic_link', 'oidc'],
+    default: 'password'
+  },
+  reason: {
+    type: String,
+    enum: [
+      'success',
+      'invalid_password',
+      'unknown_email',
+      'account_locked',
+      'account_deactivated',
+      'invalid_two_factor_code'
+    ],
+    required: true
+  },
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 }); // keep 90 days
+
+// Static method to record an attempt made through the request
+loginAttemptSchema.statics.record = function(req, { user, email, success, reason, method }) {
+  return this.create({
+    user: user?._id,
+    email: email || user?.email,
+    success,
+    reason,
+    method,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+};
+
+export default mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+// One document per data migration that has run (or is running). An instance
+// holds a migration from startedAt until it completes or the claim goes stale.
+const migrationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+export default mongoose.model('Migration', migrationSchema);
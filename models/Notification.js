@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import Block from './Block.js';
 
 const notificationSchema = new mongoose.Schema({
   recipient: {
@@ -31,9 +32,16 @@ const notificationSchema = new mongoose.Schema({
       'breakup_request',
       'breakup_confirmed',
       'breakup_request_canceled',
+      'relationship_ended',
+      'rekindle_request',
+      'data_export_ready',
+      'account_locked',
       'history_access_request',
       'history_access_granted',
-      'history_access_denied'
+      'history_access_denied',
+      'history_access_revoked',
+      'history_access_expired',
+      'change_proposal'
     ],
     required: true
   },
@@ -145,8 +153,14 @@ notificationSchema.methods.isExpired = function() {
   return this.expiresAt && new Date() > this.expiresAt;
 };
 
-// Static method to create notification
+// Static method to create notification. Returns null when the recipient has
+// blocked the sender.
 notificationSchema.statics.createNotification = async function(data) {
+  if (data.sender && data.recipient) {
+    const blocked = await Block.exists({ blocker: data.recipient, blocked: data.sender });
+    if (blocked) return null;
+  }
+
   const notification = new this(data);
   await notification.save();
   
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+const pendingInvitationSchema = new mongoose.Schema({
+  inviter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    default: 'acquaintance'
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'converted', 'canceled'],
+    default: 'pending'
+  },
+  relationship: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Relationship'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+pendingInvitationSchema.index({ email: 1, status: 1 });
+pendingInvitationSchema.index({ inviter: 1, status: 1 });
+pendingInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL cleanup
+
+// Method to check if the invitation can still be turned into a relationship
+pendingInvitationSchema.methods.isOpen = function() {
+  return this.status === 'pending' && new Date() < this.expiresAt;
+};
+
+export default mongoose.model('PendingInvitation', pendingInvitationSchema);
@@ -1,16 +1,63 @@
 import mongoose from 'mongoose';
+import { snapshotRelationship, recordRelationshipSave, recordRelationshipDeletion } from '../services/relationshipHistory.js';
+
+// Member statuses that still count as being part of a relationship
+export const CURRENT_MEMBER_STATUSES = ['invited', 'active'];
+
+// How often members are in touch, as scored by the relationship health job
+export const COMMUNICATION_FREQUENCIES = ['daily', 'weekly', 'monthly', 'occasionally', 'rarely'];
+
+// Things a member can be allowed or stopped from doing in a relationship
+export const RELATIONSHIP_PERMISSIONS = ['createActivities', 'createMilestones', 'createTerms', 'editProfile', 'viewHistory'];
+
+const permissionFields = Object.fromEntries(RELATIONSHIP_PERMISSIONS.map(permission => [permission, Boolean]));
+
+const idOf = (value) => (value?._id || value)?.toString();
 
 const relationshipSchema = new mongoose.Schema({
+  // Pairs are two people in initiator/partner; groups keep everyone in `members`
+  kind: {
+    type: String,
+    enum: ['pair', 'group'],
+    default: 'pair'
+  },
   initiator: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
-  },
+  }, // For groups, the member who created it
   partner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return this.kind !== 'group'; }
   },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['owner', 'admin', 'member'],
+      default: 'member'
+    },
+    status: {
+      type: String,
+      enum: ['invited', 'active', 'declined', 'left', 'removed'],
+      default: 'invited'
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    },
+    joinedAt: Date,
+    leftAt: Date
+  }],
   type: {
     type: String,
     enum: ['acquaintance', 'friend', 'close_friend', 'best_friend', 'romantic_interest', 'partner', 'engaged', 'married', 'family', 'mentor', 'mentee'],
@@ -18,13 +65,56 @@ const relationshipSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'active', 'ended', 'archived', 'requested_breakup'],
+    enum: ['pending', 'active', 'ended', 'archived', 'requested_breakup', 'requested_rekindle'],
     default: 'pending'
   },
   breakupRequestedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  rekindleRequest: {
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: Date,
+    previousStatus: String, // Where a declined or canceled request returns to
+    title: String, // Optional title and type for the new chapter
+    type: { type: String }
+  },
+  // Number of the current chapter; earlier ones are kept in `chapters`
+  chapter: {
+    type: Number,
+    default: 1
+  },
+  chapters: [{
+    _id: false,
+    number: Number,
+    title: String,
+    type: { type: String },
+    startDate: Date,
+    acceptedDate: Date,
+    endDate: Date,
+    endStatus: String,
+    endReason: String,
+    stats: {
+      trustLevel: Number,
+      totalActivities: Number,
+      milestonesAchieved: Number
+    }
+  }],
+  // Every status change made through the state machine, oldest first
+  transitions: [{
+    _id: false,
+    event: { type: String, required: true },
+    from: String,
+    to: String,
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }, // Empty for changes made by the system
+    at: { type: Date, default: Date.now }
+  }],
   latestCertificate: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Certificate'
@@ -80,13 +170,17 @@ const relationshipSchema = new mongoose.Schema({
       terms: { type: Boolean, default: true },
       anniversaries: { type: Boolean, default: true }
     },
-    permissions: {
-      viewHistory: { type: Boolean, default: false },
-      editProfile: { type: Boolean, default: true },
-      createActivities: { type: Boolean, default: true },
-      createMilestones: { type: Boolean, default: true },
-      createTerms: { type: Boolean, default: true }
-    },
+    // What each member may do. Members without an entry, and permissions an
+    // entry leaves unset, are allowed; see relationship.can().
+    memberPermissions: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      ...permissionFields
+    }],
     transparency: {
       shareLocation: { type: Boolean, default: false },
       shareContacts: { type: Boolean, default: false },
@@ -117,7 +211,7 @@ const relationshipSchema = new mongoose.Schema({
     },
     communicationFrequency: {
       type: String,
-      enum: ['daily', 'weekly', 'monthly', 'occasionally', 'rarely'],
+      enum: COMMUNICATION_FREQUENCIES,
       default: 'occasionally'
     },
     lastInteraction: {
@@ -138,7 +232,14 @@ const relationshipSchema = new mongoose.Schema({
 });
 
 // Indexes for better performance
-relationshipSchema.index({ initiator: 1, partner: 1 }, { unique: true });
+// One relationship per pair of people. Groups have no partner, so the index
+// only covers pairs; a migration replaces the old unconditional
+// initiator_1_partner_1 index.
+relationshipSchema.index(
+  { initiator: 1, partner: 1 },
+  { unique: true, name: 'pair_unique', partialFilterExpression: { partner: { $exists: true } } }
+);
+relationshipSchema.index({ 'members.user': 1 });
 relationshipSchema.index({ status: 1 });
 relationshipSchema.index({ type: 1 });
 
@@ -149,18 +250,101 @@ relationshipSchema.virtual('duration').get(function() {
   return Math.floor((end - start) / (1000 * 60 * 60 * 24)); // days
 });
 
+// Query matching every relationship the user is part of or invited to. A
+// group's initiator is only its creator, who may have left since.
+relationshipSchema.statics.memberFilter = function(userId) {
+  return {
+    $or: [
+      { initiator: userId, kind: { $ne: 'group' } },
+      { partner: userId, kind: { $ne: 'group' } },
+      { members: { $elemMatch: { user: userId, status: { $in: CURRENT_MEMBER_STATUSES } } } }
+    ]
+  };
+};
+
+relationshipSchema.methods.isGroup = function() {
+  return this.kind === 'group';
+};
+
+// Members with their roles. Pairs don't store `members`, so theirs are
+// derived from initiator and partner.
+relationshipSchema.methods.getMembers = function() {
+  if (this.isGroup()) return this.members;
+  return [
+    { user: this.initiator, role: 'owner', status: 'active' },
+    { user: this.partner, role: 'member', status: this.status === 'pending' ? 'invited' : 'active' }
+  ];
+};
+
+// The user's current membership, if they are invited to or part of it
+relationshipSchema.methods.getMember = function(userId) {
+  return this.getMembers().find(member =>
+    idOf(member.user) === idOf(userId) && CURRENT_MEMBER_STATUSES.includes(member.status));
+};
+
 // Method to get the other person in the relationship
 relationshipSchema.methods.getPartner = function(userId) {
   return this.initiator.toString() === userId.toString() ? this.partner : this.initiator;
 };
 
-// Method to check if user is part of this relationship
+// Everyone who should hear about something the user did: the partner of a
+// pair, or the other active members of a group
+relationshipSchema.methods.getOtherMembers = function(userId) {
+  if (!this.isGroup()) return [this.getPartner(userId)];
+  return this.members
+    .filter(member => member.status === 'active' && idOf(member.user) !== idOf(userId))
+    .map(member => member.user);
+};
+
+relationshipSchema.methods.countActiveMembers = function() {
+  return this.getMembers().filter(member => member.status === 'active').length;
+};
+
+// Method to check if user is part of this relationship. Group members only
+// count once they have joined.
 relationshipSchema.methods.includesUser = function(userId) {
+  if (this.isGroup()) return this.getMember(userId)?.status === 'active';
   const objUserId = new mongoose.Types.ObjectId(userId);
   return this.initiator.equals(objUserId) || 
          this.partner.equals(objUserId);
 };
 
+// What the member may do in this relationship
+relationshipSchema.methods.getPermissions = function(userId) {
+  const entry = this.settings?.memberPermissions?.find(permissions => idOf(permissions.user) === idOf(userId));
+  return Object.fromEntries(RELATIONSHIP_PERMISSIONS.map(permission => [permission, entry?.[permission] ?? true]));
+};
+
+relationshipSchema.methods.can = function(userId, permission) {
+  return this.includesUser(userId) && this.getPermissions(userId)[permission];
+};
+
+// Method to record who is making the next change, for the history trail
+relationshipSchema.methods.actingAs = function(userId) {
+  this.$locals.actor = userId;
+  return this;
+};
+
+// History: remember how the document looked when loaded so saves can be diffed
+relationshipSchema.post('init', function() {
+  this.$locals.snapshot = snapshotRelationship(this);
+});
+
+relationshipSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+relationshipSchema.post('save', async function() {
+  await recordRelationshipSave(this, this.$locals);
+  this.$locals.wasNew = false;
+  this.$locals.snapshot = snapshotRelationship(this);
+});
+
+relationshipSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await recordRelationshipDeletion(this, this.$locals.actor);
+});
+
 relationshipSchema.set('toJSON', { virtuals: true });
 
 export default mongoose.model('Relationship', relationshipSchema);
\ No newline at end of file
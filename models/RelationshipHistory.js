@@ -3,23 +3,44 @@ import mongoose from 'mongoose';
 const relationshipHistorySchema = new mongoose.Schema({
   relationshipId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Relationship',
-    required: true
-  },
+    ref: 'Relationship'
+  }, // Empty for events about a user's history as a whole
   eventType: {
     type: String,
     enum: [
       'created',
       'accepted',
       'declined',
+      'canceled',
       'updated',
       'breakup_requested',
       'breakup_confirmed',
+      'breakup_request_canceled',
       'ended',
+      'archived',
+      'deleted',
+      'rekindle_requested',
+      'rekindle_declined',
+      'rekindle_canceled',
       'rekindled',
+      'member_invited',
+      'member_joined',
+      'member_declined',
+      'member_left',
+      'member_removed',
+      'member_role_changed',
+      'change_proposed',
+      'change_accepted',
+      'change_rejected',
+      'change_countered',
+      'change_canceled',
+      'change_expired',
       'history_access_requested',
       'history_access_granted',
       'history_access_denied',
+      'history_access_viewed',
+      'history_access_revoked',
+      'history_access_expired',
       'user_history_privacy_changed'
     ],
     required: true
@@ -30,9 +51,8 @@ const relationshipHistorySchema = new mongoose.Schema({
   },
   actor: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
+    ref: 'User'
+  }, // Empty for changes made by the system
   targetUser: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -46,6 +66,8 @@ const relationshipHistorySchema = new mongoose.Schema({
 
 relationshipHistorySchema.index({ relationshipId: 1, eventDate: -1 });
 relationshipHistorySchema.index({ actor: 1, eventDate: -1 });
+relationshipHistorySchema.index({ targetUser: 1, eventDate: -1 });
+relationshipHistorySchema.index({ relationshipId: 1, eventType: 1, eventDate: -1 });
 
 export default mongoose.model('RelationshipHistory', relationshipHistorySchema);
 
@@ -48,6 +48,17 @@ const termSchema = new mongoose.Schema({
     },
     signature: String
   }],
+  // How many members must agree before the term holds. Pair terms leave it
+  // unset and need both people; group terms set it when proposed.
+  requiredAgreements: {
+    type: Number,
+    min: 2
+  },
+  agreementRule: {
+    type: String,
+    enum: ['all', 'quorum'],
+    default: 'all'
+  },
   expiresAt: {
     type: Date
   },
@@ -93,8 +104,7 @@ termSchema.index({ category: 1 });
 
 // Virtual for agreement status
 termSchema.virtual('isFullyAgreed').get(function() {
-  // Get the relationship to check how many people should agree
-  return this.agreedBy.length >= 2; // Assuming 2 people in relationship
+  return this.agreedBy.length >= (this.requiredAgreements || 2);
 });
 
 // Method to check if user has agreed
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// Server-side half of a 2fa_challenge token. The token carries this
+// document's id as its jti, so guesses can be counted per challenge and a
+// challenge stops working once it has been used to log in.
+const twoFactorChallengeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  consumedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+twoFactorChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('TwoFactorChallenge', twoFactorChallengeSchema);
@@ -18,11 +18,45 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerificationSentAt: {
+    type: Date
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
   },
+  // False for accounts created through social login until a password is set
+  hasPassword: {
+    type: Boolean,
+    default: true
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  magicLinkTokenHash: {
+    type: String,
+    select: false
+  },
+  magicLinkExpires: {
+    type: Date,
+    select: false
+  },
   firstName: {
     type: String,
     required: [true, 'First name is required'],
@@ -46,6 +80,10 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Set when the avatar was uploaded rather than linked; part of its file URLs
+  avatarVersion: {
+    type: String
+  },
   bio: {
     type: String,
     maxlength: [500, 'Bio cannot exceed 500 characters'],
@@ -54,19 +92,60 @@ const userSchema = new mongoose.Schema({
   dateOfBirth: {
     type: Date
   },
+  roles: {
+    type: [{
+      type: String,
+      enum: ['user', 'support', 'admin']
+    }],
+    default: ['user']
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  deactivatedAt: {
+    type: Date
+  },
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date
+  },
+  deletedAt: {
+    type: Date
+  },
   lastLogin: {
     type: Date,
     default: Date.now
   },
-  // historyPrivacy: {
-  //   type: String,
-  //   enum: ['public', 'private', 'granted_only'],
-  //   default: 'private'
-  // },
+  loginSecurity: {
+    failedAttempts: { type: Number, default: 0 },
+    lastFailedAt: Date,
+    lockUntil: Date,
+    lockCount: { type: Number, default: 0 } // consecutive lockouts, drives the backoff
+  },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: Date,
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false }, // SHA-256 hashes
+    lastUsedStep: { type: Number, select: false } // guards against code replay
+  },
+  privacy: {
+    // How other users may find this account through search
+    discoverability: {
+      type: String,
+      enum: ['everyone', 'email', 'registration_id', 'none'],
+      default: 'everyone'
+    }
+  },
+  // Who may view this user's relationship history: nobody, people they
+  // grant access to, or every signed-in user
+  historyPrivacy: {
+    type: String,
+    enum: ['public', 'private', 'granted_only'],
+    default: 'private'
+  },
   preferences: {
     theme: {
       type: String,
@@ -91,6 +170,10 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    // Backdate slightly so tokens issued in the same second stay valid
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -116,6 +199,76 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check if login is currently locked
+userSchema.methods.isLocked = function() {
+  return Boolean(this.loginSecurity?.lockUntil && this.loginSecurity.lockUntil > new Date());
+};
+
+// Count a failed login; locks the account with exponential backoff once the
+// threshold is hit. Every step is a single atomic update so parallel wrong
+// guesses all count. Returns { lockUntil, lockedNow }: lockUntil is set while
+// the account is locked, lockedNow only for the failure that locked it.
+userSchema.statics.registerFailedLogin = async function(userId, now = new Date()) {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5', 10);
+  const baseMinutes = parseInt(process.env.LOGIN_LOCK_BASE_MINUTES || '1', 10);
+  const maxMinutes = parseInt(process.env.LOGIN_LOCK_MAX_MINUTES || '1440', 10);
+  const windowMinutes = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15', 10);
+
+  // Failures from before a quiet window no longer count
+  await this.updateOne(
+    { _id: userId, 'loginSecurity.lastFailedAt': { $lt: new Date(now.getTime() - windowMinutes * 60 * 1000) } },
+    { $set: { 'loginSecurity.failedAttempts': 0 } }
+  );
+
+  const counted = await this.findOneAndUpdate(
+    { _id: userId },
+    { $inc: { 'loginSecurity.failedAttempts': 1 }, $set: { 'loginSecurity.lastFailedAt': now } },
+    { new: true }
+  );
+  if (!counted) return { lockUntil: null, lockedNow: false };
+
+  const { failedAttempts, lockCount = 0, lockUntil } = counted.loginSecurity;
+  if (failedAttempts < maxAttempts) {
+    return { lockUntil: lockUntil > now ? lockUntil : null, lockedNow: false };
+  }
+
+  // Only one of several parallel failures gets to lock the account
+  const minutes = Math.min(baseMinutes * 2 ** lockCount, maxMinutes);
+  const locked = await this.findOneAndUpdate(
+    {
+      _id: userId,
+      'loginSecurity.failedAttempts': { $gte: maxAttempts },
+      $or: [{ 'loginSecurity.lockUntil': null }, { 'loginSecurity.lockUntil': { $lte: now } }]
+    },
+    {
+      $set: { 'loginSecurity.lockUntil': new Date(now.getTime() + minutes * 60 * 1000), 'loginSecurity.failedAttempts': 0 },
+      $inc: { 'loginSecurity.lockCount': 1 }
+    },
+    { new: true }
+  );
+  if (locked) return { lockUntil: locked.loginSecurity.lockUntil, lockedNow: true };
+
+  const current = await this.findById(userId).select('loginSecurity');
+  const currentLock = current?.loginSecurity?.lockUntil;
+  return { lockUntil: currentLock > now ? currentLock : null, lockedNow: false };
+};
+
+// Clear failure counters after a successful login
+userSchema.methods.resetLoginFailures = function() {
+  this.loginSecurity = { failedAttempts: 0, lockCount: 0 };
+};
+
+// Check if user holds any of the given roles
+userSchema.methods.hasRole = function(...roles) {
+  return (this.roles || []).some(role => roles.includes(role));
+};
+
+// Check if a token issued at jwtIssuedAt (seconds) predates a password change
+userSchema.methods.changedPasswordAfter = function(jwtIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return jwtIssuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
 // Get full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
@@ -126,6 +279,16 @@ userSchema.set('toJSON', {
   virtuals: true,
   transform: function(doc, ret) {
     delete ret.password;
+    delete ret.passwordResetTokenHash;
+    delete ret.passwordResetExpires;
+    delete ret.magicLinkTokenHash;
+    delete ret.magicLinkExpires;
+    if (ret.twoFactor) {
+      delete ret.twoFactor.secret;
+      delete ret.twoFactor.pendingSecret;
+      delete ret.twoFactor.recoveryCodes;
+      delete ret.twoFactor.lastUsedStep;
+    }
     return ret;
   }
 });
@@ -10,11 +10,11 @@ import {
   addComment,
   getMyAllActivities
 } from '../controllers/activityController.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, apiScope } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.use(authenticate);
+router.use(apiScope('activities'), authenticate);
 
 const createActivityValidation = [
   body('relationshipId').isMongoId().withMessage('Invalid relationship ID'),
@@ -0,0 +1,57 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  listUsers,
+  getUser,
+  deactivateUser,
+  reactivateUser,
+  updateUserRoles,
+  revokeCertificate,
+  getPlatformStats,
+  getAuditLogs
+} from '../controllers/adminController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Support staff get read access; changes require an admin
+router.use(authenticate, authorize('admin', 'support'));
+
+const paginationValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+const listUsersValidation = [
+  ...paginationValidation,
+  query('q').optional().isString().trim().isLength({ max: 100 }).withMessage('Search query cannot exceed 100 characters'),
+  query('role').optional().isIn(['user', 'support', 'admin']).withMessage('Invalid role'),
+  query('isActive').optional().isIn(['true', 'false']).withMessage('isActive must be true or false')
+];
+
+const updateRolesValidation = [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('roles').isArray().withMessage('Roles must be an array'),
+  body('roles.*').isIn(['user', 'support', 'admin']).withMessage('Invalid role')
+];
+
+const auditLogValidation = [
+  ...paginationValidation,
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('targetId').optional().isMongoId().withMessage('Invalid target ID'),
+  query('targetType').optional().isIn(['user', 'certificate', 'relationship', 'platform']).withMessage('Invalid target type')
+];
+
+router.get('/stats', getPlatformStats);
+router.get('/users', listUsersValidation, listUsers);
+router.get('/users/:id', param('id').isMongoId(), getUser);
+router.post('/users/:id/deactivate', authorize('admin'), param('id').isMongoId(), deactivateUser);
+router.post('/users/:id/reactivate', authorize('admin'), param('id').isMongoId(), reactivateUser);
+router.put('/users/:id/roles', authorize('admin'), updateRolesValidation, updateUserRoles);
+router.post('/certificates/:id/revoke', authorize('admin'), [
+  param('id').isMongoId(),
+  body('reason').isString().trim().isLength({ min: 1, max: 200 }).withMessage('A revocation reason is required')
+], revokeCertificate);
+router.get('/audit-logs', authorize('admin'), auditLogValidation, getAuditLogs);
+
+export default router;
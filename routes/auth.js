@@ -1,10 +1,69 @@
 import express from 'express';
-import { body, query } from 'express-validator';
-import { signup, login, getMe, updateProfile, searchUsers } from '../controllers/authController.js';
-import { authenticate } from '../middleware/auth.js';
+import rateLimit from 'express-rate-limit';
+import { body, param, query } from 'express-validator';
+import {
+  signup,
+  login,
+  getMe,
+  updateProfile,
+  searchUsers,
+  updatePrivacy,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  requestMagicLink,
+  verifyMagicLink,
+  changePassword,
+  deleteAccount,
+  cancelAccountDeletion,
+  getLoginHistory
+} from '../controllers/authController.js';
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin
+} from '../controllers/twoFactorController.js';
+import { requestDataExport, getDataExport, downloadDataExport } from '../controllers/exportController.js';
+import { createApiToken, getApiTokens, revokeApiToken } from '../controllers/apiTokenController.js';
+import { blockUser, unblockUser, getBlockedUsers } from '../controllers/blockController.js';
+import { getMyInvite, revokeMyInvites } from '../controllers/inviteController.js';
+import {
+  getOidcProviders,
+  startOidcLogin,
+  completeOidcLogin,
+  getIdentities,
+  unlinkIdentity
+} from '../controllers/oidcController.js';
+import { uploadAvatar, deleteAvatar } from '../controllers/avatarController.js';
+import { authenticate, apiScope, requireVerifiedEmail } from '../middleware/auth.js';
+import { avatarUpload } from '../middleware/upload.js';
+import { API_TOKEN_SCOPES } from '../models/ApiToken.js';
 
 const router = express.Router();
 
+// Stricter limit for endpoints that send emails or consume one-time tokens
+const oneTimeTokenLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 requests per windowMs
+  message: 'Too many attempts, please try again later.'
+});
+
+// Search is limited per account rather than per IP
+const searchLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // limit each user to 30 searches per windowMs
+  keyGenerator: (req) => req.user.id,
+  message: 'Too many searches, please try again later.'
+});
+
 // Validation rules
 const signupValidation = [
   body('username')
@@ -14,8 +73,9 @@ const signupValidation = [
     .matches(/^[a-zA-Z0-9_]+$/)
     .withMessage('Username can only contain letters, numbers, and underscores'),
   body('email')
+    .trim()
     .isEmail()
-    .normalizeEmail()
+    .toLowerCase()
     .withMessage('Please provide a valid email'),
   body('password')
     .isLength({ min: 6 })
@@ -32,8 +92,9 @@ const signupValidation = [
 
 const loginValidation = [
   body('email')
+    .trim()
     .isEmail()
-    .normalizeEmail()
+    .toLowerCase()
     .withMessage('Please provide a valid email'),
   body('password')
     .notEmpty()
@@ -61,16 +122,164 @@ const updateProfileValidation = [
     .withMessage('Please provide a valid date')
 ];
 
+const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .toLowerCase()
+    .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
+const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+];
+
+// Accounts without a password confirm without one; the controllers check
+const twoFactorDisableValidation = [
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+  body().custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('An authentication code or recovery code is required')
+];
+
+const twoFactorVerifyValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body().custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('An authentication code or recovery code is required')
+];
+
+const apiTokenValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Token name must be between 1 and 50 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(API_TOKEN_SCOPES)
+    .withMessage('Invalid scope'),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+    .toInt()
+];
+
+const searchPaginationValidation = [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+];
+
 // Routes
-router.post('/signup', signup);
+// Emails are matched as lowercase, the way User and PendingInvitation store them
+router.post('/signup', body('email').trim().toLowerCase(), signup);
 router.post('/login', loginValidation, login);
-router.get('/me', authenticate, getMe);
-router.put('/profile', authenticate, updateProfileValidation, updateProfile);
-router.get('/search/email', authenticate, [
-  query('q').isString().trim().notEmpty().withMessage('Search query cannot be empty.')
+router.post('/refresh', refreshTokenValidation, refreshToken);
+router.post('/logout', authenticate, logout);
+router.post('/verify-email', body('token').isString().notEmpty().withMessage('Verification token is required'), verifyEmail);
+router.post('/resend-verification', authenticate, resendVerification);
+router.post('/forgot-password', oneTimeTokenLimiter, forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', oneTimeTokenLimiter, resetPasswordValidation, resetPassword);
+router.post('/magic-link', oneTimeTokenLimiter, forgotPasswordValidation, requestMagicLink);
+router.post('/magic-link/verify', oneTimeTokenLimiter, body('token').isString().notEmpty().withMessage('Login token is required'), verifyMagicLink);
+router.put('/password', authenticate, changePasswordValidation, changePassword);
+router.get('/oidc/providers', getOidcProviders);
+router.get('/oidc/:provider/authorize', startOidcLogin);
+router.post('/oidc/:provider/callback', [
+  body('code').isString().notEmpty().withMessage('Authorization code is required'),
+  body('state').isString().notEmpty().withMessage('State is required')
+], completeOidcLogin);
+router.get('/identities', authenticate, getIdentities);
+router.delete('/identities/:id', authenticate, param('id').isMongoId(), unlinkIdentity);
+router.post('/2fa/setup', authenticate, setupTwoFactor);
+router.post('/2fa/enable', authenticate, twoFactorCodeValidation, enableTwoFactor);
+router.post('/2fa/disable', authenticate, twoFactorDisableValidation, disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, twoFactorCodeValidation, regenerateRecoveryCodes);
+router.post('/2fa/verify', twoFactorVerifyValidation, verifyTwoFactorLogin);
+router.delete('/account', authenticate, [
+  body('password').optional().isString().withMessage('Password must be a string'),
+  body('code').optional().isString().withMessage('Authentication code must be a string')
+], deleteAccount);
+router.post('/account/cancel-deletion', authenticate, cancelAccountDeletion);
+router.post('/export', authenticate, requestDataExport);
+router.get('/export/:id', authenticate, param('id').isMongoId(), getDataExport);
+router.get('/export/:id/download', authenticate, param('id').isMongoId(), downloadDataExport);
+router.get('/login-history', authenticate, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], getLoginHistory);
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions', authenticate, revokeOtherSessions);
+router.delete('/sessions/:id', authenticate, param('id').isMongoId(), revokeSession);
+router.post('/tokens', authenticate, apiTokenValidation, createApiToken);
+router.get('/tokens', authenticate, getApiTokens);
+router.delete('/tokens/:id', authenticate, param('id').isMongoId(), revokeApiToken);
+router.get('/blocks', authenticate, getBlockedUsers);
+router.post('/blocks/:userId', authenticate, param('userId').isMongoId(), blockUser);
+router.delete('/blocks/:userId', authenticate, param('userId').isMongoId(), unblockUser);
+router.get('/me', apiScope('profile'), authenticate, getMe);
+router.put('/profile', apiScope('profile'), authenticate, updateProfileValidation, updateProfile);
+router.post('/avatar', apiScope('profile'), authenticate, avatarUpload, uploadAvatar);
+router.delete('/avatar', apiScope('profile'), authenticate, deleteAvatar);
+router.get('/me/invite', authenticate, [
+  query('expiresInHours').optional().isInt({ min: 1, max: 720 }).withMessage('Expiry must be between 1 and 720 hours'),
+  query('singleUse').optional().isBoolean(),
+  query('format').optional().isIn(['json', 'png', 'svg'])
+], getMyInvite);
+router.delete('/me/invite', authenticate, revokeMyInvites);
+router.put('/privacy', authenticate, [
+  body('discoverability')
+    .optional()
+    .isIn(['everyone', 'email', 'registration_id', 'none'])
+    .withMessage('Invalid discoverability setting'),
+  body('historyPrivacy')
+    .optional()
+    .isIn(['public', 'private', 'granted_only'])
+    .withMessage('Invalid history privacy setting')
+], updatePrivacy);
+router.get('/search/email', authenticate, requireVerifiedEmail, searchLimiter, [
+  query('q').isString().trim().isEmail().withMessage('A full email address is required.'),
+  ...searchPaginationValidation
 ], searchUsers);
-router.get('/search', [
-  query('registrationId').isString().trim().notEmpty().withMessage('Registration ID cannot be empty.')
+router.get('/search', authenticate, requireVerifiedEmail, searchLimiter, [
+  query('registrationId').isString().trim().notEmpty().withMessage('Registration ID cannot be empty.'),
+  ...searchPaginationValidation
 ], searchUsers);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,10 @@
+import express from 'express';
+import { param } from 'express-validator';
+import { serveAvatar } from '../controllers/avatarController.js';
+
+const router = express.Router();
+
+// Public: avatars are shown wherever a user appears
+router.get('/:userId/:version/:file', param('userId').isMongoId(), serveAvatar);
+
+export default router;
@@ -1,5 +1,5 @@
 import express from 'express';
-import { param } from 'express-validator';
+import { body, param } from 'express-validator';
 import {
   getCertificates,
   getCertificate,
@@ -7,17 +7,20 @@ import {
   shareCertificate,
   generateRelationshipCertificate
 } from '../controllers/certificateController.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, apiScope } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.use(authenticate);
+router.use(apiScope('certificates'), authenticate);
 
 router.get('/', getCertificates);
 router.get('/generate/:relationshipId', param('relationshipId').isMongoId(), generateRelationshipCertificate);
 router.get('/relationship/:relationshipId', param('relationshipId').isMongoId(), getCertificate);
 router.get('/:id', param('id').isMongoId(), getCertificate);
 router.get('/:id/download', param('id').isMongoId(), downloadCertificate);
-router.post('/:id/share', param('id').isMongoId(), shareCertificate);
+router.post('/:id/share', [
+  param('id').isMongoId(),
+  body('isPublic').optional().isBoolean().toBoolean()
+], shareCertificate);
 
 export default router;
\ No newline at end of file
@@ -9,11 +9,11 @@ import {
   completeMilestone,
   addEvidence
 } from '../controllers/milestoneController.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, apiScope } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.use(authenticate);
+router.use(apiScope('milestones'), authenticate);
 
 const createMilestoneValidation = [
   body('relationshipId').isMongoId().withMessage('Invalid relationship ID'),
@@ -8,11 +8,11 @@ import {
   deleteNotification,
   getUnreadCount
 } from '../controllers/notificationController.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, apiScope } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.use(authenticate);
+router.use(apiScope('notifications'), authenticate);
 
 router.get('/', getNotifications);
 router.get('/unread-count', getUnreadCount);
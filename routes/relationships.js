@@ -2,32 +2,55 @@ import express from 'express';
 import { body, param, query } from 'express-validator';
 import {
   createRelationship,
+  redeemInviteCode,
+  getPendingInvitations,
+  cancelPendingInvitation,
   getRelationships,
   getRelationship,
   updateRelationship,
   deleteRelationship,
   acceptRelationship,
   declineRelationship,
-  // requestHistoryAccess,
-  // grantHistoryAccess,
   requestBreakup,
   confirmBreakup,
-  // getUserHistory,
-  cancelBreakupRequest
+  cancelBreakupRequest,
+  rekindleRelationship,
+  cancelRekindleRequest,
+  createGroup,
+  inviteGroupMembers,
+  removeMember,
+  updateMemberRole,
+  getPermissions,
+  updatePermissions,
+  getRelationshipHistory,
+  getRelationshipHealth
 } from '../controllers/relationshipController.js';
-import { authenticate } from '../middleware/auth.js';
+import {
+  requestHistoryAccess,
+  getHistoryAccessRequests,
+  grantHistoryAccess,
+  denyHistoryAccess,
+  revokeHistoryAccess,
+  getUserHistory
+} from '../controllers/historyAccessController.js';
+import {
+  getProposals,
+  acceptChangeProposal,
+  rejectChangeProposal,
+  counterChangeProposal,
+  cancelChangeProposal
+} from '../controllers/changeProposalController.js';
+import { HISTORY_ACCESS_MAX_GRANT_DAYS, SHAREABLE_EVENT_TYPES } from '../services/historyAccess.js';
+import { RELATIONSHIP_PERMISSIONS } from '../models/Relationship.js';
+import { authenticate, apiScope, requireVerifiedEmail } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // All routes require authentication
-router.use(authenticate);
+router.use(apiScope('relationships'), authenticate);
 
 // Validation rules
-const createRelationshipValidation = [
-  body('partnerEmail')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please provide a valid partner email'),
+const relationshipFieldsValidation = [
   body('title')
     .trim()
     .isLength({ min: 1, max: 100 })
@@ -42,8 +65,22 @@ const createRelationshipValidation = [
     .withMessage('Description cannot exceed 500 characters')
 ];
 
-const updateRelationshipValidation = [
-  param('id').isMongoId().withMessage('Invalid relationship ID'),
+const createRelationshipValidation = [
+  body('partnerEmail')
+    .trim()
+    .isEmail()
+    .toLowerCase()
+    .withMessage('Please provide a valid partner email'),
+  ...relationshipFieldsValidation
+];
+
+const redeemInviteValidation = [
+  param('code').isJWT().withMessage('Invalid invite code'),
+  ...relationshipFieldsValidation
+];
+
+// Edits to the shared fields, also used for counter proposals
+const sharedFieldsValidation = [
   body('title')
     .optional()
     .trim()
@@ -63,8 +100,114 @@ const updateRelationshipValidation = [
     .withMessage('Invalid privacy setting')
 ];
 
+const updateRelationshipValidation = [
+  param('id').isMongoId().withMessage('Invalid relationship ID'),
+  ...sharedFieldsValidation
+];
+
+const rekindleValidation = [
+  param('id').isMongoId().withMessage('Invalid relationship ID'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title cannot exceed 100 characters'),
+  body('type')
+    .optional()
+    .isIn(['acquaintance', 'friend', 'close_friend', 'best_friend', 'romantic_interest', 'partner', 'engaged', 'married', 'family', 'mentor', 'mentee'])
+    .withMessage('Invalid relationship type')
+];
+
+const memberEmailValidation = body('memberEmails.*')
+  .trim()
+  .isEmail()
+  .toLowerCase()
+  .withMessage('Please provide valid member emails');
+
+const createGroupValidation = [
+  ...relationshipFieldsValidation,
+  body('memberEmails')
+    .optional()
+    .isArray()
+    .withMessage('memberEmails must be a list of email addresses'),
+  memberEmailValidation
+];
+
+const inviteMembersValidation = [
+  param('id').isMongoId().withMessage('Invalid relationship ID'),
+  body('memberEmails')
+    .isArray({ min: 1 })
+    .withMessage('memberEmails must be a list of email addresses'),
+  memberEmailValidation
+];
+
+const memberValidation = [
+  param('id').isMongoId().withMessage('Invalid relationship ID'),
+  param('userId').isMongoId().withMessage('Invalid user ID')
+];
+
+const updatePermissionsValidation = [
+  param('id').isMongoId().withMessage('Invalid relationship ID'),
+  body('userId').isMongoId().withMessage('Invalid user ID'),
+  body('permissions').isObject().withMessage('permissions must be an object'),
+  ...RELATIONSHIP_PERMISSIONS.map(permission => body(`permissions.${permission}`)
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage(`${permission} must be true or false`))
+];
+
+const proposalValidation = [
+  param('id').isMongoId().withMessage('Invalid relationship ID'),
+  param('proposalId').isMongoId().withMessage('Invalid proposal ID')
+];
+
+const counterProposalValidation = [
+  ...proposalValidation,
+  ...sharedFieldsValidation,
+  body('permissions')
+    .optional()
+    .isObject()
+    .withMessage('permissions must be an object'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Message cannot exceed 300 characters')
+];
+
+const historyQueryValidation = [
+  query('eventType').optional().isString(),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+const grantHistoryAccessValidation = [
+  param('id').isMongoId().withMessage('Invalid request ID'),
+  body('durationDays')
+    .optional()
+    .isInt({ min: 1, max: HISTORY_ACCESS_MAX_GRANT_DAYS })
+    .withMessage(`Access can be granted for 1 to ${HISTORY_ACCESS_MAX_GRANT_DAYS} days`)
+    .toInt(),
+  body('relationships')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('relationships must be a list of relationship IDs'),
+  body('relationships.*').isMongoId().withMessage('Invalid relationship ID'),
+  body('eventTypes')
+    .optional()
+    .isArray()
+    .withMessage('eventTypes must be a list'),
+  body('eventTypes.*').isIn(SHAREABLE_EVENT_TYPES).withMessage('Invalid event type')
+];
+
 // Routes
-router.post('/', createRelationshipValidation, createRelationship);
+router.post('/', requireVerifiedEmail, createRelationshipValidation, createRelationship);
+router.post('/groups', requireVerifiedEmail, createGroupValidation, createGroup);
+router.post('/invite/:code', requireVerifiedEmail, redeemInviteValidation, redeemInviteCode);
+router.get('/invitations', getPendingInvitations);
+router.delete('/invitations/:id', param('id').isMongoId(), cancelPendingInvitation);
 router.get('/', getRelationships);
 router.get('/:id', param('id').isMongoId(), getRelationship);
 router.put('/:id', updateRelationshipValidation, updateRelationship);
@@ -74,8 +217,48 @@ router.post('/:id/decline', param('id').isMongoId(), declineRelationship);
 router.post('/:id/request-breakup', param('id').isMongoId(), requestBreakup);
 router.post('/:id/confirm-breakup', param('id').isMongoId(), confirmBreakup);
 router.post('/:id/cancel-breakup-request', param('id').isMongoId(), cancelBreakupRequest);
-// router.get('/history/:userId', param('userId').isMongoId(), getUserHistory);
-// router.post('/:id/request-history-access', param('id').isMongoId(), requestHistoryAccess);
-// router.post('/:id/grant-history-access', param('id').isMongoId(), grantHistoryAccess);
+router.post('/:id/rekindle', rekindleValidation, rekindleRelationship);
+router.post('/:id/cancel-rekindle', param('id').isMongoId(), cancelRekindleRequest);
+router.post('/:id/members', requireVerifiedEmail, inviteMembersValidation, inviteGroupMembers);
+router.put('/:id/members/:userId', [
+  ...memberValidation,
+  body('role').isIn(['owner', 'admin', 'member']).withMessage('Invalid member role')
+], updateMemberRole);
+router.delete('/:id/members/:userId', memberValidation, removeMember);
+router.get('/:id/permissions', param('id').isMongoId(), getPermissions);
+router.put('/:id/permissions', updatePermissionsValidation, updatePermissions);
+router.get('/:id/proposals', [
+  param('id').isMongoId().withMessage('Invalid relationship ID'),
+  query('status').optional().isIn(['pending', 'accepted', 'rejected', 'countered', 'canceled', 'expired', 'outdated']).withMessage('Invalid status'),
+  query('kind').optional().isIn(['fields', 'permissions']).withMessage('Invalid kind'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], getProposals);
+router.post('/:id/proposals/:proposalId/accept', proposalValidation, acceptChangeProposal);
+router.post('/:id/proposals/:proposalId/reject', proposalValidation, rejectChangeProposal);
+router.post('/:id/proposals/:proposalId/counter', counterProposalValidation, counterChangeProposal);
+router.delete('/:id/proposals/:proposalId', proposalValidation, cancelChangeProposal);
+router.get('/:id/history', [param('id').isMongoId(), ...historyQueryValidation], getRelationshipHistory);
+router.get('/:id/health', param('id').isMongoId(), getRelationshipHealth);
+
+// History access between users
+router.get('/history/access', [
+  query('direction').optional().isIn(['incoming', 'outgoing']),
+  query('status').optional().isIn(['pending', 'granted', 'denied', 'revoked', 'expired', 'canceled']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], getHistoryAccessRequests);
+router.post('/history/access/:id/grant', grantHistoryAccessValidation, grantHistoryAccess);
+router.post('/history/access/:id/deny', param('id').isMongoId(), denyHistoryAccess);
+router.delete('/history/access/:id', param('id').isMongoId(), revokeHistoryAccess);
+router.post('/history/:userId/access', requireVerifiedEmail, [
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('message')
+    .optional()
+    .isString()
+    .isLength({ max: 300 })
+    .withMessage('Message cannot exceed 300 characters')
+], requestHistoryAccess);
+router.get('/history/:userId', [param('userId').isMongoId(), ...historyQueryValidation], getUserHistory);
 
 export default router;
\ No newline at end of file
@@ -9,17 +9,18 @@ import {
   agreeTerm,
   reportViolation
 } from '../controllers/termController.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, apiScope } from '../middleware/auth.js';
 
 const router = express.Router();
 
-router.use(authenticate);
+router.use(apiScope('terms'), authenticate);
 
 const createTermValidation = [
   body('relationshipId').isMongoId().withMessage('Invalid relationship ID'),
   body('title').trim().isLength({ min: 1, max: 100 }).withMessage('Title is required and cannot exceed 100 characters'),
   body('description').isLength({ min: 1, max: 1000 }).withMessage('Description is required and cannot exceed 1000 characters'),
-  body('category').isIn(['communication', 'boundaries', 'expectations', 'goals', 'activities', 'conflict_resolution', 'commitment', 'other']).withMessage('Invalid category')
+  body('category').isIn(['communication', 'boundaries', 'expectations', 'goals', 'activities', 'conflict_resolution', 'commitment', 'other']).withMessage('Invalid category'),
+  body('quorum').optional().isInt({ min: 2 }).toInt().withMessage('Quorum must be at least 2')
 ];
 
 router.post('/', createTermValidation, createTerm);
@@ -0,0 +1,15 @@
+import express from 'express';
+import { param } from 'express-validator';
+import { getPublicProfile } from '../controllers/userController.js';
+import { optionalAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/:username/profile', optionalAuth, [
+  param('username')
+    .isLength({ min: 3, max: 20 })
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Invalid username')
+], getPublicProfile);
+
+export default router;
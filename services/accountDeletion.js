@@ -0,0 +1,177 @@
+import fs from 'fs';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Relationship from '../models/Relationship.js';
+import Activity from '../models/Activity.js';
+import Term from '../models/Term.js';
+import Milestone from '../models/Milestone.js';
+import Notification from '../models/Notification.js';
+import Certificate from '../models/Certificate.js';
+import DataExport from '../models/DataExport.js';
+import ApiToken from '../models/ApiToken.js';
+import Block from '../models/Block.js';
+import InviteCode from '../models/InviteCode.js';
+import PendingInvitation from '../models/PendingInvitation.js';
+import Identity from '../models/Identity.js';
+import HistoryAccessGrant from '../models/HistoryAccessGrant.js';
+import ChangeProposal from '../models/ChangeProposal.js';
+import { removeAvatarFiles } from './avatars.js';
+import { transitionRelationship } from './relationshipStateMachine.js';
+import { leaveGroupsForDeletion } from './relationshipMembers.js';
+import { generateRandomToken } from '../utils/tokens.js';
+
+export const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '14', 10);
+
+export const scheduleAccountDeletion = async (user) => {
+  const requestedAt = new Date();
+  user.deletion = {
+    requestedAt,
+    scheduledFor: new Date(requestedAt.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000)
+  };
+  await user.save();
+
+  // Sign out everywhere and stop API access. The user cancels by logging
+  // back in and calling POST /api/auth/account/cancel-deletion.
+  await Session.revokeAllForUser(user._id, 'user_revoked');
+  await ApiToken.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+  return user.deletion.scheduledFor;
+};
+
+// End every running relationship and let the other person know. Groups
+// carry on without the user.
+const endRelationships = async (user) => {
+  await leaveGroupsForDeletion(user);
+
+  const relationships = await Relationship.find({
+    $or: [{ initiator: user._id }, { partner: user._id }],
+    kind: { $ne: 'group' },
+    status: { $in: ['pending', 'active', 'requested_breakup', 'requested_rekindle'] }
+  });
+
+  for (const relationship of relationships) {
+    // An unanswered invitation has nothing worth keeping
+    if (relationship.status === 'pending') {
+      await relationship.actingAs(user._id).deleteOne();
+      continue;
+    }
+
+    await transitionRelationship(relationship, 'end', { actor: user, reason: 'account_deleted' });
+  }
+};
+
+// Permanently erase or pseudonymize everything the user authored
+export const eraseAccount = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || user.deletedAt) return;
+
+  await endRelationships(user);
+
+  // Activities: drop the user's own, strip their comments, reactions and media from the rest
+  await Activity.deleteMany({ createdBy: userId });
+  await Activity.updateMany(
+    { $or: [{ 'comments.user': userId }, { 'reactions.user': userId }, { 'media.uploadedBy': userId }] },
+    { $pull: { comments: { user: userId }, reactions: { user: userId }, media: { uploadedBy: userId } } }
+  );
+
+  // Terms: drop authored terms and violation reports, pseudonymize signatures
+  await Term.deleteMany({ createdBy: userId });
+  await Term.updateMany(
+    { 'violations.reportedBy': userId },
+    { $pull: { violations: { reportedBy: userId } } }
+  );
+  await Term.updateMany(
+    { 'agreedBy.user': userId },
+    { $set: { 'agreedBy.$[entry].signature': 'Deleted user' } },
+    { arrayFilters: [{ 'entry.user': userId }] }
+  );
+
+  // Milestones: remove uploaded evidence
+  await Milestone.updateMany(
+    { 'evidence.uploadedBy': userId },
+    { $pull: { evidence: { uploadedBy: userId } } }
+  );
+
+  // Notifications: delete what they received, detach them from what they sent
+  await Notification.deleteMany({ recipient: userId });
+  await Notification.updateMany({ sender: userId }, { $unset: { sender: 1 } });
+
+  // Certificates naming the user are no longer valid
+  const certificates = await Certificate.find({
+    'recipients.user': userId,
+    'metadata.isRevoked': { $ne: true }
+  });
+  for (const certificate of certificates) {
+    certificate.revoke('Recipient account deleted');
+    await certificate.save();
+  }
+
+  // Exported archives contain everything above
+  const dataExports = await DataExport.find({ user: userId }).select('+filePath');
+  for (const dataExport of dataExports) {
+    if (dataExport.filePath) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+    }
+  }
+  await DataExport.deleteMany({ user: userId });
+
+  await Session.deleteMany({ user: userId });
+  await ApiToken.deleteMany({ user: userId });
+  await Block.deleteMany({ $or: [{ blocker: userId }, { blocked: userId }] });
+  await InviteCode.deleteMany({ user: userId });
+  await PendingInvitation.deleteMany({ inviter: userId });
+  await Identity.deleteMany({ user: userId });
+  await HistoryAccessGrant.deleteMany({ $or: [{ requester: userId }, { owner: userId }] });
+  // Proposals the user made or still had to answer can no longer be decided
+  await ChangeProposal.updateMany(
+    { status: 'pending', $or: [{ proposedBy: userId }, { approvers: userId }] },
+    { status: 'canceled' }
+  );
+  await removeAvatarFiles(userId);
+
+  // Anonymize the user record itself. Validators are skipped on purpose:
+  // the placeholder email is deliberately not a deliverable address.
+  const suffix = userId.toString().slice(-8);
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      username: `deleted_${suffix}`,
+      email: `deleted-${userId}@deleted.invalid`,
+      password: generateRandomToken(32),
+      firstName: 'Deleted',
+      lastName: 'User',
+      avatar: '',
+      bio: '',
+      isActive: false,
+      emailVerified: false,
+      deletedAt: new Date(),
+      twoFactor: { enabled: false }
+    },
+    $unset: {
+      dateOfBirth: 1,
+      deletion: 1,
+      passwordResetTokenHash: 1,
+      passwordResetExpires: 1,
+      magicLinkTokenHash: 1,
+      magicLinkExpires: 1,
+      avatarVersion: 1
+    }
+  });
+};
+
+// Erase every account whose grace period has run out
+export const processScheduledDeletions = async () => {
+  const dueUsers = await User.find({
+    'deletion.scheduledFor': { $lte: new Date() },
+    deletedAt: { $exists: false }
+  }).select('_id');
+
+  for (const { _id } of dueUsers) {
+    try {
+      await eraseAccount(_id);
+    } catch (error) {
+      console.error(`Account erasure failed for ${_id}:`, error);
+    }
+  }
+
+  return dueUsers.length;
+};
@@ -0,0 +1,101 @@
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import { generateRandomToken, hashToken } from '../utils/tokens.js';
+import { HttpError } from '../utils/httpError.js';
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '30', 10);
+
+export const signAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sessionId },
+    process.env.JWT_SECRET || 'fallback_secret',
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+const refreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Start a new session (one per device/login) and issue its first token pair
+export const createSession = async (user, req) => {
+  const refreshToken = generateRandomToken(48);
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get('User-Agent') || '',
+    ip: req.ip || '',
+    expiresAt: refreshTokenExpiry()
+  });
+
+  return {
+    token: signAccessToken(user._id, session._id),
+    refreshToken,
+    session
+  };
+};
+
+// Exchange a refresh token for a new token pair. The presented token is
+// retired in the same update that checks it, so of two refreshes racing with
+// one token only the first gets a pair; anything else presenting a retired
+// token revokes the whole session family.
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextRefreshToken = generateRandomToken(48);
+  const now = new Date();
+
+  const rotation = {
+    refreshTokenHash: hashToken(nextRefreshToken),
+    lastUsedAt: now,
+    expiresAt: refreshTokenExpiry()
+  };
+  if (req.get('User-Agent')) rotation.userAgent = req.get('User-Agent');
+  if (req.ip) rotation.ip = req.ip;
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: rotation, $push: { previousTokenHashes: tokenHash } },
+    { new: true }
+  );
+
+  if (!session) {
+    const compromised = await Session.findOne({ previousTokenHashes: tokenHash });
+    if (compromised) {
+      await Session.updateOne(
+        { _id: compromised._id, revokedAt: null },
+        { revokedAt: now, revokedReason: 'refresh_token_reuse' }
+      );
+      throw new HttpError(401, 'Refresh token reuse detected. Session has been revoked.');
+    }
+    if (await Session.exists({ refreshTokenHash: tokenHash })) {
+      throw new HttpError(401, 'Session has expired or been revoked.');
+    }
+    throw new HttpError(401, 'Invalid refresh token.');
+  }
+
+  return {
+    token: signAccessToken(session.user, session._id),
+    refreshToken: nextRefreshToken,
+    session
+  };
+};
+
+// Short-lived, single-purpose JWTs (email verification, challenges, ...).
+// The purpose claim stops a token minted for one flow being replayed in another.
+// Omit expiresIn for tokens whose lifetime is tracked elsewhere
+export const signPurposeToken = (payload, purpose, expiresIn) => {
+  return jwt.sign(
+    { ...payload, purpose },
+    process.env.JWT_SECRET || 'fallback_secret',
+    expiresIn ? { expiresIn } : {}
+  );
+};
+
+export const verifyPurposeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('Invalid token purpose');
+  }
+  return decoded;
+};
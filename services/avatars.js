@@ -0,0 +1,81 @@
+import sharp from 'sharp';
+import crypto from 'crypto';
+import { getStorage } from './storage/index.js';
+import { HttpError } from '../utils/httpError.js';
+
+export const AVATAR_SIZES = [64, 128, 256, 512];
+export const AVATAR_MAX_BYTES = parseInt(process.env.AVATAR_MAX_BYTES || String(5 * 1024 * 1024), 10);
+export const AVATAR_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp'];
+const DEFAULT_SIZE = 256;
+// Rejects decompression bombs before any pixels are decoded
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+const avatarPrefix = (userId) => `avatars/${userId}/`;
+const avatarKey = (userId, version, size) => `avatars/${userId}/${version}/${size}.webp`;
+
+export const avatarUrl = (userId, version, size = DEFAULT_SIZE) => {
+  return `${process.env.PUBLIC_API_URL || ''}/api/avatars/${userId}/${version}/${size}.webp`;
+};
+
+// Checks the real image type (the upload's MIME type is client-supplied) and
+// renders square WebP thumbnails. sharp drops EXIF and other metadata unless
+// asked to keep it; rotate() first applies the EXIF orientation.
+export const renderAvatarSizes = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw new HttpError(400, 'The uploaded file is not a valid image');
+  }
+
+  if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+    throw new HttpError(400, 'Avatars must be JPEG, PNG or WebP images');
+  }
+
+  return Promise.all(AVATAR_SIZES.map(async size => ({
+    size,
+    buffer: await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize(size, size, { fit: 'cover', position: 'attention' })
+      .webp({ quality: 85 })
+      .toBuffer()
+  })));
+};
+
+// Stores a new avatar version and removes the previous one
+export const replaceAvatar = async (user, buffer) => {
+  const renditions = await renderAvatarSizes(buffer);
+  const storage = getStorage();
+  const version = `${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`;
+
+  for (const { size, buffer: image } of renditions) {
+    await storage.put(avatarKey(user._id, version, size), image, { contentType: 'image/webp' });
+  }
+
+  const previousVersion = user.avatarVersion;
+  user.avatarVersion = version;
+  user.avatar = avatarUrl(user._id, version);
+  await user.save();
+
+  if (previousVersion) {
+    await storage.removePrefix(`${avatarPrefix(user._id)}${previousVersion}`);
+  }
+
+  return user;
+};
+
+// Deletes every uploaded avatar file for a user
+export const removeAvatarFiles = (userId) => {
+  return getStorage().removePrefix(avatarPrefix(userId));
+};
+
+export const getAvatarStream = (userId, version, size) => {
+  return getStorage().getStream(avatarKey(userId, version, size));
+};
+
+export const getAvatarUrls = (user) => {
+  if (!user.avatarVersion) return null;
+  return Object.fromEntries(AVATAR_SIZES.map(size => [size, avatarUrl(user._id, user.avatarVersion, size)]));
+};
@@ -0,0 +1,115 @@
+import PDFDocument from 'pdfkit';
+
+// Renders a certificate as a landscape A4 PDF. Expects `recipients.user` and
+// `relatedId` (the relationship) to be populated.
+export const renderCertificatePdf = (certificate) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: 'landscape',
+      margin: 50
+    });
+
+    const buffers = [];
+    doc.on('data', buffers.push.bind(buffers));
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+    doc.on('error', reject);
+
+    drawCertificate(doc, certificate);
+    doc.end();
+  });
+};
+
+const drawCertificate = (doc, certificate) => {
+  // --- Certificate Design --- //
+  const docWidth = doc.page.width;
+  const docHeight = doc.page.height;
+  let currentY = 90;
+
+  // Elegant Border
+  doc.lineWidth(4).strokeColor('#C6A664'); // gold border
+  doc.rect(30, 30, docWidth - 60, docHeight - 60).stroke();
+
+  // Inner thin border
+  doc.lineWidth(1).strokeColor('#A0AEC0');
+  doc.rect(50, 50, docWidth - 100, docHeight - 100).stroke();
+
+  // Watermark / Background
+  doc.fontSize(100).fillColor('#F7FAFC').opacity(0.2)
+    .text('Relationship', 0, docHeight/2 - 50, { align: 'center' });
+  doc.opacity(1);
+
+  // Certificate Number and Issued Date (smaller, top area)
+  doc.font('Helvetica').fontSize(10).fillColor('#718096');
+  doc.text(`Certificate No: ${certificate._id}`, 60, 60, { align: 'left' });
+  // doc.text(`Issued On: ${new Date(certificate.createdAt).toLocaleDateString()}`, -60, 60, { align: 'right' });
+
+  // Header Title
+  doc.font('Helvetica-Bold')
+    .fontSize(38)
+    .fillColor('#2D3748')
+    .text('CERTIFICATE OF RELATIONSHIP', 0, currentY, { align: 'center' });
+  currentY += 70;
+
+  // Subtitle
+  doc.font('Helvetica-Oblique')
+    .fontSize(16)
+    .fillColor('#4A5568')
+    .text('This is proudly presented to', 0, currentY, { align: 'center' });
+  currentY += 40;
+
+  // Recipient Names
+  doc.font('Times-BoldItalic') // more elegant font
+    .fontSize(36)
+    .fillColor('#1A202C')
+    .text(certificate.recipients.map(r => r.user?.fullName || 'Former member').join(' & '), 0, currentY, { align: 'center' });
+  currentY += 70;
+
+  // Relationship Title
+  doc.font('Helvetica')
+    .fontSize(16)
+    .fillColor('#4A5568')
+    .text('In recognition of their enduring bond known as', 0, currentY, { align: 'center' });
+  currentY += 30;
+
+  doc.font('Helvetica-Bold')
+    .fontSize(28)
+    .fillColor('#C53030')
+    .text(`"${certificate.relatedId.title}"`, 0, currentY, { align: 'center' });
+  currentY += 70;
+
+  // Main Description (longer + more meaningful)
+  doc.font('Helvetica')
+    .fontSize(14)
+    .fillColor('#2D3748')
+    .text(
+      `Since ${certificate.relatedId.startDate ? new Date(certificate.relatedId.startDate).toLocaleDateString() : 'an unknown date'}, this relationship has stood as a symbol of love, trust, and togetherness. 
+It celebrates the shared journey of growth, challenges overcome, and moments cherished.`,
+      100,
+      currentY,
+      { width: docWidth - 200, align: 'center', lineGap: 6 }
+    );
+  currentY += 100;
+
+  // Closing Line
+  doc.font('Helvetica-Oblique')
+    .fontSize(14)
+    .fillColor('#4A5568')
+    .text(
+      `May this bond continue to inspire loyalty, affection, and strength for years to come.`,
+      100,
+      currentY,
+      { width: docWidth - 200, align: 'center', lineGap: 6 }
+    );
+
+  // Issued By + Date (footer)
+  doc.font('Helvetica-Oblique')
+    .fontSize(12)
+    .fillColor('#4A5568')
+    .text(
+      `Issued by ${certificate.metadata.issuedBy || 'RelationApp'} on ${new Date(certificate.createdAt).toLocaleDateString()}`,
+      0,
+      docHeight - 80,
+      { align: 'center' }
+    );
+};
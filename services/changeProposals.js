@@ -0,0 +1,364 @@
+import ChangeProposal from '../models/ChangeProposal.js';
+import Notification from '../models/Notification.js';
+import { recordRelationshipEvent } from './relationshipHistory.js';
+import { canManagePermissions, getApprovers, applyPermissionChanges } from './relationshipPermissions.js';
+import { HttpError } from '../utils/httpError.js';
+
+export const CHANGE_PROPOSAL_TTL_DAYS = parseInt(process.env.CHANGE_PROPOSAL_TTL_DAYS, 10) || 7;
+
+// Fields both partners have to agree on while mutual consent is required
+export const SHARED_FIELDS = ['title', 'type', 'description', 'privacy'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const idOf = (value) => (value?._id || value)?.toString();
+const nameOf = (user) => `${user.firstName} ${user.lastName}`;
+
+const requiresConsent = (relationship) => Boolean(relationship.settings.transparency?.requireMutualConsent);
+
+// Who answers a change to shared fields: the partner, or the group's owners
+// and admins other than the proposer
+export const getFieldApprovers = (relationship, proposerId) => {
+  if (!relationship.isGroup()) return [idOf(relationship.getPartner(idOf(proposerId)))];
+  return relationship.members
+    .filter(member => member.status === 'active' && ['owner', 'admin'].includes(member.role))
+    .map(member => idOf(member.user))
+    .filter(userId => userId !== idOf(proposerId));
+};
+
+// The shared fields in `updates` that would actually change something
+export const getSharedChanges = (relationship, updates) => {
+  const changes = {};
+  for (const field of SHARED_FIELDS) {
+    if (updates[field] !== undefined && updates[field] !== relationship[field]) {
+      changes[field] = updates[field];
+    }
+  }
+  return changes;
+};
+
+export const isOutdated = (relationship, proposal) => {
+  return Object.entries(proposal.baseline || {}).some(([field, value]) => relationship[field] !== value);
+};
+
+const describeChanges = (relationship, proposal) => {
+  if (proposal.kind === 'permissions') return 'a change to member permissions';
+  if (proposal.changes.type) return `changing your relationship from "${relationship.type}" to "${proposal.changes.type}"`;
+  return `changes to ${Object.keys(proposal.changes).join(', ')}`;
+};
+
+const notifyProposal = async (relationship, proposal, actor, recipients, title, message, actionRequired = false) => {
+  for (const recipient of recipients) {
+    await Notification.createNotification({
+      recipient,
+      sender: actor._id,
+      type: 'change_proposal',
+      title,
+      message,
+      category: 'relationship',
+      actionRequired,
+      ...(actionRequired && {
+        actions: [
+          { type: 'accept', label: 'Accept', url: `/relationships/${relationship._id}/proposals/${proposal._id}/accept` },
+          { type: 'decline', label: 'Reject', url: `/relationships/${relationship._id}/proposals/${proposal._id}/reject` }
+        ]
+      }),
+      metadata: {
+        relationshipId: relationship._id,
+        customData: { proposalId: proposal._id }
+      }
+    });
+  }
+};
+
+// Opens a proposal and asks the approvers to answer it. Only one proposal of
+// each kind (and member, for permissions) can be open at a time.
+export const proposeChange = async (relationship, proposer, { kind = 'fields', member, changes, message, approvers, counterOf }) => {
+  const open = await ChangeProposal.findOne({
+    relationship: relationship._id,
+    kind,
+    ...(member && { member }),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+  if (open) {
+    throw new HttpError(409, 'A change is already waiting for an answer', { proposalId: open._id });
+  }
+
+  const proposal = await ChangeProposal.create({
+    relationship: relationship._id,
+    proposedBy: proposer._id,
+    kind,
+    member,
+    changes,
+    baseline: kind === 'fields'
+      ? Object.fromEntries(Object.keys(changes).map(field => [field, relationship[field]]))
+      : {},
+    approvers,
+    message,
+    counterOf,
+    expiresAt: new Date(Date.now() + CHANGE_PROPOSAL_TTL_DAYS * DAY)
+  });
+
+  await recordRelationshipEvent(relationship, 'change_proposed', proposer._id, {
+    proposalId: proposal._id,
+    kind,
+    member,
+    changes,
+    ...(counterOf && { counterOf })
+  }, member);
+
+  await notifyProposal(
+    relationship,
+    proposal,
+    proposer,
+    approvers,
+    counterOf ? 'Counter Proposal' : 'Change Proposed',
+    `${nameOf(proposer)} proposed ${describeChanges(relationship, proposal)} in "${relationship.title}"`,
+    true
+  );
+
+  return proposal;
+};
+
+// Applies edits to a relationship. Non-shared fields apply right away; shared
+// ones become a proposal while mutual consent is required. The non-shared
+// fields are saved even when the proposal can't be opened, and the error
+// says which ones were.
+export const updateRelationshipFields = async (relationship, actor, updates) => {
+  const sharedChanges = getSharedChanges(relationship, updates);
+  const approvers = getFieldApprovers(relationship, actor._id);
+  const propose = requiresConsent(relationship) && approvers.length > 0 && Object.keys(sharedChanges).length > 0;
+
+  const direct = { ...updates };
+  if (propose) {
+    for (const field of SHARED_FIELDS) delete direct[field];
+  }
+
+  if (Object.keys(direct).length > 0) {
+    relationship.set(direct);
+    await relationship.actingAs(actor._id).save();
+  }
+
+  if (!propose) return { proposal: null };
+
+  try {
+    const proposal = await proposeChange(relationship, actor, { changes: sharedChanges, approvers });
+    return { proposal };
+  } catch (error) {
+    if (error instanceof HttpError) error.details.applied = Object.keys(direct);
+    throw error;
+  }
+};
+
+// Changes a member's permissions, or proposes the change when the
+// relationship requires consent
+export const changePermissions = async (relationship, actor, userId, changes) => {
+  if (!canManagePermissions(relationship, actor._id)) {
+    throw new HttpError(403, 'Only group owners and admins can change permissions');
+  }
+
+  if (!relationship.includesUser(userId)) {
+    throw new HttpError(404, 'Member not found');
+  }
+
+  if (relationship.status !== 'active') {
+    throw new HttpError(400, 'Can only change permissions of active relationships');
+  }
+
+  // Nobody else to ask, e.g. a group owner without admins changing their own
+  const approvers = getApprovers(relationship, { requestedBy: actor._id, user: userId });
+
+  if (!requiresConsent(relationship) || approvers.length === 0) {
+    applyPermissionChanges(relationship, userId, changes);
+    await relationship.actingAs(actor._id).save();
+    return { proposal: null };
+  }
+
+  const proposal = await proposeChange(relationship, actor, {
+    kind: 'permissions',
+    member: userId,
+    changes,
+    approvers
+  });
+  return { proposal };
+};
+
+const assertCanAnswer = (proposal, actor) => {
+  if (!proposal.isOpen()) {
+    throw new HttpError(409, 'This proposal is no longer open', { status: proposal.status });
+  }
+  if (!proposal.isApprover(actor._id)) {
+    throw new HttpError(403, 'You cannot answer this proposal');
+  }
+};
+
+// Claims the answer so two people answering at once cannot both succeed
+const claimProposal = async (proposal, status, actor) => {
+  const now = new Date();
+  const claimed = await ChangeProposal.findOneAndUpdate(
+    { _id: proposal._id, status: 'pending', expiresAt: { $gt: now } },
+    { status, respondedBy: actor._id, respondedAt: now },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new HttpError(409, 'This proposal is no longer open');
+  }
+  return claimed;
+};
+
+const markOutdated = (proposal) => ChangeProposal.updateOne(
+  { _id: proposal._id, status: { $in: ['pending', 'accepted'] } },
+  { status: 'outdated' }
+);
+
+// Accepts a proposal and applies it. The relationship is only saved if the
+// proposed fields still hold the values the proposal was made against.
+export const acceptProposal = async (relationship, proposal, actor) => {
+  assertCanAnswer(proposal, actor);
+
+  if (relationship.status !== 'active') {
+    throw new HttpError(409, 'Can only update active relationships');
+  }
+
+  if (isOutdated(relationship, proposal)) {
+    await markOutdated(proposal);
+    throw new HttpError(409, 'The relationship has changed since this was proposed');
+  }
+
+  const accepted = await claimProposal(proposal, 'accepted', actor);
+  const description = describeChanges(relationship, proposal);
+
+  if (proposal.kind === 'permissions') {
+    applyPermissionChanges(relationship, proposal.member, proposal.changes);
+  } else {
+    relationship.set(proposal.changes);
+  }
+
+  relationship.$where = { status: 'active', ...proposal.baseline };
+  try {
+    await relationship.actingAs(actor._id).save();
+  } catch (saveError) {
+    if (saveError.name === 'DocumentNotFoundError') {
+      await markOutdated(proposal);
+      throw new HttpError(409, 'The relationship has changed since this was proposed');
+    }
+    // Nothing was applied, so the proposal is still open
+    await ChangeProposal.updateOne(
+      { _id: proposal._id, status: 'accepted' },
+      { status: 'pending', $unset: { respondedBy: 1, respondedAt: 1 } }
+    );
+    throw saveError;
+  } finally {
+    relationship.$where = undefined;
+  }
+
+  await recordRelationshipEvent(relationship, 'change_accepted', actor._id, {
+    proposalId: proposal._id,
+    kind: proposal.kind,
+    member: proposal.member,
+    changes: proposal.changes
+  }, proposal.proposedBy);
+
+  await notifyProposal(relationship, proposal, actor, [proposal.proposedBy], 'Change Accepted',
+    `${nameOf(actor)} accepted ${description} in "${relationship.title}"`);
+
+  return accepted;
+};
+
+export const rejectProposal = async (relationship, proposal, actor) => {
+  assertCanAnswer(proposal, actor);
+
+  const rejected = await claimProposal(proposal, 'rejected', actor);
+
+  await recordRelationshipEvent(relationship, 'change_rejected', actor._id, {
+    proposalId: proposal._id,
+    kind: proposal.kind
+  }, proposal.proposedBy);
+
+  await notifyProposal(relationship, proposal, actor, [proposal.proposedBy], 'Change Rejected',
+    `${nameOf(actor)} rejected ${describeChanges(relationship, proposal)} in "${relationship.title}"`);
+
+  return rejected;
+};
+
+// Answers a proposal with different changes; the original proposer then
+// decides on the counter proposal
+export const counterProposal = async (relationship, proposal, actor, changes, message) => {
+  assertCanAnswer(proposal, actor);
+
+  if (proposal.kind === 'fields' && Object.keys(getSharedChanges(relationship, changes)).length === 0) {
+    throw new HttpError(400, 'A counter proposal has to change something');
+  }
+
+  await claimProposal(proposal, 'countered', actor);
+
+  await recordRelationshipEvent(relationship, 'change_countered', actor._id, {
+    proposalId: proposal._id,
+    kind: proposal.kind
+  }, proposal.proposedBy);
+
+  return proposeChange(relationship, actor, {
+    kind: proposal.kind,
+    member: proposal.member,
+    changes: proposal.kind === 'fields' ? getSharedChanges(relationship, changes) : changes,
+    message,
+    approvers: [proposal.proposedBy],
+    counterOf: proposal._id
+  });
+};
+
+export const cancelProposal = async (relationship, proposal, actor) => {
+  if (idOf(proposal.proposedBy) !== idOf(actor._id)) {
+    throw new HttpError(403, 'Only the member who proposed the change can cancel it');
+  }
+  if (!proposal.isOpen()) {
+    throw new HttpError(409, 'This proposal is no longer open', { status: proposal.status });
+  }
+
+  const canceled = await claimProposal(proposal, 'canceled', actor);
+
+  await recordRelationshipEvent(relationship, 'change_canceled', actor._id, {
+    proposalId: proposal._id,
+    kind: proposal.kind
+  }, proposal.member);
+
+  return canceled;
+};
+
+// Expire proposals nobody answered in time
+export const expireChangeProposals = async () => {
+  const due = await ChangeProposal.find({ status: 'pending', expiresAt: { $lte: new Date() } })
+    .populate('relationship', 'title kind initiator partner');
+
+  let expired = 0;
+  for (const proposal of due) {
+    const claimed = await ChangeProposal.findOneAndUpdate(
+      { _id: proposal._id, status: 'pending' },
+      { status: 'expired' }
+    );
+    if (!claimed) continue;
+    expired += 1;
+
+    if (!proposal.relationship) continue;
+
+    await recordRelationshipEvent(proposal.relationship, 'change_expired', undefined, {
+      proposalId: proposal._id,
+      kind: proposal.kind
+    }, proposal.proposedBy);
+
+    await Notification.createNotification({
+      recipient: proposal.proposedBy,
+      type: 'change_proposal',
+      title: 'Change Proposal Expired',
+      message: `Your proposed change to "${proposal.relationship.title}" expired without an answer.`,
+      category: 'relationship',
+      metadata: {
+        relationshipId: proposal.relationship._id,
+        customData: { proposalId: proposal._id }
+      }
+    });
+  }
+
+  return expired;
+};
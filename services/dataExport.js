@@ -0,0 +1,172 @@
+import fs from 'fs';
+import path from 'path';
+import archiver from 'archiver';
+import DataExport from '../models/DataExport.js';
+import User from '../models/User.js';
+import Relationship from '../models/Relationship.js';
+import Term from '../models/Term.js';
+import Milestone from '../models/Milestone.js';
+import Activity from '../models/Activity.js';
+import Notification from '../models/Notification.js';
+import Certificate from '../models/Certificate.js';
+import { renderCertificatePdf } from './certificatePdf.js';
+
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(process.cwd(), 'storage', 'exports');
+const EXPORT_TTL_DAYS = parseInt(process.env.DATA_EXPORT_EXPIRES_DAYS || '7', 10);
+// Exports still unfinished after this long were lost, e.g. to a restart
+export const EXPORT_TIMEOUT_MINUTES = parseInt(process.env.DATA_EXPORT_TIMEOUT_MINUTES || '30', 10);
+
+export const staleExportCutoff = () => new Date(Date.now() - EXPORT_TIMEOUT_MINUTES * 60 * 1000);
+
+const README = `RelationApp data export
+
+profile.json        Your account profile and preferences
+relationships.json  Relationships you are or were part of
+terms.json          Terms in those relationships, with agreements and violations
+milestones.json     Milestones in those relationships, with evidence
+activities.json     Activities in those relationships, with comments and reactions
+notifications.json  Notifications you received
+certificates.json   Certificates awarded to you (PDF copies in certificates/)
+`;
+
+const toJSON = (docs) => JSON.stringify(docs.map(doc => doc.toJSON()), null, 2);
+
+// Collect everything the user is entitled to take with them
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId);
+
+  const relationships = await Relationship.find(Relationship.memberFilter(userId))
+    .populate('initiator partner members.user', 'username firstName lastName');
+  const relationshipIds = relationships.map(r => r._id);
+
+  const [terms, milestones, activities, notifications, certificates] = await Promise.all([
+    Term.find({ relationship: { $in: relationshipIds } })
+      .populate('createdBy agreedBy.user violations.reportedBy', 'username firstName lastName'),
+    Milestone.find({ relationship: { $in: relationshipIds } })
+      .populate('participants.user evidence.uploadedBy', 'username firstName lastName'),
+    Activity.find({ relationship: { $in: relationshipIds } })
+      .populate('createdBy comments.user reactions.user', 'username firstName lastName'),
+    Notification.find({ recipient: userId }).sort({ createdAt: -1 }),
+    Certificate.find({ 'recipients.user': userId })
+      .populate({ path: 'relatedId', select: 'title type startDate initiator partner', model: 'Relationship' })
+      .populate('recipients.user', 'username firstName lastName')
+  ]);
+
+  return { user, relationships, terms, milestones, activities, notifications, certificates };
+};
+
+const writeArchive = async (filePath, data) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  // A full disk or missing permissions surface on the file stream, not the archive
+  const finished = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  // Keeps a failure before finalize() from going unhandled while we're still appending
+  finished.catch(() => {});
+
+  try {
+    archive.pipe(output);
+    archive.append(README, { name: 'README.txt' });
+    archive.append(JSON.stringify(data.user.toJSON(), null, 2), { name: 'profile.json' });
+    archive.append(toJSON(data.relationships), { name: 'relationships.json' });
+    archive.append(toJSON(data.terms), { name: 'terms.json' });
+    archive.append(toJSON(data.milestones), { name: 'milestones.json' });
+    archive.append(toJSON(data.activities), { name: 'activities.json' });
+    archive.append(toJSON(data.notifications), { name: 'notifications.json' });
+    archive.append(toJSON(data.certificates), { name: 'certificates.json' });
+
+    for (const certificate of data.certificates) {
+      // Only relationship certificates have a PDF layout
+      if (!certificate.relatedId?.title) continue;
+      const pdf = await renderCertificatePdf(certificate);
+      archive.append(pdf, { name: `certificates/${certificate.metadata.certificateNumber || certificate._id}.pdf` });
+    }
+
+    await Promise.all([archive.finalize(), finished]);
+  } catch (error) {
+    archive.abort();
+    output.destroy();
+    await fs.promises.rm(filePath, { force: true });
+    throw error;
+  }
+};
+
+export const runDataExport = async (exportId) => {
+  const dataExport = await DataExport.findById(exportId);
+  if (!dataExport || dataExport.status !== 'queued') return;
+
+  dataExport.status = 'processing';
+  dataExport.startedAt = new Date();
+  await dataExport.save();
+
+  try {
+    const data = await collectUserData(dataExport.user);
+    const filePath = path.join(EXPORT_DIR, `${dataExport._id}.zip`);
+    await writeArchive(filePath, data);
+
+    const { size } = await fs.promises.stat(filePath);
+    dataExport.status = 'completed';
+    dataExport.filePath = filePath;
+    dataExport.fileSize = size;
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = new Date(Date.now() + EXPORT_TTL_DAYS * 24 * 60 * 60 * 1000);
+    await dataExport.save();
+
+    await Notification.create({
+      recipient: dataExport.user,
+      type: 'data_export_ready',
+      title: 'Your Data Export Is Ready',
+      message: `Your data export is ready to download. The link expires in ${EXPORT_TTL_DAYS} days.`,
+      category: 'system',
+      actions: [
+        { type: 'view', label: 'Download', url: `/account/export/${dataExport._id}` }
+      ]
+    });
+  } catch (error) {
+    console.error(`Data export ${exportId} failed:`, error);
+    dataExport.status = 'failed';
+    dataExport.error = 'Export could not be generated';
+    await dataExport.save();
+  }
+};
+
+// Exports run in the background; the caller polls the export's status
+export const queueDataExport = async (userId) => {
+  const dataExport = await DataExport.create({ user: userId });
+
+  setImmediate(() => {
+    runDataExport(dataExport._id).catch(error => console.error('Data export error:', error));
+  });
+
+  return dataExport;
+};
+
+// Remove archives whose download window has passed, and give up on exports
+// that never finished so the user can ask again
+export const cleanupExpiredExports = async () => {
+  await DataExport.updateMany(
+    { status: { $in: ['queued', 'processing'] }, createdAt: { $lte: staleExportCutoff() } },
+    { status: 'failed', error: 'Export timed out' }
+  );
+
+  const expired = await DataExport.find({
+    status: 'completed',
+    expiresAt: { $lte: new Date() }
+  }).select('+filePath');
+
+  for (const dataExport of expired) {
+    if (dataExport.filePath) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+    }
+    dataExport.status = 'expired';
+    dataExport.filePath = undefined;
+    await dataExport.save();
+  }
+
+  return expired.length;
+};
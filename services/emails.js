@@ -0,0 +1,67 @@
+import { sendMail } from './mailer.js';
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://relation-ship-proof.vercel.app';
+
+export const sendVerificationEmail = (user, token) => {
+  const link = `${FRONTEND_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.firstName},\n\nPlease confirm that this is your email address by opening the link below:\n\n${link}\n\nIf you did not create an account, you can ignore this email.`
+  });
+};
+
+export const sendPasswordResetEmail = (user, token, expiresInMinutes) => {
+  const link = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.firstName},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThis link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.`
+  });
+};
+
+export const sendMagicLinkEmail = (user, token, expiresInMinutes) => {
+  const link = `${FRONTEND_URL}/magic-link?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your login link',
+    text: `Hi ${user.firstName},\n\nOpen the link below to log in without a password:\n\n${link}\n\nThis link expires in ${expiresInMinutes} minutes and can only be used once. If you did not ask to log in, you can ignore this email.`
+  });
+};
+
+export const sendPasswordChangedEmail = (user) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Your password was changed',
+    text: `Hi ${user.firstName},\n\nThe password for your account was just changed and all other devices were signed out.\n\nIf this wasn't you, reset your password immediately at ${FRONTEND_URL}/forgot-password.`
+  });
+};
+
+export const sendAccountDeletionScheduledEmail = (user, scheduledFor) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Your account is scheduled for deletion',
+    text: `Hi ${user.firstName},\n\nYour account and all of its data will be permanently deleted on ${scheduledFor.toUTCString()}.\n\nChanged your mind? Log in before then at ${FRONTEND_URL}/login and cancel the deletion from your account settings.`
+  });
+};
+
+export const sendAccountLockedEmail = (user, lockUntil) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Your account was temporarily locked',
+    text: `Hi ${user.firstName},\n\nWe locked your account after several failed login attempts. You can try again after ${lockUntil.toUTCString()}.\n\nIf this wasn't you, consider resetting your password at ${FRONTEND_URL}/forgot-password and review your recent logins in your account settings.`
+  });
+};
+
+export const sendRelationshipInvitationEmail = (invitation, inviter) => {
+  const link = `${FRONTEND_URL}/signup?email=${encodeURIComponent(invitation.email)}`;
+
+  return sendMail({
+    to: invitation.email,
+    subject: `${inviter.firstName} ${inviter.lastName} invited you to RelationApp`,
+    text: `Hi,\n\n${inviter.firstName} ${inviter.lastName} wants to start a "${invitation.title}" relationship with you on RelationApp. Create your account with this email address to see the invitation:\n\n${link}\n\nThis invitation expires on ${invitation.expiresAt.toUTCString()}. If you don't know ${inviter.firstName}, you can ignore this email.`
+  });
+};
@@ -0,0 +1,162 @@
+import HistoryAccessGrant from '../models/HistoryAccessGrant.js';
+import User from '../models/User.js';
+import { CURRENT_MEMBER_STATUSES } from '../models/Relationship.js';
+import RelationshipHistory from '../models/RelationshipHistory.js';
+import Notification from '../models/Notification.js';
+
+export const HISTORY_ACCESS_REQUEST_TTL_DAYS = parseInt(process.env.HISTORY_ACCESS_REQUEST_TTL_DAYS, 10) || 7;
+export const HISTORY_ACCESS_GRANT_DAYS = parseInt(process.env.HISTORY_ACCESS_GRANT_DAYS, 10) || 30;
+export const HISTORY_ACCESS_MAX_GRANT_DAYS = 90;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// Events about who asked for and looked at a user's history, as opposed to
+// events about the relationships themselves
+export const HISTORY_ACCESS_EVENTS = [
+  'history_access_requested',
+  'history_access_granted',
+  'history_access_denied',
+  'history_access_viewed',
+  'history_access_revoked',
+  'history_access_expired',
+  'user_history_privacy_changed'
+];
+
+// Event types an owner can limit a grant to
+export const SHAREABLE_EVENT_TYPES = RelationshipHistory.schema.path('eventType').enumValues
+  .filter(eventType => !HISTORY_ACCESS_EVENTS.includes(eventType));
+
+export const daysFromNow = (days) => new Date(Date.now() + days * DAY);
+
+// Query for the part of a user's history a viewer may see. Grants narrow it
+// to their scope; the owner additionally sees who asked for and viewed it.
+export const buildUserHistoryFilter = (ownerId, relationshipIds, { grant, isOwner = false } = {}) => {
+  const scope = grant?.scope;
+
+  let visibleIds = relationshipIds;
+  if (scope?.relationships?.length) {
+    const shared = new Set(scope.relationships.map(String));
+    visibleIds = relationshipIds.filter(id => shared.has(id.toString()));
+  }
+
+  const relationshipEvents = {
+    relationshipId: { $in: visibleIds },
+    eventType: scope?.eventTypes?.length
+      ? { $in: scope.eventTypes.filter(eventType => SHAREABLE_EVENT_TYPES.includes(eventType)) }
+      : { $nin: HISTORY_ACCESS_EVENTS }
+  };
+
+  if (!isOwner) return relationshipEvents;
+
+  return {
+    $or: [
+      relationshipEvents,
+      { eventType: { $in: HISTORY_ACCESS_EVENTS }, $or: [{ actor: ownerId }, { targetUser: ownerId }] }
+    ]
+  };
+};
+
+// Everyone else in the relationship, whose own history it is too
+const otherPeople = (relationship, ownerId, viewerId) => relationship.getMembers()
+  .filter(member => CURRENT_MEMBER_STATUSES.includes(member.status))
+  .map(member => idOf(member.user))
+  .filter(userId => userId !== idOf(ownerId) && userId !== idOf(viewerId));
+
+// Whether a non-owner may see a relationship in the owner's history. Private
+// relationships never show, and every other person in it has to let the
+// viewer in through their own historyPrivacy: public, or a grant to the
+// viewer that covers this relationship.
+export const isSharedWithViewer = (relationship, { ownerId, viewerId, privacyOf, grants }) => {
+  if (relationship.privacy === 'private') return false;
+
+  return otherPeople(relationship, ownerId, viewerId).every(userId => {
+    const privacy = privacyOf.get(userId);
+    if (privacy === 'public') return true;
+    if (privacy !== 'granted_only') return false;
+    return grants.some(grant => idOf(grant.owner) === userId &&
+      (!grant.scope?.relationships?.length || grant.scope.relationships.some(id => idOf(id) === idOf(relationship._id))));
+  });
+};
+
+// Narrows the owner's relationships to the ones a non-owner may see
+export const filterRelationshipsForViewer = async (relationships, ownerId, viewerId) => {
+  const otherIds = [...new Set(relationships.flatMap(relationship => otherPeople(relationship, ownerId, viewerId)))];
+
+  const [others, grants] = await Promise.all([
+    User.find({ _id: { $in: otherIds } }).select('historyPrivacy'),
+    HistoryAccessGrant.find({ owner: { $in: otherIds }, requester: viewerId, status: 'granted', expiresAt: { $gt: new Date() } })
+  ]);
+  const privacyOf = new Map(others.map(user => [idOf(user._id), user.historyPrivacy]));
+
+  return relationships.filter(relationship => isSharedWithViewer(relationship, { ownerId, viewerId, privacyOf, grants }));
+};
+
+export const recordHistoryAccessEvent = async (eventType, { actor, targetUser, details }) => {
+  try {
+    await RelationshipHistory.create({ eventType, actor, targetUser, details });
+  } catch (error) {
+    console.error('Record history access event error:', error);
+  }
+};
+
+// Every look at someone else's history is logged for the owner
+export const recordHistoryView = async (viewerId, ownerId, grant, details = {}) => {
+  await recordHistoryAccessEvent('history_access_viewed', {
+    actor: viewerId,
+    targetUser: ownerId,
+    details: { grantId: grant?._id, via: grant ? 'grant' : 'public', ...details }
+  });
+
+  if (grant) {
+    await HistoryAccessGrant.updateOne(
+      { _id: grant._id },
+      { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } }
+    );
+  }
+};
+
+// Expire unanswered requests and grants whose time is up
+export const expireHistoryAccess = async () => {
+  const now = new Date();
+  const due = await HistoryAccessGrant.find({
+    $or: [
+      { status: 'pending', requestExpiresAt: { $lte: now } },
+      { status: 'granted', expiresAt: { $lte: now } }
+    ]
+  });
+
+  let expired = 0;
+  for (const grant of due) {
+    // Claim the transition so an owner acting at the same moment wins cleanly
+    const claimed = await HistoryAccessGrant.findOneAndUpdate(
+      { _id: grant._id, status: grant.status },
+      { status: 'expired' }
+    );
+    if (!claimed) continue;
+    expired += 1;
+
+    const wasGranted = grant.status === 'granted';
+
+    await recordHistoryAccessEvent('history_access_expired', {
+      targetUser: grant.owner,
+      details: { grantId: grant._id, requester: grant.requester, stage: wasGranted ? 'grant' : 'request' }
+    });
+
+    await Notification.createNotification({
+      recipient: grant.requester,
+      type: 'history_access_expired',
+      title: wasGranted ? 'History Access Ended' : 'History Access Request Expired',
+      message: wasGranted
+        ? 'Your access to a relationship history has expired.'
+        : 'Your request to view a relationship history expired without an answer.',
+      category: 'relationship',
+      metadata: {
+        customData: { grantId: grant._id }
+      }
+    });
+  }
+
+  return expired;
+};
@@ -0,0 +1,151 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Notification from '../models/Notification.js';
+import TwoFactorChallenge from '../models/TwoFactorChallenge.js';
+import { sendAccountLockedEmail } from './emails.js';
+import { signPurposeToken, verifyPurposeToken } from './authTokens.js';
+import { hashToken } from '../utils/tokens.js';
+import { verifyTotp } from '../utils/totp.js';
+
+// How recently a passwordless user must have signed in to confirm sensitive changes
+const REAUTH_MAX_AGE_MINUTES = parseInt(process.env.REAUTH_MAX_AGE_MINUTES || '10', 10);
+// Wrong codes a single login challenge takes before the user has to log in again
+export const TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS = parseInt(process.env.TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS || '5', 10);
+
+export const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const notifyAccountLocked = async (user, lockUntil) => {
+  await Notification.create({
+    recipient: user._id,
+    type: 'account_locked',
+    title: 'Account Temporarily Locked',
+    message: `Your account was locked after too many failed login attempts. You can log in again after ${lockUntil.toUTCString()}.`,
+    category: 'system',
+    priority: 'high',
+    actions: [
+      { type: 'view', label: 'Review Login History', url: '/account/security' }
+    ]
+  });
+
+  try {
+    await sendAccountLockedEmail(user, lockUntil);
+  } catch (mailError) {
+    console.error('Account locked email error:', mailError);
+  }
+};
+
+// Count a failed login against the account and alert the owner on lockout.
+// Returns when the lock ends if the account is now locked, otherwise null.
+export const registerFailedLogin = async (user) => {
+  const { lockUntil, lockedNow } = await User.registerFailedLogin(user._id);
+
+  if (lockedNow) {
+    await notifyAccountLocked(user, lockUntil);
+  }
+
+  return lockUntil;
+};
+
+export const sendLockedResponse = (res, lockUntil) => {
+  const retryAfterSeconds = Math.max(1, Math.ceil((lockUntil.getTime() - Date.now()) / 1000));
+
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(423).json({
+    message: 'Account temporarily locked due to too many failed login attempts',
+    retryAt: lockUntil,
+    retryAfterSeconds
+  });
+};
+
+export const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+// Checks a TOTP code or a one-time recovery code against the user's enrolled
+// secret. Consumes the recovery code / time step on success; caller saves.
+export const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (!user.twoFactor?.enabled) return false;
+
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, code);
+    if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+      return false;
+    }
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const index = user.twoFactor.recoveryCodes.indexOf(codeHash);
+    if (index === -1) return false;
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+// Whether the request's session was started moments ago, i.e. the user just
+// signed in again (through their identity provider or a magic link)
+export const hasRecentlySignedIn = async (sessionId) => {
+  if (!sessionId) return false;
+  const session = await Session.findById(sessionId).select('createdAt revokedAt');
+  return Boolean(session && !session.revokedAt &&
+    Date.now() - session.createdAt.getTime() <= REAUTH_MAX_AGE_MINUTES * 60 * 1000);
+};
+
+// Confirms it is really the user before a sensitive change: their password,
+// or for accounts without one, a fresh sign-in or a second-factor code
+export const confirmIdentity = async (user, req) => {
+  if (user.hasPassword) {
+    return user.comparePassword(req.body.password || '');
+  }
+  return verifySecondFactor(user, req.body) || hasRecentlySignedIn(req.sessionId);
+};
+
+// Issues the token a user trades for a session once they pass the second
+// factor. Its jti points at a TwoFactorChallenge that counts the guesses.
+export const createTwoFactorChallenge = async (user) => {
+  const challenge = new TwoFactorChallenge({ user: user._id });
+  const challengeToken = signPurposeToken(
+    { userId: user._id, jti: challenge._id.toString() },
+    '2fa_challenge',
+    process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m'
+  );
+  challenge.expiresAt = new Date(jwt.decode(challengeToken).exp * 1000);
+  await challenge.save();
+  return challengeToken;
+};
+
+// Checks a challenge token and counts one attempt against it. Returns null
+// when the token is invalid, already used or out of attempts.
+export const openTwoFactorChallenge = async (challengeToken) => {
+  let decoded;
+  try {
+    decoded = verifyPurposeToken(challengeToken, '2fa_challenge');
+  } catch (tokenError) {
+    return null;
+  }
+  if (!mongoose.isValidObjectId(decoded.jti)) return null;
+
+  const challenge = await TwoFactorChallenge.findOneAndUpdate(
+    {
+      _id: decoded.jti,
+      user: decoded.userId,
+      consumedAt: null,
+      attempts: { $lt: TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS }
+    },
+    { $inc: { attempts: 1 } }
+  );
+  return challenge ? { userId: decoded.userId, challengeId: challenge._id } : null;
+};
+
+// Marks a challenge as used; false if a concurrent request got there first
+export const consumeTwoFactorChallenge = async (challengeId) => {
+  const challenge = await TwoFactorChallenge.findOneAndUpdate(
+    { _id: challengeId, consumedAt: null },
+    { consumedAt: new Date() }
+  );
+  return Boolean(challenge);
+};
@@ -0,0 +1,72 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Transports are looked up by name (MAIL_TRANSPORT). A transport is any
+// object with an async send(message) method; production providers can be
+// plugged in with registerTransport() without touching the callers.
+const transportFactories = {
+  console: () => ({
+    send: async (message) => {
+      console.log('📧 Outgoing email');
+      console.log(`To: ${message.to}`);
+      console.log(`Subject: ${message.subject}`);
+      console.log(message.text);
+      return { id: `console-${Date.now()}` };
+    }
+  }),
+  file: () => ({
+    send: async (message) => {
+      const dir = process.env.MAIL_DIR || path.join(process.cwd(), 'storage', 'mail');
+      await fs.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify(message, null, 2));
+      return { id };
+    }
+  })
+};
+
+let activeTransport = null;
+
+export const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  activeTransport = null;
+};
+
+// The console transport prints tokens and sends nothing, so production has to
+// name a real transport
+const getTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  return 'console';
+};
+
+// Called at startup so a missing setting stops the server before anything is sent
+export const assertMailConfigured = () => {
+  getTransportName();
+};
+
+export const getTransport = () => {
+  if (!activeTransport) {
+    const name = getTransportName();
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'RelationApp <no-reply@relationapp.local>',
+    to,
+    subject,
+    text,
+    html: html || text
+  };
+
+  return getTransport().send(message);
+};
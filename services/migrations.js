@@ -0,0 +1,124 @@
+import { setTimeout as sleep } from 'timers/promises';
+import Migration from '../models/Migration.js';
+import User from '../models/User.js';
+import Certificate from '../models/Certificate.js';
+import Relationship, { RELATIONSHIP_PERMISSIONS } from '../models/Relationship.js';
+
+// Data migrations, run in order once the database connection is up. Each one
+// runs exactly once per database; add new ones at the end and never rename one
+// that has shipped.
+
+const migrations = [
+  {
+    // Accounts from before email verification existed were never sent a
+    // link, so they count as verified rather than being locked out
+    name: '001-email-verified-backfill',
+    up: () => User.updateMany({ emailVerified: { $exists: false } }, { $set: { emailVerified: true } })
+  },
+  {
+    // Sharing used to publish certificates by default and without the other
+    // recipients' consent; they go back to private until everyone agrees
+    name: '002-certificate-public-consent',
+    up: () => Certificate.updateMany(
+      { 'sharing.isPublic': true, 'sharing.publicBy': { $exists: false } },
+      { $set: { 'sharing.isPublic': false, 'sharing.publicBy': [] } }
+    )
+  },
+  {
+    // The pair index used to cover every relationship, so a second group by
+    // the same creator (no partner) collided with the first
+    name: '003-relationship-pair-index',
+    up: async () => {
+      try {
+        await Relationship.collection.dropIndex('initiator_1_partner_1');
+      } catch (error) {
+        if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') throw error;
+      }
+      await Relationship.createIndexes();
+    }
+  },
+  {
+    // Permissions used to be one settings.permissions block for the whole
+    // relationship; every member gets an entry carrying the stored values.
+    // viewHistory was stored as false by default but never enforced, so it is
+    // left out rather than locking members out of their own history.
+    name: '004-member-permissions',
+    up: async () => {
+      const cursor = Relationship.collection.find({ 'settings.permissions': { $exists: true } });
+
+      for await (const relationship of cursor) {
+        const stored = relationship.settings.permissions || {};
+        const memberIds = relationship.kind === 'group'
+          ? (relationship.members || []).map(member => member.user)
+          : [relationship.initiator, relationship.partner];
+        const existing = relationship.settings.memberPermissions || [];
+
+        const memberPermissions = memberIds.filter(Boolean).map(userId => {
+          const entry = existing.find(permissions => permissions.user?.equals(userId)) || { user: userId };
+          for (const permission of RELATIONSHIP_PERMISSIONS) {
+            if (permission !== 'viewHistory' && entry[permission] === undefined && typeof stored[permission] === 'boolean') {
+              entry[permission] = stored[permission];
+            }
+          }
+          return entry;
+        });
+        const others = existing.filter(permissions => !memberIds.some(userId => userId?.equals(permissions.user)));
+
+        await Relationship.collection.updateOne(
+          { _id: relationship._id },
+          { $set: { 'settings.memberPermissions': [...memberPermissions, ...others] }, $unset: { 'settings.permissions': '' } }
+        );
+      }
+    }
+  }
+];
+
+// How long a claim holds before another instance may take the migration
+// over, e.g. because the one running it died halfway. Keep it above the
+// longest migration's run time.
+const MIGRATION_LOCK_MINUTES = parseInt(process.env.MIGRATION_LOCK_MINUTES || '15', 10);
+const MIGRATION_POLL_MS = 2000;
+
+// Takes the migration unless another instance holds a live claim on it.
+// Claims without a startedAt predate expiring claims and count as stale.
+const claimMigration = async (name) => {
+  const startedAt = new Date();
+  const staleBefore = new Date(startedAt - MIGRATION_LOCK_MINUTES * 60 * 1000);
+  try {
+    await Migration.findOneAndUpdate(
+      { name, completedAt: null, startedAt: { $not: { $gte: staleBefore } } },
+      { startedAt },
+      { upsert: true }
+    );
+    return startedAt;
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Runs each pending migration under a claim so only one instance runs it when
+// several start at once. An instance that finds a migration claimed waits for
+// it to complete, since later migrations may depend on it; a failed migration
+// is released and stops startup.
+export const runMigrations = async () => {
+  for (const migration of migrations) {
+    let startedAt = null;
+    while (!startedAt) {
+      if (await Migration.exists({ name: migration.name, completedAt: { $ne: null } })) break;
+      startedAt = await claimMigration(migration.name);
+      if (!startedAt) await sleep(MIGRATION_POLL_MS);
+    }
+    if (!startedAt) continue;
+
+    try {
+      await migration.up();
+    } catch (error) {
+      await Migration.deleteOne({ name: migration.name, startedAt });
+      throw new Error(`Migration "${migration.name}" failed: ${error.message}`);
+    }
+
+    await Migration.updateOne({ name: migration.name, startedAt }, { completedAt: new Date() });
+    console.log(`✅ Migration ${migration.name} applied`);
+  }
+};
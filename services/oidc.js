@@ -0,0 +1,309 @@
+import crypto from 'crypto';
+import { nanoid } from 'nanoid';
+import User from '../models/User.js';
+import Identity from '../models/Identity.js';
+import { signPurposeToken, verifyPurposeToken } from './authTokens.js';
+import { generateRandomToken } from '../utils/tokens.js';
+import { HttpError } from '../utils/httpError.js';
+
+// Providers are configured through env, e.g. for OIDC_PROVIDERS=google:
+// OIDC_GOOGLE_ISSUER, OIDC_GOOGLE_CLIENT_ID, OIDC_GOOGLE_CLIENT_SECRET,
+// OIDC_GOOGLE_REDIRECT_URI and optionally OIDC_GOOGLE_SCOPES / OIDC_GOOGLE_LABEL
+
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+const JWKS_REFRESH_MIN_MS = 60 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+
+const SIGNING_ALGORITHMS = {
+  RS256: { hash: 'sha256', kty: 'RSA' },
+  RS384: { hash: 'sha384', kty: 'RSA' },
+  RS512: { hash: 'sha512', kty: 'RSA' },
+  ES256: { hash: 'sha256', kty: 'EC' },
+  ES384: { hash: 'sha384', kty: 'EC' }
+};
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+export const getProviderNames = () => {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+export const getProvider = (name) => {
+  if (!getProviderNames().includes(name)) return null;
+
+  const prefix = `OIDC_${name.toUpperCase()}_`;
+  const issuer = process.env[`${prefix}ISSUER`];
+  const clientId = process.env[`${prefix}CLIENT_ID`];
+  if (!issuer || !clientId) return null;
+
+  return {
+    name,
+    label: process.env[`${prefix}LABEL`] || name,
+    issuer: issuer.replace(/\/$/, ''),
+    clientId,
+    clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+    redirectUri: process.env[`${prefix}REDIRECT_URI`],
+    scopes: process.env[`${prefix}SCOPES`] || 'openid email profile'
+  };
+};
+
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(10000) });
+  } catch (error) {
+    throw new HttpError(502, 'Identity provider is unreachable');
+  }
+
+  if (!response.ok) {
+    throw new HttpError(502, `Identity provider request failed with status ${response.status}`);
+  }
+  return response.json();
+};
+
+export const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && Date.now() - cached.fetchedAt < METADATA_CACHE_MS) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer !== provider.issuer) {
+    throw new HttpError(502, 'Identity provider metadata does not match the configured issuer');
+  }
+
+  discoveryCache.set(provider.issuer, { metadata, fetchedAt: Date.now() });
+  return metadata;
+};
+
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+  let cached = jwksCache.get(jwksUri);
+  let key = cached && findKey(cached.keys);
+
+  // Unknown kid usually means the provider rotated its keys
+  if (!key && (!cached || Date.now() - cached.fetchedAt > JWKS_REFRESH_MIN_MS)) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+    key = findKey(keys);
+  }
+
+  if (!key) {
+    throw new HttpError(400, 'ID token was signed with an unknown key');
+  }
+  return key;
+};
+
+// The PKCE verifier is derived from the nonce so it never has to leave the server
+const deriveCodeVerifier = (nonce) => {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET || 'fallback_secret')
+    .update(`pkce:${nonce}`)
+    .digest('base64url');
+};
+
+export const buildAuthorizationUrl = async (provider) => {
+  const metadata = await discover(provider);
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(deriveCodeVerifier(nonce)).digest('base64url');
+  const state = signPurposeToken({ provider: provider.name, nonce }, 'oidc_state', '10m');
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', provider.redirectUri);
+  url.searchParams.set('scope', provider.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return { authorizationUrl: url.toString(), state };
+};
+
+export const verifyIdToken = async (provider, metadata, idToken, expectedNonce) => {
+  const parts = String(idToken).split('.');
+  if (parts.length !== 3) {
+    throw new HttpError(400, 'ID token is malformed');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString());
+    claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+  } catch (error) {
+    throw new HttpError(400, 'ID token is malformed');
+  }
+
+  const algorithm = SIGNING_ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new HttpError(400, `ID token algorithm ${header.alg} is not supported`);
+  }
+
+  const jwk = await getSigningKey(metadata.jwks_uri, header.kid);
+  if (jwk.kty !== algorithm.kty) {
+    throw new HttpError(400, 'ID token key type does not match its algorithm');
+  }
+
+  const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  const verified = crypto.verify(
+    algorithm.hash,
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    algorithm.kty === 'EC' ? { key: publicKey, dsaEncoding: 'ieee-p1363' } : publicKey,
+    Buffer.from(encodedSignature, 'base64url')
+  );
+  if (!verified) {
+    throw new HttpError(400, 'ID token signature is invalid');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+  if (claims.iss !== provider.issuer) {
+    throw new HttpError(400, 'ID token was issued by an unexpected issuer');
+  }
+  if (!audiences.includes(provider.clientId) || (audiences.length > 1 && claims.azp !== provider.clientId)) {
+    throw new HttpError(400, 'ID token was issued for a different client');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new HttpError(400, 'ID token has expired');
+  }
+  if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW_SECONDS > now) {
+    throw new HttpError(400, 'ID token was issued in the future');
+  }
+  if (claims.nonce !== expectedNonce) {
+    throw new HttpError(400, 'ID token nonce does not match the login request');
+  }
+  if (!claims.sub) {
+    throw new HttpError(400, 'ID token has no subject');
+  }
+
+  return claims;
+};
+
+// Exchanges the authorization code and returns the verified ID token claims
+export const exchangeCode = async (provider, { code, state }) => {
+  let decoded;
+  try {
+    decoded = verifyPurposeToken(state, 'oidc_state');
+  } catch (error) {
+    throw new HttpError(400, 'Login request is invalid or has expired');
+  }
+
+  if (decoded.provider !== provider.name) {
+    throw new HttpError(400, 'Login request was started with a different provider');
+  }
+
+  const metadata = await discover(provider);
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: deriveCodeVerifier(decoded.nonce)
+  });
+  if (provider.clientSecret) {
+    body.set('client_secret', provider.clientSecret);
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body
+  });
+
+  if (!tokens.id_token) {
+    throw new HttpError(502, 'Identity provider did not return an ID token');
+  }
+
+  return verifyIdToken(provider, metadata, tokens.id_token, decoded.nonce);
+};
+
+// Picks a free username that satisfies the signup rules
+const generateUsername = async (claims) => {
+  const source = claims.preferred_username || claims.email?.split('@')[0] || 'user';
+  let base = source.replace(/[^a-zA-Z0-9_]/g, '').slice(0, 14);
+  if (base.length < 3) base = `user${base}`;
+
+  let username = base;
+  while (await User.exists({ username })) {
+    username = `${base}_${nanoid(5).replace(/[^a-zA-Z0-9]/g, '0')}`;
+  }
+  return username;
+};
+
+const namesFromClaims = (claims, fallback) => {
+  const [first, ...rest] = (claims.name || '').trim().split(/\s+/);
+  return {
+    firstName: (claims.given_name || first || fallback).slice(0, 50),
+    // Users can fix a placeholder last name from their profile
+    lastName: (claims.family_name || rest.join(' ') || '-').slice(0, 50)
+  };
+};
+
+// Finds the user behind a verified set of claims, linking or creating the
+// account as needed. Accounts are only linked by email when both sides have
+// verified it; otherwise someone could pre-register a victim's address.
+export const resolveUserFromClaims = async (provider, claims) => {
+  const identity = await Identity.findOne({ provider: provider.name, subject: claims.sub });
+
+  if (identity) {
+    const user = await User.findById(identity.user);
+    if (!user) {
+      throw new HttpError(401, 'The account linked to this identity no longer exists');
+    }
+
+    identity.lastLoginAt = new Date();
+    await identity.save();
+    return { user, identity, created: false };
+  }
+
+  if (!claims.email || claims.email_verified !== true) {
+    throw new HttpError(400, 'Your identity provider did not share a verified email address');
+  }
+
+  const email = claims.email.toLowerCase();
+  let user = await User.findOne({ email });
+  let created = false;
+
+  if (user && !user.emailVerified) {
+    throw new HttpError(409, 'An account with this email already exists. Log in with your password and verify your email before linking.');
+  }
+
+  if (!user) {
+    const username = await generateUsername(claims);
+    user = new User({
+      username,
+      email,
+      // Never used to log in; hasPassword tells the rest of the app
+      password: generateRandomToken(32),
+      hasPassword: false,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+      ...namesFromClaims(claims, username)
+    });
+    await user.save();
+    created = true;
+  }
+
+  const newIdentity = await Identity.create({
+    user: user._id,
+    provider: provider.name,
+    subject: claims.sub,
+    email,
+    lastLoginAt: new Date()
+  });
+
+  return { user, identity: newIdentity, created };
+};
@@ -0,0 +1,58 @@
+import { COMMUNICATION_FREQUENCIES } from '../models/Relationship.js';
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Where stats start when a relationship is rekindled
+export const REKINDLE_TRUST_LEVEL = Math.min(100, Math.max(0, envInt('REKINDLE_TRUST_LEVEL', 50)));
+// An unknown frequency would fail validation on every accepted rekindle
+const rekindleFrequency = () => {
+  const value = process.env.REKINDLE_COMMUNICATION_FREQUENCY;
+  if (!value) return 'occasionally';
+  if (COMMUNICATION_FREQUENCIES.includes(value)) return value;
+  console.warn(`⚠️  Ignoring REKINDLE_COMMUNICATION_FREQUENCY "${value}"; expected one of ${COMMUNICATION_FREQUENCIES.join(', ')}`);
+  return 'occasionally';
+};
+
+export const REKINDLE_COMMUNICATION_FREQUENCY = rekindleFrequency();
+
+// Closes the current chapter into `chapters` and starts the next one with
+// fresh dates and stats. Optional title and type apply to the new chapter.
+export const startNewChapter = (relationship, { title, type, previousStatus } = {}, now = new Date()) => {
+  relationship.chapters.push({
+    number: relationship.chapter,
+    title: relationship.title,
+    type: relationship.type,
+    startDate: relationship.startDate,
+    acceptedDate: relationship.acceptedDate,
+    endDate: relationship.endDate,
+    endStatus: previousStatus,
+    endReason: relationship.customFields?.endReason,
+    stats: {
+      trustLevel: relationship.stats?.trustLevel,
+      totalActivities: relationship.stats?.totalActivities,
+      milestonesAchieved: relationship.stats?.milestonesAchieved
+    }
+  });
+
+  relationship.chapter += 1;
+  if (title) relationship.title = title;
+  if (type) relationship.type = type;
+
+  relationship.startDate = now;
+  relationship.acceptedDate = now;
+  relationship.endDate = undefined;
+  relationship.breakupRequestedBy = undefined;
+  relationship.rekindleRequest = undefined;
+  relationship.set('customFields.endReason', undefined);
+  relationship.set('customFields.archivedDate', undefined);
+  relationship.stats = {
+    trustLevel: REKINDLE_TRUST_LEVEL,
+    communicationFrequency: REKINDLE_COMMUNICATION_FREQUENCY,
+    lastInteraction: now,
+    totalActivities: 0,
+    milestonesAchieved: 0
+  };
+};
@@ -0,0 +1,258 @@
+import Relationship from '../models/Relationship.js';
+import Activity from '../models/Activity.js';
+import Term from '../models/Term.js';
+import Milestone from '../models/Milestone.js';
+import Notification from '../models/Notification.js';
+import { REKINDLE_TRUST_LEVEL } from './relationshipChapters.js';
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Only signals this recent count towards the score
+export const HEALTH_WINDOW_DAYS = envInt('HEALTH_WINDOW_DAYS', 90);
+// Members are told when trust moves by at least this many points at once
+export const TRUST_SWING_THRESHOLD = envInt('TRUST_SWING_THRESHOLD', 10);
+// Where trust sits before any signals; rekindled chapters start from REKINDLE_TRUST_LEVEL
+export const BASE_TRUST_LEVEL = 50;
+
+// How much each signal moves trust, in points out of 100. Every breakdown
+// entry explains itself in terms of these.
+export const HEALTH_WEIGHTS = {
+  cadence: { daily: 10, weekly: 6, monthly: 2, occasionally: 0, rarely: -5 },
+  mood: 8, // times the average mood, which runs from -2 to 2
+  conflict: -4,
+  resolution: 3, // each resolution makes up for most of one conflict
+  conflictFloor: -20,
+  violation: { minor: -2, moderate: -5, major: -10, severe: -20 },
+  resolvedViolation: 0.5, // share of the penalty a resolved violation keeps
+  violationFloor: -40,
+  milestoneCompleted: 3,
+  milestoneOverdue: -3,
+  milestoneCap: 15,
+  reportedImpactCap: 10 // trustChange members put on their own activities
+};
+
+export const MOOD_SCORES = {
+  very_positive: 2,
+  positive: 1,
+  neutral: 0,
+  negative: -1,
+  very_negative: -2
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+// Communication frequency looks at days with activity in the last month
+const CADENCE_DAYS = 30;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const plural = (count, word, words = `${word}s`) => `${count} ${count === 1 ? word : words}`;
+const signed = (value) => (value > 0 ? `+${value}` : `${value}`);
+
+export const getCommunicationFrequency = (activities, startedAt, now) => {
+  const monthAgo = new Date(now - CADENCE_DAYS * DAY);
+  const activeDays = new Set(activities
+    .filter(activity => activity.createdAt >= monthAgo)
+    .map(activity => activity.createdAt.toISOString().slice(0, 10))).size;
+
+  if (activeDays >= 15) return { frequency: 'daily', activeDays };
+  if (activeDays >= 4) return { frequency: 'weekly', activeDays };
+  if (activeDays >= 1) return { frequency: 'monthly', activeDays };
+  // Too new to have gone quiet
+  if (activities.length > 0 || (startedAt && startedAt > monthAgo)) return { frequency: 'occasionally', activeDays };
+  return { frequency: 'rarely', activeDays };
+};
+
+// Scores already-loaded signals. Everything passed in is expected to belong
+// to the relationship; anything older than `since` is ignored.
+export const computeHealth = ({ activities = [], terms = [], milestones = [], baseline = BASE_TRUST_LEVEL, since, startedAt, now = new Date() }) => {
+  const recent = activities.filter(activity => !since || activity.createdAt >= since);
+  const breakdown = [];
+
+  const { frequency, activeDays } = getCommunicationFrequency(recent, startedAt, now);
+  breakdown.push({
+    factor: 'cadence',
+    value: frequency,
+    impact: HEALTH_WEIGHTS.cadence[frequency],
+    explanation: `${plural(activeDays, 'day')} with activity in the last ${CADENCE_DAYS} days (${frequency})`
+  });
+
+  const moods = recent.filter(activity => activity.mood).map(activity => MOOD_SCORES[activity.mood]);
+  const averageMood = moods.length ? moods.reduce((sum, score) => sum + score, 0) / moods.length : 0;
+  breakdown.push({
+    factor: 'mood',
+    value: Math.round(averageMood * 100) / 100,
+    impact: Math.round(averageMood * HEALTH_WEIGHTS.mood),
+    explanation: moods.length
+      ? `Average mood of ${averageMood.toFixed(2)} across ${plural(moods.length, 'activity', 'activities')} (x${HEALTH_WEIGHTS.mood})`
+      : 'No moods recorded'
+  });
+
+  const conflicts = recent.filter(activity => activity.type === 'conflict').length;
+  const resolutions = Math.min(conflicts, recent.filter(activity => activity.type === 'resolution').length);
+  breakdown.push({
+    factor: 'conflicts',
+    value: { conflicts, resolutions },
+    impact: Math.max(HEALTH_WEIGHTS.conflictFloor, conflicts * HEALTH_WEIGHTS.conflict + resolutions * HEALTH_WEIGHTS.resolution),
+    explanation: `${plural(conflicts, 'conflict')} (${HEALTH_WEIGHTS.conflict} each), ${plural(resolutions, 'resolution')} (+${HEALTH_WEIGHTS.resolution} each)`
+  });
+
+  const violations = terms
+    .flatMap(term => term.violations || [])
+    .filter(violation => !since || violation.reportedAt >= since);
+  const violationPenalty = violations.reduce((sum, violation) => {
+    const penalty = HEALTH_WEIGHTS.violation[violation.severity || 'minor'];
+    return sum + (violation.resolved ? penalty * HEALTH_WEIGHTS.resolvedViolation : penalty);
+  }, 0);
+  const bySeverity = Object.keys(HEALTH_WEIGHTS.violation)
+    .map(severity => [severity, violations.filter(violation => (violation.severity || 'minor') === severity).length])
+    .filter(([, count]) => count > 0);
+  breakdown.push({
+    factor: 'violations',
+    value: Object.fromEntries(bySeverity),
+    impact: Math.round(Math.max(HEALTH_WEIGHTS.violationFloor, violationPenalty)),
+    explanation: bySeverity.length
+      ? `Term violations: ${bySeverity.map(([severity, count]) => `${count} ${severity} (${HEALTH_WEIGHTS.violation[severity]} each)`).join(', ')}; resolved ones count half`
+      : 'No term violations reported'
+  });
+
+  const completed = milestones.filter(milestone =>
+    milestone.status === 'completed' && (!since || milestone.completedDate >= since)).length;
+  const overdue = milestones.filter(milestone =>
+    ['pending', 'in_progress'].includes(milestone.status) &&
+    milestone.targetDate && milestone.targetDate < now && (!since || milestone.targetDate >= since)).length;
+  breakdown.push({
+    factor: 'milestones',
+    value: { completed, overdue },
+    impact: clamp(
+      completed * HEALTH_WEIGHTS.milestoneCompleted + overdue * HEALTH_WEIGHTS.milestoneOverdue,
+      -HEALTH_WEIGHTS.milestoneCap,
+      HEALTH_WEIGHTS.milestoneCap
+    ),
+    explanation: `${completed} completed (+${HEALTH_WEIGHTS.milestoneCompleted} each), ${overdue} overdue (${HEALTH_WEIGHTS.milestoneOverdue} each)`
+  });
+
+  const reported = recent.reduce((sum, activity) => sum + (activity.impact?.trustChange || 0), 0);
+  breakdown.push({
+    factor: 'reported',
+    value: reported,
+    impact: clamp(reported, -HEALTH_WEIGHTS.reportedImpactCap, HEALTH_WEIGHTS.reportedImpactCap),
+    explanation: `Trust changes members reported on their activities, capped at ${HEALTH_WEIGHTS.reportedImpactCap} either way`
+  });
+
+  for (const entry of breakdown) {
+    entry.impact = entry.impact || 0; // no -0 in responses
+    entry.explanation = `${entry.explanation}: ${signed(entry.impact)}`;
+  }
+
+  const total = breakdown.reduce((sum, entry) => sum + entry.impact, 0);
+
+  return {
+    trustLevel: Math.round(clamp(baseline + total, 0, 100)),
+    communicationFrequency: frequency,
+    baseline,
+    breakdown: breakdown.sort((a, b) => Math.abs(b.impact) - Math.abs(a.impact)),
+    since,
+    computedAt: now
+  };
+};
+
+// Loads the relationship's recent signals and scores them without saving
+export const assessRelationshipHealth = async (relationship, now = new Date()) => {
+  const startedAt = relationship.acceptedDate || relationship.startDate;
+  const since = new Date(Math.max(now - HEALTH_WINDOW_DAYS * DAY, startedAt ? startedAt.getTime() : 0));
+
+  const [activities, terms, milestones] = await Promise.all([
+    Activity.find({ relationship: relationship._id, createdAt: { $gte: since } })
+      .select('type mood impact createdAt'),
+    Term.find({ relationship: relationship._id, 'violations.reportedAt': { $gte: since } })
+      .select('violations'),
+    Milestone.find({
+      relationship: relationship._id,
+      $or: [
+        { status: 'completed', completedDate: { $gte: since } },
+        { status: { $in: ['pending', 'in_progress'] }, targetDate: { $gte: since, $lt: now } }
+      ]
+    }).select('status targetDate completedDate')
+  ]);
+
+  return computeHealth({
+    activities,
+    terms,
+    milestones,
+    baseline: relationship.chapter > 1 ? REKINDLE_TRUST_LEVEL : BASE_TRUST_LEVEL,
+    since,
+    startedAt,
+    now
+  });
+};
+
+const notifyTrustChange = async (relationship, from, health) => {
+  const fell = health.trustLevel < from;
+  const [mover] = health.breakdown.filter(entry => (fell ? entry.impact < 0 : entry.impact > 0));
+
+  for (const member of relationship.getMembers().filter(entry => entry.status === 'active')) {
+    await Notification.createNotification({
+      recipient: member.user,
+      type: 'trust_level_changed',
+      title: fell ? 'Trust Level Dropped' : 'Trust Level Rose',
+      message: `Trust in "${relationship.title}" went from ${from} to ${health.trustLevel}` +
+        (mover ? `, mostly because of ${mover.factor}` : ''),
+      category: 'relationship',
+      priority: fell ? 'high' : 'medium',
+      metadata: {
+        relationshipId: relationship._id,
+        customData: { from, to: health.trustLevel }
+      }
+    });
+  }
+};
+
+// Rescores a relationship and stores the result in its stats. Members hear
+// about big swings; if someone else stored a score in the meantime, theirs
+// stands and nobody is notified twice.
+export const recomputeRelationshipHealth = async (relationshipId, now = new Date()) => {
+  const relationship = await Relationship.findById(relationshipId);
+  if (!relationship || !['active', 'requested_breakup'].includes(relationship.status)) return null;
+
+  const health = await assessRelationshipHealth(relationship, now);
+  const from = relationship.stats.trustLevel;
+
+  const { matchedCount } = await Relationship.updateOne(
+    { _id: relationship._id, 'stats.trustLevel': from },
+    { $set: { 'stats.trustLevel': health.trustLevel, 'stats.communicationFrequency': health.communicationFrequency } }
+  );
+
+  if (matchedCount > 0 && Math.abs(health.trustLevel - from) >= TRUST_SWING_THRESHOLD) {
+    await notifyTrustChange(relationship, from, health);
+  }
+
+  return health;
+};
+
+// For handlers that just changed a signal; scoring must never fail the request
+export const refreshRelationshipHealth = async (relationshipId) => {
+  try {
+    await recomputeRelationshipHealth(relationshipId?._id || relationshipId);
+  } catch (error) {
+    console.error('Relationship health error:', error);
+  }
+};
+
+// Nightly pass, so scores also follow time passing: quiet spells, overdue
+// milestones and signals leaving the window
+export const recomputeAllRelationshipHealth = async () => {
+  const relationships = await Relationship.find({ status: { $in: ['active', 'requested_breakup'] } }).select('_id');
+
+  let updated = 0;
+  for (const { _id } of relationships) {
+    try {
+      if (await recomputeRelationshipHealth(_id)) updated += 1;
+    } catch (error) {
+      console.error('Relationship health error:', error);
+    }
+  }
+
+  return updated;
+};
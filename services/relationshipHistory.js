@@ -0,0 +1,134 @@
+import RelationshipHistory from '../models/RelationshipHistory.js';
+
+// Fields whose changes show up in the timeline. Status-related fields are
+// described by the status event itself rather than as an "updated" diff.
+const TRACKED_FIELDS = ['title', 'description', 'type', 'privacy', 'tags', 'startDate', 'customFields', 'settings'];
+const STATUS_FIELDS = ['status', 'acceptedDate', 'endDate', 'breakupRequestedBy'];
+
+const STATUS_EVENTS = {
+  'pending>active': 'accepted',
+  'active>requested_breakup': 'breakup_requested',
+  'requested_breakup>ended': 'breakup_confirmed',
+  'requested_breakup>active': 'breakup_request_canceled'
+};
+
+const toPlain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Flattens nested objects into dotted paths so diffs name the exact field
+const flatten = (value, prefix, result = {}) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [key, nested] of Object.entries(value)) {
+      if (key === '_id') continue;
+      flatten(nested, `${prefix}.${key}`, result);
+    }
+  } else {
+    result[prefix] = value;
+  }
+  return result;
+};
+
+export const snapshotRelationship = (relationship) => {
+  const snapshot = {};
+  for (const field of [...TRACKED_FIELDS, ...STATUS_FIELDS]) {
+    snapshot[field] = toPlain(relationship.get(field));
+  }
+  return snapshot;
+};
+
+export const diffSnapshots = (before, after) => {
+  const changes = {};
+  for (const field of TRACKED_FIELDS) {
+    const from = flatten(before[field], field);
+    const to = flatten(after[field], field);
+    for (const path of new Set([...Object.keys(from), ...Object.keys(to)])) {
+      if (JSON.stringify(from[path]) !== JSON.stringify(to[path])) {
+        changes[path] = { from: from[path] ?? null, to: to[path] ?? null };
+      }
+    }
+  }
+  return changes;
+};
+
+export const getStatusEvent = (from, to) => {
+  if (from === to) return null;
+  if (STATUS_EVENTS[`${from}>${to}`]) return STATUS_EVENTS[`${from}>${to}`];
+  if (to === 'ended') return 'ended';
+  if (to === 'archived') return 'archived';
+  return 'updated';
+};
+
+// Works whether or not initiator/partner are populated
+const memberId = (member) => member?._id || member;
+
+// Groups have no single other member, so their events name one explicitly
+const otherMember = (relationship, actor) => {
+  if (!actor || !relationship.partner) return undefined;
+  const initiator = memberId(relationship.initiator);
+  return initiator.toString() === actor.toString() ? memberId(relationship.partner) : initiator;
+};
+
+export const recordRelationshipEvent = async (relationship, eventType, actor, details, targetUser = otherMember(relationship, actor)) => {
+  try {
+    await RelationshipHistory.create({
+      relationshipId: relationship._id,
+      eventType,
+      actor,
+      targetUser,
+      details
+    });
+  } catch (error) {
+    // The trail must never break the change it describes
+    console.error('Record relationship history error:', error);
+  }
+};
+
+// Called from the Relationship post-save hook
+export const recordRelationshipSave = async (relationship, { wasNew, snapshot, actor, transition }) => {
+  const current = snapshotRelationship(relationship);
+
+  if (wasNew) {
+    return recordRelationshipEvent(relationship, 'created', actor, {
+      title: current.title,
+      type: current.type,
+      status: current.status
+    });
+  }
+
+  if (!snapshot) return;
+
+  // Transitions name their own event; anything else is inferred from the statuses
+  const statusEvent = transition ? transition.history : getStatusEvent(snapshot.status, current.status);
+  if (statusEvent) {
+    await recordRelationshipEvent(relationship, statusEvent, actor, {
+      from: snapshot.status,
+      to: current.status,
+      ...(transition && { transition: transition.event, ...transition.details }),
+      ...(current.customFields?.endReason && { reason: current.customFields.endReason })
+    });
+  }
+
+  const changes = diffSnapshots(snapshot, current);
+  // Dates and reasons set by the status change are part of the status event
+  if (statusEvent) {
+    delete changes['customFields.endReason'];
+    delete changes['customFields.archivedDate'];
+  }
+
+  if (Object.keys(changes).length > 0) {
+    await recordRelationshipEvent(relationship, 'updated', actor, { changes });
+  }
+};
+
+// Called from the Relationship post-deleteOne hook
+export const recordRelationshipDeletion = (relationship, actor) => {
+  let eventType = 'deleted';
+  if (relationship.status === 'pending' && actor && relationship.partner) {
+    eventType = memberId(relationship.partner).toString() === actor.toString() ? 'declined' : 'canceled';
+  }
+
+  return recordRelationshipEvent(relationship, eventType, actor, {
+    title: relationship.title,
+    type: relationship.type,
+    status: relationship.status
+  });
+};
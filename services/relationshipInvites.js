@@ -0,0 +1,164 @@
+import Relationship from '../models/Relationship.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import Block from '../models/Block.js';
+import PendingInvitation from '../models/PendingInvitation.js';
+import { sendRelationshipInvitationEmail } from './emails.js';
+
+const PENDING_INVITATION_TTL_DAYS = parseInt(process.env.PENDING_INVITATION_TTL_DAYS, 10) || 30;
+const DAILY_INVITATION_LIMIT = 20;
+
+// Reasons a user may not invite someone, or null when the invite is allowed.
+// Callers must not reveal blockedByPartner to the inviter.
+export const getInviteRejection = async (userId, partner) => {
+  // Check if user is trying to create relationship with themselves
+  if (partner._id.toString() === userId.toString()) {
+    return { status: 400, message: 'Cannot create relationship with yourself' };
+  }
+
+  if (await Block.exists({ blocker: partner._id, blocked: userId })) {
+    return { status: 404, message: 'User not found', blockedByPartner: true };
+  }
+
+  if (await Block.exists({ blocker: userId, blocked: partner._id })) {
+    return { status: 403, message: 'You have blocked this user. Unblock them to send an invitation.' };
+  }
+
+  // Check if relationship already exists
+  const existingRelationship = await Relationship.findOne({
+    $or: [
+      { initiator: userId, partner: partner._id },
+      { initiator: partner._id, partner: userId }
+    ]
+  });
+
+  // An ended relationship is picked up again rather than duplicated
+  if (existingRelationship && ['ended', 'archived'].includes(existingRelationship.status)) {
+    return {
+      status: 409,
+      message: 'You already had a relationship with this person. Rekindle it instead.',
+      details: {
+        relationshipId: existingRelationship._id,
+        rekindleUrl: `/api/relationships/${existingRelationship._id}/rekindle`
+      }
+    };
+  }
+
+  if (existingRelationship) {
+    return { status: 400, message: 'Relationship already exists' };
+  }
+
+  return null;
+};
+
+// Creates the pending relationship and invites the partner
+export const createPendingRelationship = async (user, partner, { title, type = 'acquaintance', description = '' }) => {
+  const relationship = new Relationship({
+    initiator: user._id,
+    partner: partner._id,
+    title,
+    type,
+    description,
+    status: 'pending'
+  });
+
+  await relationship.actingAs(user._id).save();
+
+  // Populate the relationship data
+  await relationship.populate([
+    { path: 'initiator', select: 'username firstName lastName avatar' },
+    { path: 'partner', select: 'username firstName lastName avatar' }
+  ]);
+
+  // Create notification for partner
+  await Notification.createNotification({
+    recipient: partner._id,
+    sender: user._id,
+    type: 'relationship_invite',
+    title: 'New Relationship Invitation',
+    message: `${user.firstName} ${user.lastName} wants to start a "${title}" relationship with you`,
+    category: 'relationship',
+    actionRequired: true,
+    actions: [
+      { type: 'accept', label: 'Accept', url: `/relationships/${relationship._id}/accept` },
+      { type: 'decline', label: 'Decline', url: `/relationships/${relationship._id}/decline` }
+    ],
+    metadata: {
+      relationshipId: relationship._id
+    }
+  });
+
+  return relationship;
+};
+
+// Invitations send email to arbitrary addresses, so cap how many go out
+export const hasReachedInvitationLimit = async (inviterId) => {
+  const sentToday = await PendingInvitation.countDocuments({
+    inviter: inviterId,
+    createdAt: { $gt: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+  });
+  return sentToday >= DAILY_INVITATION_LIMIT;
+};
+
+// Stores an invitation for an address nobody has registered yet and emails
+// the signup link. Inviting the same address again is a no-op.
+export const createPendingInvitation = async (inviter, email, { title, type, description }) => {
+  const existing = await PendingInvitation.findOne({
+    inviter: inviter._id,
+    email: email.toLowerCase(),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (existing) return existing;
+
+  const invitation = await PendingInvitation.create({
+    inviter: inviter._id,
+    email,
+    title,
+    type,
+    description,
+    expiresAt: new Date(Date.now() + PENDING_INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  // The invitation is still useful if the email bounces, so don't fail on it
+  try {
+    await sendRelationshipInvitationEmail(invitation, inviter);
+  } catch (mailError) {
+    console.error('Relationship invitation email error:', mailError);
+  }
+
+  return invitation;
+};
+
+// Turns every open invitation for a newly registered address into a pending
+// relationship. Invitations that can no longer be honoured are canceled.
+export const convertPendingInvitations = async (user) => {
+  const invitations = await PendingInvitation.find({
+    email: user.email,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+
+  const relationships = [];
+
+  for (const invitation of invitations) {
+    const inviter = await User.findById(invitation.inviter).select('firstName lastName isActive');
+
+    if (!inviter || !inviter.isActive || await getInviteRejection(inviter._id, user)) {
+      invitation.status = 'canceled';
+      await invitation.save();
+      continue;
+    }
+
+    const relationship = await createPendingRelationship(inviter, user, invitation);
+
+    invitation.status = 'converted';
+    invitation.relationship = relationship._id;
+    await invitation.save();
+
+    relationships.push(relationship);
+  }
+
+  return relationships;
+};
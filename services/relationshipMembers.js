@@ -0,0 +1,273 @@
+import Relationship from '../models/Relationship.js';
+import Term from '../models/Term.js';
+import Block from '../models/Block.js';
+import Notification from '../models/Notification.js';
+import { recordRelationshipEvent } from './relationshipHistory.js';
+import { transitionRelationship } from './relationshipStateMachine.js';
+import { HttpError } from '../utils/httpError.js';
+
+export const GROUP_MAX_MEMBERS = parseInt(process.env.GROUP_MAX_MEMBERS, 10) || 20;
+
+const idOf = (value) => (value?._id || value)?.toString();
+const nameOf = (user) => `${user.firstName} ${user.lastName}`;
+
+// Any membership entry for the user, including ones that have ended
+const findMemberEntry = (relationship, userId) =>
+  relationship.members.find(member => idOf(member.user) === idOf(userId));
+
+export const canManageMembers = (relationship, userId) => {
+  const member = relationship.getMember(userId);
+  return member?.status === 'active' && ['owner', 'admin'].includes(member.role);
+};
+
+// Sends the same notification to everyone in the relationship except the actor
+export const notifyMembers = async (relationship, actorId, notification) => {
+  for (const recipient of relationship.getOtherMembers(actorId)) {
+    await Notification.createNotification({
+      sender: actorId,
+      ...notification,
+      recipient: idOf(recipient)
+    });
+  }
+};
+
+const assertGroup = (relationship) => {
+  if (!relationship.isGroup()) {
+    throw new HttpError(400, 'Members can only be managed on group relationships');
+  }
+};
+
+// Terms that need every member keep asking for the members that are left
+const updateOpenTermRequirements = async (relationship) => {
+  await Term.updateMany(
+    { relationship: relationship._id, agreementRule: 'all', status: { $in: ['proposed', 'modified'] } },
+    { $set: { requiredAgreements: Math.max(2, relationship.countActiveMembers()) } }
+  );
+};
+
+// Invites users to a group. People who are already members, or who have
+// blocked or been blocked by the inviter, are skipped without saying why.
+export const inviteMembers = async (relationship, inviter, users) => {
+  assertGroup(relationship);
+
+  if (!canManageMembers(relationship, inviter._id)) {
+    throw new HttpError(403, 'Only group owners and admins can invite members');
+  }
+
+  if (relationship.status !== 'active') {
+    throw new HttpError(400, 'Can only invite members to active groups');
+  }
+
+  const invited = [];
+  let skipped = 0;
+
+  for (const user of users) {
+    const current = relationship.getMember(user._id);
+    const blocked = await Block.exists({
+      $or: [
+        { blocker: user._id, blocked: inviter._id },
+        { blocker: inviter._id, blocked: user._id }
+      ]
+    });
+
+    if (current || blocked || idOf(user._id) === idOf(inviter._id)) {
+      skipped += 1;
+      continue;
+    }
+
+    const memberCount = relationship.members.filter(member => ['invited', 'active'].includes(member.status)).length;
+    if (memberCount >= GROUP_MAX_MEMBERS) {
+      throw new HttpError(400, `Groups cannot have more than ${GROUP_MAX_MEMBERS} members`);
+    }
+
+    // Someone who declined or left earlier can be invited again
+    const previous = findMemberEntry(relationship, user._id);
+    if (previous) {
+      previous.set({ role: 'member', status: 'invited', invitedBy: inviter._id, invitedAt: new Date(), joinedAt: undefined, leftAt: undefined });
+    } else {
+      relationship.members.push({ user: user._id, role: 'member', status: 'invited', invitedBy: inviter._id });
+    }
+    invited.push(user);
+  }
+
+  if (invited.length === 0) return { invited, skipped };
+
+  await relationship.actingAs(inviter._id).save();
+
+  for (const user of invited) {
+    await recordRelationshipEvent(relationship, 'member_invited', inviter._id, { member: user._id }, user._id);
+
+    await Notification.createNotification({
+      recipient: user._id,
+      sender: inviter._id,
+      type: 'relationship_invite',
+      title: 'New Group Invitation',
+      message: `${nameOf(inviter)} invited you to join the "${relationship.title}" group`,
+      category: 'relationship',
+      actionRequired: true,
+      actions: [
+        { type: 'accept', label: 'Join', url: `/relationships/${relationship._id}/accept` },
+        { type: 'decline', label: 'Decline', url: `/relationships/${relationship._id}/decline` }
+      ],
+      metadata: {
+        relationshipId: relationship._id
+      }
+    });
+  }
+
+  return { invited, skipped };
+};
+
+// Joins or declines a group the user was invited to
+export const respondToInvitation = async (relationship, user, accept) => {
+  assertGroup(relationship);
+
+  const member = relationship.getMember(user._id);
+  if (!member) {
+    throw new HttpError(403, 'Access denied');
+  }
+  if (member.status !== 'invited') {
+    throw new HttpError(409, 'You are already a member of this group');
+  }
+  if (accept && relationship.status !== 'active') {
+    throw new HttpError(409, 'This group is no longer active');
+  }
+
+  const now = new Date();
+  member.set(accept ? { status: 'active', joinedAt: now } : { status: 'declined', leftAt: now });
+  await relationship.actingAs(user._id).save();
+
+  await recordRelationshipEvent(relationship, accept ? 'member_joined' : 'member_declined', user._id, {}, member.invitedBy);
+
+  if (accept) {
+    await updateOpenTermRequirements(relationship);
+    await notifyMembers(relationship, user._id, {
+      type: 'relationship_accepted',
+      title: 'New Group Member',
+      message: `${nameOf(user)} joined the "${relationship.title}" group`,
+      category: 'relationship',
+      metadata: {
+        relationshipId: relationship._id
+      }
+    });
+  } else if (member.invitedBy) {
+    await Notification.createNotification({
+      recipient: member.invitedBy,
+      sender: user._id,
+      type: 'relationship_declined',
+      title: 'Group Invitation Declined',
+      message: `${nameOf(user)} declined your invitation to the "${relationship.title}" group`,
+      category: 'relationship',
+      metadata: {
+        relationshipId: relationship._id
+      }
+    });
+  }
+
+  return relationship;
+};
+
+// Removes a member, or lets a member leave when they remove themselves.
+// Admins can remove members; only the owner can remove admins.
+export const removeMember = async (relationship, actor, userId) => {
+  assertGroup(relationship);
+
+  const member = relationship.getMember(userId);
+  if (!member) {
+    throw new HttpError(404, 'Member not found');
+  }
+
+  const leaving = idOf(userId) === idOf(actor._id);
+  if (leaving && member.role === 'owner') {
+    throw new HttpError(409, 'Transfer ownership to another member before leaving the group');
+  }
+
+  if (!leaving) {
+    const actorMember = relationship.getMember(actor._id);
+    const allowed = canManageMembers(relationship, actor._id) &&
+      member.role !== 'owner' &&
+      (member.role === 'member' || actorMember.role === 'owner');
+    if (!allowed) {
+      throw new HttpError(403, 'You cannot remove this member');
+    }
+  }
+
+  member.set({ status: leaving ? 'left' : 'removed', leftAt: new Date() });
+  await relationship.actingAs(actor._id).save();
+
+  await recordRelationshipEvent(relationship, leaving ? 'member_left' : 'member_removed', actor._id, {}, leaving ? undefined : userId);
+  await updateOpenTermRequirements(relationship);
+
+  if (!leaving) {
+    await Notification.createNotification({
+      recipient: userId,
+      sender: actor._id,
+      type: 'relationship_ended',
+      title: 'Removed From Group',
+      message: `You were removed from the "${relationship.title}" group`,
+      category: 'relationship',
+      metadata: {
+        relationshipId: relationship._id
+      }
+    });
+  }
+
+  return relationship;
+};
+
+// Changes a member's role. Only the owner can do this; making someone else
+// owner hands the group over and leaves the previous owner an admin.
+export const changeMemberRole = async (relationship, actor, userId, role) => {
+  assertGroup(relationship);
+
+  const actorMember = relationship.getMember(actor._id);
+  if (actorMember?.status !== 'active' || actorMember.role !== 'owner') {
+    throw new HttpError(403, 'Only the group owner can change roles');
+  }
+
+  const member = relationship.getMember(userId);
+  if (!member || member.status !== 'active') {
+    throw new HttpError(404, 'Member not found');
+  }
+
+  if (idOf(userId) === idOf(actor._id)) {
+    throw new HttpError(400, 'Make another member owner to give up ownership');
+  }
+
+  const from = member.role;
+  member.role = role;
+  if (role === 'owner') actorMember.role = 'admin';
+  await relationship.actingAs(actor._id).save();
+
+  await recordRelationshipEvent(relationship, 'member_role_changed', actor._id, { from, to: role }, userId);
+
+  return relationship;
+};
+
+// Takes a deleted account out of its groups. Ownership passes to an admin,
+// or else the longest-standing member; a group left with nobody ends.
+export const leaveGroupsForDeletion = async (user) => {
+  const groups = await Relationship.find({
+    kind: 'group',
+    members: { $elemMatch: { user: user._id, status: { $in: ['invited', 'active'] } } }
+  });
+
+  for (const group of groups) {
+    const member = group.getMember(user._id);
+    const [successor] = group.members
+      .filter(entry => entry.status === 'active' && idOf(entry.user) !== idOf(user._id))
+      .sort((a, b) => (a.role === 'admin' ? 0 : 1) - (b.role === 'admin' ? 0 : 1) || a.joinedAt - b.joinedAt);
+
+    if (member.role === 'owner' && successor) successor.role = 'owner';
+    member.set({ status: 'left', leftAt: new Date() });
+
+    if (!successor && group.status === 'active') {
+      await transitionRelationship(group, 'end', { reason: 'account_deleted' });
+    } else {
+      await group.actingAs(user._id).save();
+    }
+
+    await recordRelationshipEvent(group, 'member_left', user._id, { reason: 'account_deleted' });
+    await updateOpenTermRequirements(group);
+  }
+};
@@ -0,0 +1,48 @@
+import { RELATIONSHIP_PERMISSIONS } from '../models/Relationship.js';
+
+// Why a member was refused, keyed by permission
+export const PERMISSION_DENIED_MESSAGES = {
+  createActivities: 'You do not have permission to add activities to this relationship',
+  createMilestones: 'You do not have permission to create milestones in this relationship',
+  createTerms: 'You do not have permission to propose terms in this relationship',
+  editProfile: 'You do not have permission to edit this relationship',
+  viewHistory: 'You do not have permission to view this relationship\'s history'
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// Body for a 403 when the member lacks the permission
+export const permissionDenied = (permission) => ({
+  message: PERMISSION_DENIED_MESSAGES[permission],
+  permission
+});
+
+// Partners set each other's permissions; in groups only owners and admins do
+export const canManagePermissions = (relationship, userId) => {
+  if (!relationship.includesUser(userId)) return false;
+  if (!relationship.isGroup()) return true;
+  return ['owner', 'admin'].includes(relationship.getMember(userId).role);
+};
+
+// Who has to agree to a change: the member it affects, or when they asked
+// for it themselves, their partner or the group's owners and admins
+export const getApprovers = (relationship, request) => {
+  if (idOf(request.user) !== idOf(request.requestedBy)) return [idOf(request.user)];
+  if (!relationship.isGroup()) return [idOf(relationship.getPartner(idOf(request.requestedBy)))];
+  return relationship.members
+    .filter(member => member.status === 'active' && ['owner', 'admin'].includes(member.role))
+    .map(member => idOf(member.user))
+    .filter(userId => userId !== idOf(request.requestedBy));
+};
+
+export const applyPermissionChanges = (relationship, userId, changes) => {
+  const entries = relationship.settings.memberPermissions;
+  let entry = entries.find(permissions => idOf(permissions.user) === idOf(userId));
+  if (!entry) {
+    entries.push({ user: userId });
+    entry = entries[entries.length - 1];
+  }
+  for (const permission of RELATIONSHIP_PERMISSIONS) {
+    if (typeof changes[permission] === 'boolean') entry[permission] = changes[permission];
+  }
+};
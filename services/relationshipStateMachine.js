@@ -0,0 +1,367 @@
+import Notification from '../models/Notification.js';
+import { startNewChapter } from './relationshipChapters.js';
+import { HttpError } from '../utils/httpError.js';
+
+export const RELATIONSHIP_STATUSES = ['pending', 'active', 'requested_breakup', 'ended', 'archived', 'requested_rekindle'];
+
+const STATUS_DESCRIPTIONS = {
+  pending: 'is still pending',
+  active: 'is active',
+  requested_breakup: 'is awaiting breakup confirmation',
+  ended: 'has ended',
+  archived: 'is archived',
+  requested_rekindle: 'is waiting to be rekindled'
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+const nameOf = (user) => `${user.firstName} ${user.lastName}`;
+
+const isPartner = (relationship, actor) => idOf(relationship.partner) === idOf(actor);
+const isInitiator = (relationship, actor) => idOf(relationship.initiator) === idOf(actor);
+const requestedBreakup = (relationship, actor) => idOf(relationship.breakupRequestedBy) === idOf(actor);
+const requestedRekindle = (relationship, actor) => idOf(relationship.rekindleRequest?.requestedBy) === idOf(actor);
+const statusBeforeRekindle = (relationship) => relationship.rekindleRequest?.previousStatus || 'ended';
+const otherMember = (relationship, actor) => (isInitiator(relationship, actor) ? relationship.partner : relationship.initiator);
+const isMember = (relationship, actor) => (relationship.isGroup()
+  ? relationship.includesUser(idOf(actor))
+  : isInitiator(relationship, actor) || isPartner(relationship, actor));
+const managesGroup = (relationship, actor) => ['owner', 'admin'].includes(relationship.getMember(idOf(actor))?.role);
+
+// Every legal status change. `to: null` removes the relationship and a
+// function picks the target from the relationship itself. Guards
+// return an error message when the actor may not make the move; transitions
+// without an actor are made by the system and skip them. Only transitions
+// marked `groups` apply to group relationships, whose `notify` may name
+// several recipients.
+export const TRANSITIONS = {
+  accept: {
+    from: ['pending'],
+    to: 'active',
+    action: 'accept this relationship',
+    history: 'accepted',
+    guard: (relationship, actor) => !isPartner(relationship, actor) && 'Only the invited partner can accept this relationship',
+    apply: (relationship) => {
+      relationship.acceptedDate = new Date();
+    },
+    notify: (relationship, actor) => ({
+      recipient: relationship.initiator,
+      type: 'relationship_accepted',
+      title: 'Relationship Accepted',
+      message: `${nameOf(actor)} accepted your "${relationship.title}" relationship invitation`
+    })
+  },
+  decline: {
+    from: ['pending'],
+    to: null,
+    action: 'decline this relationship',
+    guard: (relationship, actor) => !isPartner(relationship, actor) && 'Only the invited partner can decline this relationship',
+    notify: (relationship, actor) => ({
+      recipient: relationship.initiator,
+      type: 'relationship_declined',
+      title: 'Relationship Declined',
+      message: `${nameOf(actor)} declined your "${relationship.title}" relationship invitation`
+    })
+  },
+  cancel_invitation: {
+    from: ['pending'],
+    to: null,
+    action: 'cancel this invitation',
+    guard: (relationship, actor) => !isInitiator(relationship, actor) && 'Only the person who sent the invitation can cancel it'
+  },
+  request_breakup: {
+    from: ['active'],
+    to: 'requested_breakup',
+    action: 'request a breakup',
+    history: 'breakup_requested',
+    apply: (relationship, actor) => {
+      relationship.breakupRequestedBy = idOf(actor);
+    },
+    notify: (relationship, actor) => ({
+      recipient: otherMember(relationship, actor),
+      type: 'breakup_request',
+      title: 'Breakup Request',
+      message: `${nameOf(actor)} has requested a breakup for your "${relationship.title}" relationship. Both parties must agree.`,
+      actionRequired: true,
+      actions: [
+        { type: 'accept', label: 'Confirm Breakup', url: `/relationships/${relationship._id}/confirm-breakup` },
+        { type: 'decline', label: 'Cancel Request', url: `/relationships/${relationship._id}/cancel-breakup-request` }
+      ]
+    })
+  },
+  cancel_breakup: {
+    from: ['requested_breakup'],
+    to: 'active',
+    action: 'cancel the breakup request',
+    history: 'breakup_request_canceled',
+    guard: (relationship, actor) => !requestedBreakup(relationship, actor) && 'Only the initiator can cancel the breakup request',
+    apply: (relationship) => {
+      relationship.breakupRequestedBy = undefined;
+    },
+    notify: (relationship, actor) => ({
+      recipient: otherMember(relationship, actor),
+      type: 'breakup_request_canceled',
+      title: 'Breakup Request Canceled',
+      message: `${nameOf(actor)} has canceled the breakup request for your "${relationship.title}" relationship. Your relationship is now active again.`
+    })
+  },
+  confirm_breakup: {
+    from: ['requested_breakup'],
+    to: 'ended',
+    action: 'confirm the breakup',
+    history: 'breakup_confirmed',
+    guard: (relationship, actor) => requestedBreakup(relationship, actor) && 'You cannot confirm your own breakup request',
+    apply: (relationship) => {
+      relationship.endDate = new Date();
+    },
+    notify: (relationship, actor) => ({
+      recipient: relationship.breakupRequestedBy,
+      type: 'breakup_confirmed',
+      title: 'Breakup Confirmed',
+      message: `${nameOf(actor)} has confirmed the breakup for your "${relationship.title}" relationship. Your relationship has ended.`
+    })
+  },
+  archive: {
+    from: ['active'],
+    to: 'archived',
+    action: 'archive this relationship',
+    history: 'archived',
+    groups: true,
+    guard: (relationship, actor) => relationship.isGroup() && !managesGroup(relationship, actor) &&
+      'Only group owners and admins can archive this group',
+    apply: (relationship) => {
+      relationship.endDate = new Date();
+      relationship.customFields = { ...relationship.customFields, archivedDate: relationship.endDate };
+    },
+    notify: (relationship, actor) => ({
+      recipients: relationship.getOtherMembers(idOf(actor)),
+      type: 'relationship_ended',
+      title: 'Relationship Archived',
+      message: `${nameOf(actor)} archived your "${relationship.title}" relationship.`
+    })
+  },
+  request_rekindle: {
+    from: ['ended', 'archived'],
+    to: 'requested_rekindle',
+    action: 'rekindle this relationship',
+    history: 'rekindle_requested',
+    apply: (relationship, actor, { title, type } = {}, from) => {
+      relationship.rekindleRequest = {
+        requestedBy: idOf(actor),
+        requestedAt: new Date(),
+        previousStatus: from,
+        title,
+        type
+      };
+    },
+    notify: (relationship, actor) => ({
+      recipient: otherMember(relationship, actor),
+      type: 'rekindle_request',
+      title: 'Rekindle Request',
+      message: `${nameOf(actor)} would like to rekindle your "${relationship.title}" relationship`,
+      actionRequired: true,
+      actions: [
+        { type: 'accept', label: 'Accept', url: `/relationships/${relationship._id}/accept` },
+        { type: 'decline', label: 'Decline', url: `/relationships/${relationship._id}/decline` }
+      ]
+    })
+  },
+  accept_rekindle: {
+    from: ['requested_rekindle'],
+    to: 'active',
+    action: 'accept the rekindle request',
+    history: 'rekindled',
+    historyDetails: (relationship) => ({ chapter: relationship.chapter }),
+    guard: (relationship, actor) => requestedRekindle(relationship, actor) && 'You cannot accept your own rekindle request',
+    apply: (relationship) => {
+      startNewChapter(relationship, relationship.rekindleRequest);
+    },
+    notify: (relationship, actor) => ({
+      recipient: otherMember(relationship, actor),
+      type: 'relationship_accepted',
+      title: 'Relationship Rekindled',
+      message: `${nameOf(actor)} accepted your request to rekindle your "${relationship.title}" relationship`
+    })
+  },
+  decline_rekindle: {
+    from: ['requested_rekindle'],
+    to: statusBeforeRekindle,
+    action: 'decline the rekindle request',
+    history: 'rekindle_declined',
+    guard: (relationship, actor) => requestedRekindle(relationship, actor) && 'You cannot decline your own rekindle request',
+    apply: (relationship) => {
+      relationship.rekindleRequest = undefined;
+    },
+    notify: (relationship, actor) => ({
+      recipient: otherMember(relationship, actor),
+      type: 'relationship_declined',
+      title: 'Rekindle Declined',
+      message: `${nameOf(actor)} declined your request to rekindle your "${relationship.title}" relationship`
+    })
+  },
+  cancel_rekindle: {
+    from: ['requested_rekindle'],
+    to: statusBeforeRekindle,
+    action: 'cancel the rekindle request',
+    history: 'rekindle_canceled',
+    guard: (relationship, actor) => !requestedRekindle(relationship, actor) && 'Only the member who asked to rekindle can cancel the request',
+    apply: (relationship) => {
+      relationship.rekindleRequest = undefined;
+    }
+  },
+  // Used by the system, e.g. when a member deletes their account
+  end: {
+    from: ['active', 'requested_breakup', 'requested_rekindle'],
+    to: 'ended',
+    action: 'end this relationship',
+    history: 'ended',
+    groups: true,
+    apply: (relationship, actor, { reason } = {}) => {
+      relationship.endDate = new Date();
+      relationship.breakupRequestedBy = undefined;
+      relationship.rekindleRequest = undefined;
+      if (reason) relationship.customFields = { ...relationship.customFields, endReason: reason };
+    },
+    notify: (relationship, actor, { reason } = {}) => actor && ({
+      recipients: relationship.getOtherMembers(idOf(actor)),
+      sender: null,
+      type: 'relationship_ended',
+      title: 'Relationship Ended',
+      message: reason === 'account_deleted'
+        ? `Your "${relationship.title}" relationship has ended because the other person deleted their account.`
+        : `Your "${relationship.title}" relationship has ended.`
+    })
+  },
+  remove: {
+    from: ['ended', 'archived'],
+    to: null,
+    action: 'delete this relationship',
+    groups: true,
+    guard: (relationship, actor) => relationship.isGroup() && !managesGroup(relationship, actor) &&
+      'Only group owners and admins can delete this group'
+  }
+};
+
+const hooks = [];
+
+// Registers a listener called after every successful transition with
+// { relationship, event, from, to, actor, options }
+export const onTransition = (hook) => {
+  hooks.push(hook);
+};
+
+const notifyTransition = async ({ relationship, event, actor, options }) => {
+  const notification = TRANSITIONS[event].notify?.(relationship, actor, options);
+  if (!notification) return;
+
+  const { recipient, recipients = [recipient], ...content } = notification;
+  for (const member of recipients.filter(Boolean)) {
+    await Notification.createNotification({
+      sender: idOf(actor),
+      category: 'relationship',
+      metadata: {
+        relationshipId: relationship._id
+      },
+      ...content,
+      recipient: idOf(member)
+    });
+  }
+};
+
+onTransition(notifyTransition);
+
+// Why the actor cannot make the transition right now, or null if they can
+export const getTransitionError = (relationship, event, actor) => {
+  const transition = TRANSITIONS[event];
+  if (!transition) {
+    throw new Error(`Unknown relationship transition "${event}"`);
+  }
+
+  const from = relationship.status;
+  if (relationship.isGroup() && !transition.groups) {
+    return new HttpError(
+      409,
+      `Cannot ${transition.action}: this is a group relationship`,
+      { currentStatus: from, transition: event }
+    );
+  }
+
+  if (!transition.from.includes(from)) {
+    return new HttpError(
+      409,
+      `Cannot ${transition.action}: the relationship ${STATUS_DESCRIPTIONS[from] || `is ${from}`}`,
+      { currentStatus: from, transition: event }
+    );
+  }
+
+  if (actor && !isMember(relationship, actor)) {
+    return new HttpError(403, 'Access denied', { transition: event });
+  }
+
+  const denied = actor && transition.guard?.(relationship, actor);
+  if (denied) {
+    return new HttpError(403, denied, { currentStatus: from, transition: event });
+  }
+
+  return null;
+};
+
+// Transitions the given member could make right now, for clients to offer
+export const getAvailableTransitions = (relationship, userId) => {
+  return Object.keys(TRANSITIONS)
+    .filter(event => event !== 'end')
+    .filter(event => !getTransitionError(relationship, event, userId));
+};
+
+// The only way relationship status should change. Validates the move,
+// records it on the document, persists it and runs the transition hooks.
+export const transitionRelationship = async (relationship, event, { actor, ...options } = {}) => {
+  const error = getTransitionError(relationship, event, actor);
+  if (error) throw error;
+
+  const transition = TRANSITIONS[event];
+  const from = relationship.status;
+  const to = typeof transition.to === 'function' ? transition.to(relationship) : transition.to;
+  const actorId = idOf(actor);
+
+  if (to === null) {
+    await relationship.actingAs(actorId).deleteOne();
+  } else {
+    relationship.status = to;
+    transition.apply?.(relationship, actor, options, from);
+    relationship.transitions.push({ event, from, to, actor: actorId, at: new Date() });
+    relationship.$locals.transition = {
+      event,
+      history: transition.history,
+      details: transition.historyDetails?.(relationship)
+    };
+
+    // Only save if nobody changed the status in the meantime
+    relationship.$where = { status: from };
+    try {
+      await relationship.actingAs(actorId).save();
+    } catch (saveError) {
+      if (saveError.name === 'DocumentNotFoundError') {
+        throw new HttpError(
+          409,
+          'This relationship was changed by someone else. Reload it and try again.',
+          { transition: event }
+        );
+      }
+      throw saveError;
+    } finally {
+      relationship.$where = undefined;
+      relationship.$locals.transition = undefined;
+    }
+  }
+
+  for (const hook of hooks) {
+    try {
+      await hook({ relationship, event, from, to, actor, options });
+    } catch (hookError) {
+      // The transition already happened; a failing listener must not undo it
+      console.error(`Relationship transition hook error (${event}):`, hookError);
+    }
+  }
+
+  return relationship;
+};
@@ -0,0 +1,33 @@
+import { processScheduledDeletions } from './accountDeletion.js';
+import { cleanupExpiredExports } from './dataExport.js';
+import { expireHistoryAccess } from './historyAccess.js';
+import { expireChangeProposals } from './changeProposals.js';
+import { recomputeAllRelationshipHealth } from './relationshipHealth.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const jobs = [
+  { name: 'account-deletion', interval: HOUR, run: processScheduledDeletions },
+  { name: 'data-export-cleanup', interval: HOUR, run: cleanupExpiredExports },
+  { name: 'history-access-expiry', interval: HOUR, run: expireHistoryAccess },
+  { name: 'change-proposal-expiry', interval: HOUR, run: expireChangeProposals },
+  { name: 'relationship-health', interval: DAY, run: recomputeAllRelationshipHealth }
+];
+
+const runJob = async (job) => {
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Scheduled job "${job.name}" failed:`, error);
+  }
+};
+
+// Periodic background jobs; started once the database connection is up
+export const startScheduler = () => {
+  return jobs.map(job => {
+    const timer = setInterval(() => runJob(job), job.interval);
+    timer.unref();
+    return timer;
+  });
+};
@@ -0,0 +1,27 @@
+import { createLocalDriver } from './local.js';
+
+// Drivers are looked up by name (STORAGE_DRIVER). A driver implements
+// put(key, buffer, { contentType }), getStream(key) and removePrefix(prefix);
+// cloud backends can be plugged in with registerDriver().
+const driverFactories = {
+  local: createLocalDriver
+};
+
+let activeDriver = null;
+
+export const registerDriver = (name, factory) => {
+  driverFactories[name] = factory;
+  activeDriver = null;
+};
+
+export const getStorage = () => {
+  if (!activeDriver) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const factory = driverFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    activeDriver = factory();
+  }
+  return activeDriver;
+};
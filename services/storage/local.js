@@ -0,0 +1,41 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+
+// Stores objects as plain files under STORAGE_DIR, using the key as the path
+export const createLocalDriver = () => {
+  const root = path.resolve(process.env.STORAGE_DIR || path.join(process.cwd(), 'storage', 'files'));
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    // Resolves to null when the object does not exist
+    getStream: async (key) => {
+      const filePath = resolveKey(key);
+      try {
+        const stats = await fs.stat(filePath);
+        return { stream: createReadStream(filePath), size: stats.size };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    // Removes every object whose key starts with prefix
+    removePrefix: async (prefix) => {
+      await fs.rm(resolveKey(prefix), { recursive: true, force: true });
+    }
+  };
+};
@@ -0,0 +1,33 @@
+import sharp from 'sharp';
+import { renderAvatarSizes, AVATAR_SIZES } from '../services/avatars.js';
+
+describe('renderAvatarSizes', () => {
+  it('should render square WebP thumbnails without EXIF data', async () => {
+    const photo = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#ec4899' } })
+      .jpeg()
+      .withMetadata({ exif: { IFD0: { Copyright: 'private' } } })
+      .toBuffer();
+
+    const renditions = await renderAvatarSizes(photo);
+
+    expect(renditions.map(rendition => rendition.size)).toEqual(AVATAR_SIZES);
+    for (const { size, buffer } of renditions) {
+      const metadata = await sharp(buffer).metadata();
+      expect(metadata.format).toEqual('webp');
+      expect(metadata.width).toEqual(size);
+      expect(metadata.height).toEqual(size);
+      expect(metadata.exif).toBeUndefined();
+    }
+  });
+
+  it('should reject files that are not images', async () => {
+    await expect(renderAvatarSizes(Buffer.from('not an image')))
+      .rejects.toThrow('The uploaded file is not a valid image');
+  });
+
+  it('should reject unsupported image formats', async () => {
+    const gif = await sharp({ create: { width: 10, height: 10, channels: 3, background: '#000' } }).gif().toBuffer();
+
+    await expect(renderAvatarSizes(gif)).rejects.toThrow('Avatars must be JPEG, PNG or WebP images');
+  });
+});
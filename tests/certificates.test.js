@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+import Certificate from '../models/Certificate.js';
+
+const alice = new mongoose.Types.ObjectId();
+const bob = new mongoose.Types.ObjectId();
+
+const buildCertificate = () => Certificate.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'One Year Together',
+  recipients: [{ user: alice }, { user: bob }],
+  sharing: { isPublic: false, publicBy: [], sharedOn: [], shareCount: 0 }
+});
+
+describe('certificate public consent', () => {
+  it('should only go public once every recipient agrees', () => {
+    const certificate = buildCertificate();
+
+    certificate.setPublicConsent(alice, true);
+    expect(certificate.sharing.isPublic).toBe(false);
+
+    certificate.setPublicConsent(bob, true);
+    expect(certificate.sharing.isPublic).toBe(true);
+  });
+
+  it('should go private again when a recipient withdraws', () => {
+    const certificate = buildCertificate();
+    certificate.setPublicConsent(alice, true);
+    certificate.setPublicConsent(bob, true);
+
+    certificate.setPublicConsent(bob, false);
+
+    expect(certificate.sharing.isPublic).toBe(false);
+    expect(certificate.sharing.publicBy.map(String)).toEqual([alice.toString()]);
+  });
+});
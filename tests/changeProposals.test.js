@@ -0,0 +1,22 @@
+import ChangeProposal from '../models/ChangeProposal.js';
+import { getSharedChanges, getFieldApprovers, isOutdated } from '../services/changeProposals.js';
+import { initiator, partner, buildRelationship } from './relationshipFixtures.js';
+
+describe('change proposals', () => {
+  it('should only propose shared fields that actually change', () => {
+    const relationship = buildRelationship();
+
+    expect(getSharedChanges(relationship, { title: 'Friendship', type: 'partner', tags: ['x'] })).toEqual({ type: 'partner' });
+    expect(getFieldApprovers(relationship, initiator)).toEqual([partner.toString()]);
+  });
+
+  it('should be outdated once a proposed field changed underneath it', () => {
+    const relationship = buildRelationship();
+    const proposal = new ChangeProposal({ changes: { type: 'partner' }, baseline: { type: 'friend' } });
+
+    expect(isOutdated(relationship, proposal)).toBe(false);
+
+    relationship.type = 'close_friend';
+    expect(isOutdated(relationship, proposal)).toBe(true);
+  });
+});
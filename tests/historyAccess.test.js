@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import HistoryAccessGrant from '../models/HistoryAccessGrant.js';
+import Relationship from '../models/Relationship.js';
+import { buildUserHistoryFilter, isSharedWithViewer, daysFromNow, HISTORY_ACCESS_EVENTS } from '../services/historyAccess.js';
+
+const ownerId = new mongoose.Types.ObjectId();
+const relationshipIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+describe('history access', () => {
+  it('should only give access while a grant is granted and unexpired', () => {
+    const grant = new HistoryAccessGrant({ status: 'granted', expiresAt: daysFromNow(1), requestExpiresAt: daysFromNow(-5) });
+    expect(grant.isActive()).toBe(true);
+    expect(grant.isAwaitingResponse()).toBe(false);
+
+    grant.expiresAt = daysFromNow(-1);
+    expect(grant.isActive()).toBe(false);
+
+    const request = new HistoryAccessGrant({ requestExpiresAt: daysFromNow(7) });
+    expect(request.isAwaitingResponse()).toBe(true);
+    expect(request.isActive()).toBe(false);
+  });
+
+  it('should limit what a grant shows to its scope', () => {
+    const grant = { scope: { relationships: [relationshipIds[1]], eventTypes: ['created', 'history_access_viewed'] } };
+
+    const filter = buildUserHistoryFilter(ownerId, relationshipIds, { grant });
+
+    expect(filter.relationshipId.$in).toEqual([relationshipIds[1]]);
+    expect(filter.eventType).toEqual({ $in: ['created'] });
+  });
+
+  it('should show access events to the owner only', () => {
+    const viewerFilter = buildUserHistoryFilter(ownerId, relationshipIds, { grant: { scope: {} } });
+    expect(viewerFilter.eventType).toEqual({ $nin: HISTORY_ACCESS_EVENTS });
+
+    const ownerFilter = buildUserHistoryFilter(ownerId, relationshipIds, { isOwner: true });
+    expect(ownerFilter.$or).toHaveLength(2);
+    expect(ownerFilter.$or[1].eventType).toEqual({ $in: HISTORY_ACCESS_EVENTS });
+  });
+
+  it('should only show a relationship the other partner lets the viewer see', () => {
+    const partnerId = new mongoose.Types.ObjectId();
+    const viewerId = new mongoose.Types.ObjectId();
+    const relationship = Relationship.hydrate({
+      _id: relationshipIds[0],
+      initiator: ownerId,
+      partner: partnerId,
+      status: 'active',
+      privacy: 'friends'
+    });
+    const context = (privacy, grants = []) => ({
+      ownerId,
+      viewerId,
+      privacyOf: new Map([[partnerId.toString(), privacy]]),
+      grants
+    });
+
+    expect(isSharedWithViewer(relationship, context('public'))).toBe(true);
+    expect(isSharedWithViewer(relationship, context('private'))).toBe(false);
+    expect(isSharedWithViewer(relationship, context('granted_only'))).toBe(false);
+    expect(isSharedWithViewer(relationship, context('granted_only', [
+      { owner: partnerId, scope: { relationships: [relationshipIds[1]] } }
+    ]))).toBe(false);
+    expect(isSharedWithViewer(relationship, context('granted_only', [{ owner: partnerId, scope: {} }]))).toBe(true);
+
+    relationship.privacy = 'private';
+    expect(isSharedWithViewer(relationship, context('public'))).toBe(false);
+  });
+});
@@ -0,0 +1,16 @@
+import { maskEmail } from '../utils/mask.js';
+
+describe('maskEmail', () => {
+  it('should keep only the first and last characters of each part', () => {
+    expect(maskEmail('jane.doe@example.com')).toEqual('j******e@e*****e.com');
+  });
+
+  it('should not reveal short local parts', () => {
+    expect(maskEmail('jo@mail.io')).toEqual('j*@m**l.io');
+  });
+
+  it('should return an empty string for invalid input', () => {
+    expect(maskEmail(undefined)).toEqual('');
+    expect(maskEmail('not-an-email')).toEqual('');
+  });
+});
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import { startOidcIssuer } from './oidcIssuer.js';
+import { getProvider, buildAuthorizationUrl, exchangeCode } from '../services/oidc.js';
+
+process.env.JWT_SECRET = 'test_jwt_secret';
+
+const CLIENT_ID = 'relation-app';
+const CLIENT_SECRET = 'client-secret';
+const REDIRECT_URI = 'https://app.example.com/auth/callback';
+
+let issuer;
+let provider;
+
+// Walks the browser part of the flow: open the authorization URL and follow
+// the provider's redirect back to the app
+const authorize = async () => {
+  const { authorizationUrl } = await buildAuthorizationUrl(provider);
+  const response = await fetch(authorizationUrl, { redirect: 'manual' });
+  const callback = new URL(response.headers.get('location'));
+  return { code: callback.searchParams.get('code'), state: callback.searchParams.get('state') };
+};
+
+describe('oidc', () => {
+  beforeAll(async () => {
+    issuer = await startOidcIssuer({ clientId: CLIENT_ID, clientSecret: CLIENT_SECRET });
+
+    process.env.OIDC_PROVIDERS = 'test';
+    process.env.OIDC_TEST_ISSUER = issuer.url;
+    process.env.OIDC_TEST_CLIENT_ID = CLIENT_ID;
+    process.env.OIDC_TEST_CLIENT_SECRET = CLIENT_SECRET;
+    process.env.OIDC_TEST_REDIRECT_URI = REDIRECT_URI;
+    provider = getProvider('test');
+  });
+
+  afterEach(() => {
+    issuer.tokenOverrides = {};
+  });
+
+  afterAll(async () => {
+    await issuer.close();
+  });
+
+  it('should only expose configured providers', () => {
+    expect(provider.issuer).toEqual(issuer.url);
+    expect(getProvider('unknown')).toBeNull();
+  });
+
+  it('should build an authorization URL with PKCE and a signed state', async () => {
+    const { authorizationUrl, state } = await buildAuthorizationUrl(provider);
+    const url = new URL(authorizationUrl);
+
+    expect(url.origin).toEqual(issuer.url);
+    expect(url.searchParams.get('code_challenge_method')).toEqual('S256');
+    expect(url.searchParams.get('state')).toEqual(state);
+    expect(url.searchParams.get('nonce')).toBeTruthy();
+  });
+
+  it('should complete the full flow and return verified claims', async () => {
+    const claims = await exchangeCode(provider, await authorize());
+
+    expect(claims.sub).toEqual('user-1');
+    expect(claims.email).toEqual('oidc.user@example.com');
+    expect(claims.email_verified).toBe(true);
+  });
+
+  it('should reject a tampered state', async () => {
+    const { code } = await authorize();
+
+    await expect(exchangeCode(provider, { code, state: 'not-a-state' }))
+      .rejects.toThrow('Login request is invalid or has expired');
+  });
+
+  it('should reject an ID token for another client', async () => {
+    issuer.tokenOverrides = { aud: 'someone-else' };
+
+    await expect(exchangeCode(provider, await authorize()))
+      .rejects.toThrow('ID token was issued for a different client');
+  });
+
+  it('should reject an ID token with the wrong nonce', async () => {
+    issuer.tokenOverrides = { nonce: 'replayed' };
+
+    await expect(exchangeCode(provider, await authorize()))
+      .rejects.toThrow('ID token nonce does not match the login request');
+  });
+
+  it('should reject an ID token signed with an unknown key', async () => {
+    const original = issuer.signingKey;
+    issuer.signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+
+    try {
+      await expect(exchangeCode(provider, await authorize()))
+        .rejects.toThrow('ID token signature is invalid');
+    } finally {
+      issuer.signingKey = original;
+    }
+  });
+});
@@ -0,0 +1,111 @@
+import http from 'http';
+import crypto from 'crypto';
+
+// Minimal OpenID Connect provider for tests: discovery, JWKS, an authorize
+// endpoint that consents immediately, and a PKCE-checking token endpoint.
+export const startOidcIssuer = async ({ clientId, clientSecret }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+
+  const issuer = {
+    url: null,
+    // Claims for whoever "logs in" next
+    user: { sub: 'user-1', email: 'oidc.user@example.com', email_verified: true, given_name: 'Oidc', family_name: 'User' },
+    // Overrides merged into the next ID token, for negative tests
+    tokenOverrides: {},
+    signingKey: privateKey
+  };
+
+  const signIdToken = (claims) => {
+    const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), issuer.signingKey).toString('base64url');
+    return `${header}.${payload}.${signature}`;
+  };
+
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const readBody = (req) => new Promise(resolve => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(data)));
+  });
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer.url);
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: issuer.url,
+        authorization_endpoint: `${issuer.url}/authorize`,
+        token_endpoint: `${issuer.url}/token`,
+        jwks_uri: `${issuer.url}/jwks`,
+        response_types_supported: ['code'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256']
+      });
+    }
+
+    if (url.pathname === '/jwks') {
+      return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+    }
+
+    if (url.pathname === '/authorize') {
+      const params = url.searchParams;
+      if (params.get('client_id') !== clientId || params.get('code_challenge_method') !== 'S256') {
+        return sendJson(res, 400, { error: 'invalid_request' });
+      }
+
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, {
+        nonce: params.get('nonce'),
+        codeChallenge: params.get('code_challenge'),
+        redirectUri: params.get('redirect_uri'),
+        user: issuer.user
+      });
+
+      const redirect = new URL(params.get('redirect_uri'));
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', params.get('state'));
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (url.pathname === '/token' && req.method === 'POST') {
+      const body = await readBody(req);
+      const grant = codes.get(body.get('code'));
+      codes.delete(body.get('code'));
+
+      const challenge = crypto.createHash('sha256').update(body.get('code_verifier') || '').digest('base64url');
+      if (!grant || body.get('client_id') !== clientId || body.get('client_secret') !== clientSecret ||
+          body.get('redirect_uri') !== grant.redirectUri || challenge !== grant.codeChallenge) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      const idToken = signIdToken({
+        iss: issuer.url,
+        aud: clientId,
+        iat: now,
+        exp: now + 300,
+        nonce: grant.nonce,
+        ...grant.user,
+        ...issuer.tokenOverrides
+      });
+
+      return sendJson(res, 200, { access_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', id_token: idToken });
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  issuer.url = `http://127.0.0.1:${server.address().port}`;
+  issuer.close = () => new Promise(resolve => server.close(resolve));
+
+  return issuer;
+};
@@ -0,0 +1,41 @@
+import { startNewChapter, REKINDLE_TRUST_LEVEL } from '../services/relationshipChapters.js';
+import { buildRelationship } from './relationshipFixtures.js';
+
+describe('relationship chapters', () => {
+  it('should keep the ended chapter and start a fresh one', () => {
+    const startDate = new Date('2020-01-01');
+    const endDate = new Date('2022-06-01');
+    const relationship = buildRelationship({
+      title: 'College Friends',
+      startDate,
+      acceptedDate: startDate,
+      endDate,
+      customFields: { endReason: 'moved away' },
+      stats: { trustLevel: 90, totalActivities: 12, milestonesAchieved: 3 }
+    });
+    const now = new Date('2024-03-01');
+
+    startNewChapter(relationship, { title: 'Friends Again', previousStatus: 'ended' }, now);
+
+    expect(relationship.chapter).toEqual(2);
+    expect(relationship.chapters[0].toObject()).toMatchObject({
+      number: 1,
+      title: 'College Friends',
+      type: 'friend',
+      startDate,
+      endDate,
+      endStatus: 'ended',
+      endReason: 'moved away',
+      stats: { trustLevel: 90, totalActivities: 12, milestonesAchieved: 3 }
+    });
+
+    expect(relationship.title).toEqual('Friends Again');
+    expect(relationship.type).toEqual('friend');
+    expect(relationship.startDate).toEqual(now);
+    expect(relationship.acceptedDate).toEqual(now);
+    expect(relationship.endDate).toBeUndefined();
+    expect(relationship.customFields.endReason).toBeUndefined();
+    expect(relationship.stats.trustLevel).toEqual(REKINDLE_TRUST_LEVEL);
+    expect(relationship.stats.totalActivities).toEqual(0);
+  });
+});
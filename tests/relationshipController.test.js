@@ -6,11 +6,25 @@ import User from '../models/User';
 import Relationship from '../models/Relationship';
 import Notification from '../models/Notification';
 import RelationshipHistory from '../models/RelationshipHistory';
+import Block from '../models/Block';
+import PendingInvitation from '../models/PendingInvitation';
+import ChangeProposal from '../models/ChangeProposal';
+import Activity from '../models/Activity';
+import HistoryAccessGrant from '../models/HistoryAccessGrant';
+import Session from '../models/Session';
+import { createSession, signPurposeToken } from '../services/authTokens';
+import { createTwoFactorChallenge } from '../services/loginSecurity';
 
 // Mock environment variables for testing
 process.env.JWT_SECRET = 'test_jwt_secret';
 process.env.MONGO_URI = 'mongodb://localhost:27017/relationshipapp_test';
 
+// Access tokens are bound to a session, like the ones login hands out
+const signIn = async (userId) => {
+  const { token } = await createSession({ _id: userId }, { get: () => undefined, ip: '' });
+  return token;
+};
+
 let token;
 let testUsers;
 let testRelationships;
@@ -23,16 +37,22 @@ describe('Relationship API', () => {
     await Relationship.deleteMany({});
     await Notification.deleteMany({});
     await RelationshipHistory.deleteMany({});
+    await Block.deleteMany({});
+    await PendingInvitation.deleteMany({});
+    await ChangeProposal.deleteMany({});
+    await Activity.deleteMany({});
+    await HistoryAccessGrant.deleteMany({});
+    await Session.deleteMany({});
 
     // Create test users
     testUsers = await User.insertMany([
-      { username: 'user1', email: 'user1@example.com', password: 'password123', firstName: 'Test', lastName: 'User1' },
-      { username: 'user2', email: 'user2@example.com', password: 'password123', firstName: 'Test', lastName: 'User2' },
-      { username: 'user3', email: 'user3@example.com', password: 'password123', firstName: 'Test', lastName: 'User3' }
+      { username: 'user1', email: 'user1@example.com', password: 'password123', firstName: 'Test', lastName: 'User1', emailVerified: true },
+      { username: 'user2', email: 'user2@example.com', password: 'password123', firstName: 'Test', lastName: 'User2', emailVerified: true },
+      { username: 'user3', email: 'user3@example.com', password: 'password123', firstName: 'Test', lastName: 'User3', emailVerified: true }
     ]);
 
     // Generate a token for user1
-    token = jwt.sign({ userId: testUsers[0]._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    token = await signIn(testUsers[0]._id);
 
     // Create some test relationships
     testRelationships = await Relationship.insertMany([
@@ -95,6 +115,62 @@ describe('Relationship API', () => {
       expect(res.statusCode).toEqual(400);
       expect(res.body.message).toEqual('Relationship already exists');
     });
+
+    it('should not reveal that the partner has blocked the inviter', async () => {
+      const blocker = await User.create({ username: 'user4', email: 'user4@example.com', password: 'password123', firstName: 'Test', lastName: 'User4', emailVerified: true });
+      await Block.create({ blocker: blocker._id, blocked: testUsers[0]._id });
+
+      const res = await request(app)
+        .post('/api/relationships')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          partnerEmail: blocker.email,
+          title: 'Unwanted',
+          type: 'friend'
+        });
+      expect(res.statusCode).toEqual(202);
+      expect(await Relationship.exists({ initiator: testUsers[0]._id, partner: blocker._id })).toBeNull();
+    });
+
+    it('should store a pending invitation for an unregistered email', async () => {
+      const res = await request(app)
+        .post('/api/relationships')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          partnerEmail: 'newcomer@example.com',
+          title: 'Future Friendship',
+          type: 'friend'
+        });
+      expect(res.statusCode).toEqual(202);
+
+      const invitation = await PendingInvitation.findOne({ inviter: testUsers[0]._id, email: 'newcomer@example.com' });
+      expect(invitation.status).toEqual('pending');
+    });
+
+    it('should hand a pending invitation over only once the address is verified', async () => {
+      await request(app)
+        .post('/api/relationships')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ partnerEmail: 'First.Last@Gmail.com', title: 'Future Friendship', type: 'friend' });
+
+      const signup = await request(app)
+        .post('/api/auth/signup')
+        .send({ username: 'firstlast', email: 'first.last@gmail.com', password: 'password123', firstName: 'First', lastName: 'Last' });
+      expect(signup.statusCode).toEqual(201);
+      const invitation = await PendingInvitation.findOne({ inviter: testUsers[0]._id });
+      expect(invitation.email).toEqual('first.last@gmail.com');
+      expect(invitation.status).toEqual('pending');
+
+      const newcomer = await User.findOne({ email: 'first.last@gmail.com' });
+      const verificationToken = signPurposeToken({ userId: newcomer._id, email: newcomer.email }, 'email_verification', '1h');
+      const verified = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: verificationToken });
+      expect(verified.statusCode).toEqual(200);
+
+      expect((await PendingInvitation.findById(invitation._id)).status).toEqual('converted');
+      expect(await Relationship.exists({ initiator: testUsers[0]._id, partner: newcomer._id, status: 'pending' })).toBeTruthy();
+    });
   });
 
   // Test cases for getRelationships
@@ -107,6 +183,30 @@ describe('Relationship API', () => {
       expect(res.body.relationships.length).toEqual(2); // user1 is initiator in 2 relationships
       expect(res.body.pagination).toBeDefined();
     });
+
+    it('should refuse a token that is not bound to a session', async () => {
+      const sessionless = jwt.sign({ userId: testUsers[0]._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+      const res = await request(app)
+        .get('/api/relationships')
+        .set('Authorization', `Bearer ${sessionless}`);
+      expect(res.statusCode).toEqual(401);
+    });
+
+    it('should refuse an email verification token used as an access token', async () => {
+      const verificationToken = signPurposeToken({ userId: testUsers[0]._id, email: testUsers[0].email }, 'email_verification', '24h');
+      const res = await request(app)
+        .get('/api/relationships')
+        .set('Authorization', `Bearer ${verificationToken}`);
+      expect(res.statusCode).toEqual(401);
+    });
+
+    it('should refuse a two-factor challenge token used as an access token', async () => {
+      const challengeToken = await createTwoFactorChallenge(testUsers[0]);
+      const res = await request(app)
+        .get('/api/relationships')
+        .set('Authorization', `Bearer ${challengeToken}`);
+      expect(res.statusCode).toEqual(401);
+    });
   });
 
   // Test cases for getRelationship
@@ -146,6 +246,12 @@ describe('Relationship API', () => {
       expect(res.body.message).toEqual('Breakup request sent successfully');
       expect(res.body.relationship.status).toEqual('requested_breakup');
       expect(res.body.relationship.breakupRequestedBy).toEqual(testUsers[0]._id.toString());
+      expect(res.body.relationship.transitions.at(-1)).toMatchObject({
+        event: 'request_breakup',
+        from: 'active',
+        to: 'requested_breakup',
+        actor: testUsers[0]._id.toString()
+      });
 
       // Verify notification created for partner
       const notification = await Notification.findOne({
@@ -156,13 +262,14 @@ describe('Relationship API', () => {
       expect(notification).toBeDefined();
     });
 
-    it('should return 400 if relationship is not active', async () => {
+    it('should return 409 if relationship is not active', async () => {
       // Use the relationship already in 'requested_breakup' status
       const res = await request(app)
         .post(`/api/relationships/${testRelationships[1]._id}/request-breakup`)
         .set('Authorization', `Bearer ${token}`);
-      expect(res.statusCode).toEqual(400);
-      expect(res.body.message).toEqual('Can only request breakup for active relationships');
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.message).toEqual('Cannot request a breakup: the relationship is awaiting breakup confirmation');
+      expect(res.body.currentStatus).toEqual('requested_breakup');
     });
   });
 
@@ -181,7 +288,7 @@ describe('Relationship API', () => {
         status: 'requested_breakup',
         breakupRequestedBy: testUsers[0]._id
       });
-      user2Token = jwt.sign({ userId: testUsers[1]._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+      user2Token = await signIn(testUsers[1]._id);
     });
 
     it('should allow partner to confirm breakup', async () => {
@@ -201,16 +308,16 @@ describe('Relationship API', () => {
       expect(notification).toBeDefined();
     });
 
-    it('should return 400 if relationship is not in requested_breakup state', async () => {
+    it('should return 409 if relationship is not in requested_breakup state', async () => {
       // Attempt to confirm an already ended relationship
       const res = await request(app)
         .post(`/api/relationships/${pendingBreakupRel._id}/confirm-breakup`)
         .set('Authorization', `Bearer ${user2Token}`);
-      expect(res.statusCode).toEqual(400);
-      expect(res.body.message).toEqual('Relationship is not in breakup request state');
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.message).toEqual('Cannot confirm the breakup: the relationship has ended');
     });
 
-    it('should return 400 if user tries to confirm their own breakup request', async () => {
+    it('should return 403 if user tries to confirm their own breakup request', async () => {
       // Create another pending breakup where user1 is the requester
       const selfRequestedBreakup = await Relationship.create({
         initiator: testUsers[1]._id,
@@ -224,7 +331,7 @@ describe('Relationship API', () => {
       const res = await request(app)
         .post(`/api/relationships/${selfRequestedBreakup._id}/confirm-breakup`)
         .set('Authorization', `Bearer ${user2Token}`); // user2 is initiator here, trying to confirm their own request
-      expect(res.statusCode).toEqual(400);
+      expect(res.statusCode).toEqual(403);
       expect(res.body.message).toEqual('You cannot confirm your own breakup request');
     });
   });
@@ -263,7 +370,7 @@ describe('Relationship API', () => {
       expect(notification).toBeDefined();
     });
 
-    it('should return 400 if no breakup request is pending', async () => {
+    it('should return 409 if no breakup request is pending', async () => {
       // Change status to active
       cancelableBreakupRel.status = 'active';
       await cancelableBreakupRel.save();
@@ -271,12 +378,12 @@ describe('Relationship API', () => {
       const res = await request(app)
         .post(`/api/relationships/${cancelableBreakupRel._id}/cancel-breakup-request`)
         .set('Authorization', `Bearer ${token}`);
-      expect(res.statusCode).toEqual(400);
-      expect(res.body.message).toEqual('No breakup request pending for this relationship');
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.message).toEqual('Cannot cancel the breakup request: the relationship is active');
     });
 
     it('should return 403 if non-initiator tries to cancel', async () => {
-      const user2Token = jwt.sign({ userId: testUsers[1]._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+      const user2Token = await signIn(testUsers[1]._id);
       const res = await request(app)
         .post(`/api/relationships/${cancelableBreakupRel._id}/cancel-breakup-request`)
         .set('Authorization', `Bearer ${user2Token}`); // user2 is partner, not initiator
@@ -284,4 +391,451 @@ describe('Relationship API', () => {
       expect(res.body.message).toEqual('Only the initiator can cancel the breakup request');
     });
   });
+
+  // Test cases for rekindling
+  describe('POST /api/relationships/:id/rekindle', () => {
+    let formerPartner;
+    let formerPartnerToken;
+    let endedRel;
+
+    beforeAll(async () => {
+      formerPartner = await User.create({ username: 'user5', email: 'user5@example.com', password: 'password123', firstName: 'Test', lastName: 'User5', emailVerified: true });
+      formerPartnerToken = await signIn(formerPartner._id);
+      endedRel = await Relationship.create({
+        initiator: testUsers[0]._id,
+        partner: formerPartner._id,
+        title: 'Old Friendship',
+        type: 'friend',
+        status: 'ended',
+        endDate: new Date()
+      });
+    });
+
+    it('should point to rekindling instead of creating a duplicate', async () => {
+      const res = await request(app)
+        .post('/api/relationships')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ partnerEmail: formerPartner.email, title: 'New Friendship', type: 'friend' });
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.relationshipId).toEqual(endedRel._id.toString());
+    });
+
+    it('should start a new chapter once the other partner accepts', async () => {
+      const requested = await request(app)
+        .post(`/api/relationships/${endedRel._id}/rekindle`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Friends Again' });
+      expect(requested.statusCode).toEqual(200);
+      expect(requested.body.relationship.status).toEqual('requested_rekindle');
+
+      const accepted = await request(app)
+        .post(`/api/relationships/${endedRel._id}/accept`)
+        .set('Authorization', `Bearer ${formerPartnerToken}`);
+      expect(accepted.statusCode).toEqual(200);
+      expect(accepted.body.relationship.status).toEqual('active');
+      expect(accepted.body.relationship.title).toEqual('Friends Again');
+      expect(accepted.body.relationship.chapter).toEqual(2);
+      expect(accepted.body.relationship.chapters[0].title).toEqual('Old Friendship');
+
+      const event = await RelationshipHistory.findOne({ relationshipId: endedRel._id, eventType: 'rekindled' });
+      expect(event.details.chapter).toEqual(2);
+    });
+
+    it('should not let a blocked ex-partner ask to rekindle', async () => {
+      const blocker = await User.create({ username: 'user6', email: 'user6@example.com', password: 'password123', firstName: 'Test', lastName: 'User6', emailVerified: true });
+      const blockedRel = await Relationship.create({
+        initiator: testUsers[0]._id,
+        partner: blocker._id,
+        title: 'Over',
+        type: 'friend',
+        status: 'ended',
+        endDate: new Date()
+      });
+      await Block.create({ blocker: blocker._id, blocked: testUsers[0]._id });
+
+      const res = await request(app)
+        .post(`/api/relationships/${blockedRel._id}/rekindle`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({});
+      expect(res.statusCode).toEqual(404);
+
+      const unchanged = await Relationship.findById(blockedRel._id);
+      expect(unchanged.status).toEqual('ended');
+    });
+  });
+
+  // Test cases for group relationships
+  describe('POST /api/relationships/groups', () => {
+    let group;
+
+    it('should create a group and invite members by email', async () => {
+      const res = await request(app)
+        .post('/api/relationships/groups')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Family', memberEmails: [testUsers[1].email, testUsers[2].email, 'nobody@example.com'] });
+      expect(res.statusCode).toEqual(201);
+      expect(res.body.relationship.kind).toEqual('group');
+      expect(res.body.invitedCount).toEqual(2);
+      expect(res.body.relationship.members.map(member => member.status)).toEqual(['active', 'invited', 'invited']);
+      group = res.body.relationship;
+    });
+
+    it('should let an invited member join through the accept endpoint', async () => {
+      const memberToken = await signIn(testUsers[1]._id);
+      const res = await request(app)
+        .post(`/api/relationships/${group._id}/accept`)
+        .set('Authorization', `Bearer ${memberToken}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.relationship.members[1].status).toEqual('active');
+
+      const notification = await Notification.findOne({ recipient: testUsers[0]._id, type: 'relationship_accepted', 'metadata.relationshipId': group._id });
+      expect(notification).not.toBeNull();
+    });
+
+    it('should reject two-person transitions on a group', async () => {
+      const res = await request(app)
+        .post(`/api/relationships/${group._id}/request-breakup`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.message).toEqual('Cannot request a breakup: this is a group relationship');
+    });
+
+    it('should not let a plain member remove someone else', async () => {
+      const memberToken = await signIn(testUsers[1]._id);
+      const res = await request(app)
+        .delete(`/api/relationships/${group._id}/members/${testUsers[2]._id}`)
+        .set('Authorization', `Bearer ${memberToken}`);
+      expect(res.statusCode).toEqual(403);
+      expect(res.body.message).toEqual('You cannot remove this member');
+    });
+
+    it('should keep a member who declined out of the group', async () => {
+      const declinerToken = await signIn(testUsers[2]._id);
+      const declined = await request(app)
+        .post(`/api/relationships/${group._id}/decline`)
+        .set('Authorization', `Bearer ${declinerToken}`);
+      expect(declined.statusCode).toEqual(200);
+
+      const joined = await request(app)
+        .post(`/api/relationships/${group._id}/accept`)
+        .set('Authorization', `Bearer ${declinerToken}`);
+      expect(joined.statusCode).toEqual(409);
+
+      const res = await request(app)
+        .get(`/api/relationships/${group._id}`)
+        .set('Authorization', `Bearer ${declinerToken}`);
+      expect(res.statusCode).toEqual(403);
+    });
+
+    it('should stop listing a group for its creator once they have left', async () => {
+      const handover = await request(app)
+        .put(`/api/relationships/${group._id}/members/${testUsers[1]._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: 'owner' });
+      expect(handover.statusCode).toEqual(200);
+
+      const left = await request(app)
+        .delete(`/api/relationships/${group._id}/members/${testUsers[0]._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(left.statusCode).toEqual(200);
+
+      const res = await request(app)
+        .get('/api/relationships')
+        .set('Authorization', `Bearer ${token}`);
+      expect(res.body.relationships.map(relationship => relationship._id)).not.toContain(group._id);
+    });
+  });
+
+  // Test cases for change proposals
+  describe('POST /api/relationships/:id/proposals/:proposalId/counter', () => {
+    it('should apply a countered type upgrade once the proposer accepts it', async () => {
+      const partnerToken = await signIn(testUsers[1]._id);
+      const proposed = await request(app)
+        .put(`/api/relationships/${testRelationships[0]._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ type: 'partner' });
+      expect(proposed.statusCode).toEqual(202);
+      expect(proposed.body.relationship.type).toEqual('friend');
+
+      const countered = await request(app)
+        .post(`/api/relationships/${testRelationships[0]._id}/proposals/${proposed.body.proposal._id}/counter`)
+        .set('Authorization', `Bearer ${partnerToken}`)
+        .send({ type: 'engaged' });
+      expect(countered.statusCode).toEqual(201);
+
+      const accepted = await request(app)
+        .post(`/api/relationships/${testRelationships[0]._id}/proposals/${countered.body.proposal._id}/accept`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(accepted.statusCode).toEqual(200);
+      expect(accepted.body.relationship.type).toEqual('engaged');
+
+      const event = await RelationshipHistory.findOne({ relationshipId: testRelationships[0]._id, eventType: 'change_accepted' });
+      expect(event.details.changes).toEqual({ type: 'engaged' });
+    });
+
+    it('should keep the other edits when a change is already waiting for an answer', async () => {
+      const proposed = await request(app)
+        .put(`/api/relationships/${testRelationships[0]._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ type: 'married' });
+      expect(proposed.statusCode).toEqual(202);
+
+      const res = await request(app)
+        .put(`/api/relationships/${testRelationships[0]._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ type: 'partner', tags: ['travel'] });
+      expect(res.statusCode).toEqual(409);
+      expect(res.body.applied).toEqual(['tags']);
+
+      const relationship = await Relationship.findById(testRelationships[0]._id);
+      expect([...relationship.tags]).toEqual(['travel']);
+      expect(relationship.type).toEqual('engaged');
+
+      const canceled = await request(app)
+        .delete(`/api/relationships/${testRelationships[0]._id}/proposals/${proposed.body.proposal._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(canceled.statusCode).toEqual(200);
+    });
+
+    it('should only let one of two simultaneous answers through', async () => {
+      const partnerToken = await signIn(testUsers[1]._id);
+      const proposed = await request(app)
+        .put(`/api/relationships/${testRelationships[0]._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Best Friends' });
+      expect(proposed.statusCode).toEqual(202);
+
+      const accept = () => request(app)
+        .post(`/api/relationships/${testRelationships[0]._id}/proposals/${proposed.body.proposal._id}/accept`)
+        .set('Authorization', `Bearer ${partnerToken}`);
+      const answers = await Promise.all([accept(), accept()]);
+      expect(answers.map(res => res.statusCode).sort()).toEqual([200, 409]);
+
+      const relationship = await Relationship.findById(testRelationships[0]._id);
+      expect(relationship.title).toEqual('Best Friends');
+      const events = await RelationshipHistory.find({ relationshipId: testRelationships[0]._id, eventType: 'change_accepted' });
+      expect(events.filter(event => String(event.details.proposalId) === proposed.body.proposal._id)).toHaveLength(1);
+    });
+
+    it('should not accept a proposal that has already been countered', async () => {
+      const partnerToken = await signIn(testUsers[1]._id);
+      const proposed = await request(app)
+        .put(`/api/relationships/${testRelationships[0]._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Since school' });
+      expect(proposed.statusCode).toEqual(202);
+
+      const countered = await request(app)
+        .post(`/api/relationships/${testRelationships[0]._id}/proposals/${proposed.body.proposal._id}/counter`)
+        .set('Authorization', `Bearer ${partnerToken}`)
+        .send({ description: 'Since college' });
+      expect(countered.statusCode).toEqual(201);
+
+      const late = await request(app)
+        .post(`/api/relationships/${testRelationships[0]._id}/proposals/${proposed.body.proposal._id}/accept`)
+        .set('Authorization', `Bearer ${partnerToken}`);
+      expect(late.statusCode).toEqual(409);
+      expect(late.body.status).toEqual('countered');
+
+      const rejected = await request(app)
+        .post(`/api/relationships/${testRelationships[0]._id}/proposals/${countered.body.proposal._id}/reject`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(rejected.statusCode).toEqual(200);
+    });
+  });
+
+  // Test cases for member permissions
+  describe('PUT /api/relationships/:id/permissions', () => {
+    it('should apply a permission change once the partner consents', async () => {
+      const partnerToken = await signIn(testUsers[1]._id);
+      const requested = await request(app)
+        .put(`/api/relationships/${testRelationships[0]._id}/permissions`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ userId: testUsers[0]._id, permissions: { editProfile: false } });
+      expect(requested.statusCode).toEqual(202);
+
+      const approved = await request(app)
+        .post(`/api/relationships/${testRelationships[0]._id}/proposals/${requested.body.proposal._id}/accept`)
+        .set('Authorization', `Bearer ${partnerToken}`);
+      expect(approved.statusCode).toEqual(200);
+
+      const res = await request(app)
+        .put(`/api/relationships/${testRelationships[0]._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Renamed' });
+      expect(res.statusCode).toEqual(403);
+      expect(res.body.permission).toEqual('editProfile');
+    });
+
+    it('should apply a permission change once the other partner accepts it', async () => {
+      const partnerToken = await signIn(testUsers[1]._id);
+      const requested = await request(app)
+        .put(`/api/relationships/${testRelationships[0]._id}/permissions`)
+        .set('Authorization', `Bearer ${partnerToken}`)
+        .send({ userId: testUsers[1]._id, permissions: { createTerms: false } });
+      expect(requested.statusCode).toEqual(202);
+
+      const approved = await request(app)
+        .post(`/api/relationships/${testRelationships[0]._id}/proposals/${requested.body.proposal._id}/accept`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(approved.statusCode).toEqual(200);
+
+      const res = await request(app)
+        .get(`/api/relationships/${testRelationships[0]._id}/permissions`)
+        .set('Authorization', `Bearer ${token}`);
+      const partnerPermissions = res.body.permissions.find(entry => entry.user === testUsers[1]._id.toString());
+      expect(partnerPermissions.createTerms).toBe(false);
+    });
+
+    it('should refuse to create terms without the permission', async () => {
+      const partnerToken = await signIn(testUsers[1]._id);
+      const res = await request(app)
+        .post('/api/terms')
+        .set('Authorization', `Bearer ${partnerToken}`)
+        .send({ relationshipId: testRelationships[0]._id, title: 'Call weekly', description: 'At least once a week', category: 'communication' });
+      expect(res.statusCode).toEqual(403);
+      expect(res.body.permission).toEqual('createTerms');
+    });
+
+    it('should let the members of a newly accepted relationship read its history', async () => {
+      const newPartner = await User.create({ username: 'user6', email: 'user6@example.com', password: 'password123', firstName: 'Test', lastName: 'User6', emailVerified: true });
+      const newPartnerToken = await signIn(newPartner._id);
+      const created = await request(app)
+        .post('/api/relationships')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ partnerEmail: newPartner.email, title: 'New Friendship', type: 'friend' });
+      expect(created.statusCode).toEqual(201);
+
+      const accepted = await request(app)
+        .post(`/api/relationships/${created.body.relationship._id}/accept`)
+        .set('Authorization', `Bearer ${newPartnerToken}`);
+      expect(accepted.statusCode).toEqual(200);
+
+      for (const memberToken of [token, newPartnerToken]) {
+        const history = await request(app)
+          .get(`/api/relationships/${created.body.relationship._id}/history`)
+          .set('Authorization', `Bearer ${memberToken}`);
+        expect(history.statusCode).toEqual(200);
+      }
+    });
+
+    it('should close relationship history to a member once viewing it is turned off', async () => {
+      const partnerToken = await signIn(testUsers[1]._id);
+      const open = await request(app)
+        .get(`/api/relationships/${testRelationships[0]._id}/history`)
+        .set('Authorization', `Bearer ${partnerToken}`);
+      expect(open.statusCode).toEqual(200);
+
+      const requested = await request(app)
+        .put(`/api/relationships/${testRelationships[0]._id}/permissions`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ userId: testUsers[1]._id, permissions: { viewHistory: false } });
+      expect(requested.statusCode).toEqual(202);
+
+      const approved = await request(app)
+        .post(`/api/relationships/${testRelationships[0]._id}/proposals/${requested.body.proposal._id}/accept`)
+        .set('Authorization', `Bearer ${partnerToken}`);
+      expect(approved.statusCode).toEqual(200);
+
+      const closed = await request(app)
+        .get(`/api/relationships/${testRelationships[0]._id}/history`)
+        .set('Authorization', `Bearer ${partnerToken}`);
+      expect(closed.statusCode).toEqual(403);
+      expect(closed.body.permission).toEqual('viewHistory');
+    });
+  });
+
+  // Test cases for relationship health
+  describe('GET /api/relationships/:id/health', () => {
+    it('should explain the score from recent activity', async () => {
+      await Activity.create([
+        { relationship: testRelationships[0]._id, createdBy: testUsers[0]._id, title: 'Argument', type: 'conflict', category: 'communication', mood: 'negative' },
+        { relationship: testRelationships[0]._id, createdBy: testUsers[1]._id, title: 'Talked it out', type: 'resolution', category: 'communication', mood: 'positive' }
+      ]);
+
+      const res = await request(app)
+        .get(`/api/relationships/${testRelationships[0]._id}/health`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.health.communicationFrequency).toEqual('monthly');
+      const conflicts = res.body.health.breakdown.find(entry => entry.factor === 'conflicts');
+      expect(conflicts.value).toEqual({ conflicts: 1, resolutions: 1 });
+      expect(conflicts.impact).toEqual(-1);
+    });
+
+    it('should not show the health of a relationship the user is not part of', async () => {
+      const outsiderToken = await signIn(testUsers[2]._id);
+      const res = await request(app)
+        .get(`/api/relationships/${testRelationships[0]._id}/health`)
+        .set('Authorization', `Bearer ${outsiderToken}`);
+      expect(res.statusCode).toEqual(403);
+    });
+  });
+
+  // Test cases for history access between users
+  describe('POST /api/relationships/history/:userId/access', () => {
+    let ownerToken;
+
+    beforeAll(async () => {
+      await User.updateOne({ _id: testUsers[2]._id }, { historyPrivacy: 'granted_only' });
+      ownerToken = await signIn(testUsers[2]._id);
+    });
+
+    it('should show the history while a grant lasts', async () => {
+      const requested = await request(app)
+        .post(`/api/relationships/history/${testUsers[2]._id}/access`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ message: 'Can I see?' });
+      expect(requested.statusCode).toEqual(201);
+
+      const closed = await request(app)
+        .get(`/api/relationships/history/${testUsers[2]._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(closed.statusCode).toEqual(403);
+
+      const granted = await request(app)
+        .post(`/api/relationships/history/access/${requested.body.request._id}/grant`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ durationDays: 1 });
+      expect(granted.statusCode).toEqual(200);
+
+      const open = await request(app)
+        .get(`/api/relationships/history/${testUsers[2]._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(open.statusCode).toEqual(200);
+
+      // Expired grants stop working even before the nightly job marks them
+      await HistoryAccessGrant.updateOne({ _id: requested.body.request._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+      const expired = await request(app)
+        .get(`/api/relationships/history/${testUsers[2]._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(expired.statusCode).toEqual(403);
+    });
+
+    it('should keep the history closed and hold off new requests after a denial', async () => {
+      const requesterToken = await signIn(testUsers[1]._id);
+      const requested = await request(app)
+        .post(`/api/relationships/history/${testUsers[2]._id}/access`)
+        .set('Authorization', `Bearer ${requesterToken}`)
+        .send({});
+      expect(requested.statusCode).toEqual(201);
+
+      const denied = await request(app)
+        .post(`/api/relationships/history/access/${requested.body.request._id}/deny`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+      expect(denied.statusCode).toEqual(200);
+
+      const res = await request(app)
+        .get(`/api/relationships/history/${testUsers[2]._id}`)
+        .set('Authorization', `Bearer ${requesterToken}`);
+      expect(res.statusCode).toEqual(403);
+
+      const again = await request(app)
+        .post(`/api/relationships/history/${testUsers[2]._id}/access`)
+        .set('Authorization', `Bearer ${requesterToken}`)
+        .send({});
+      expect(again.statusCode).toEqual(429);
+    });
+  });
 });
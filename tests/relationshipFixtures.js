@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+import Relationship from '../models/Relationship.js';
+
+// Relationships as if loaded from the database, for tests that don't need one
+export const initiator = new mongoose.Types.ObjectId();
+export const partner = new mongoose.Types.ObjectId();
+
+export const owner = new mongoose.Types.ObjectId();
+export const admin = new mongoose.Types.ObjectId();
+export const member = new mongoose.Types.ObjectId();
+export const invitee = new mongoose.Types.ObjectId();
+
+// An active friendship between `initiator` and `partner`
+export const buildRelationship = (fields) => Relationship.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  initiator,
+  partner,
+  title: 'Friendship',
+  type: 'friend',
+  status: 'active',
+  ...fields
+});
+
+// An active group with an owner, an admin, a member and someone still invited
+export const buildGroup = (fields) => Relationship.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  kind: 'group',
+  initiator: owner,
+  title: 'Family',
+  type: 'family',
+  status: 'active',
+  members: [
+    { user: owner, role: 'owner', status: 'active' },
+    { user: admin, role: 'admin', status: 'active' },
+    { user: member, role: 'member', status: 'active' },
+    { user: invitee, role: 'member', status: 'invited' }
+  ],
+  ...fields
+});
@@ -0,0 +1,98 @@
+import { computeHealth, getCommunicationFrequency, HEALTH_WEIGHTS, BASE_TRUST_LEVEL } from '../services/relationshipHealth.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2026-06-30T12:00:00Z');
+const daysAgo = (days) => new Date(now - days * DAY);
+const since = daysAgo(90);
+const longAgo = daysAgo(400);
+
+const activity = (days, fields = {}) => ({ type: 'conversation', createdAt: daysAgo(days), ...fields });
+const factor = (health, name) => health.breakdown.find(entry => entry.factor === name);
+
+describe('relationship health', () => {
+  it('should start from the baseline when there are no signals', () => {
+    const health = computeHealth({ since, startedAt: daysAgo(5), now });
+
+    expect(health.trustLevel).toBe(BASE_TRUST_LEVEL);
+    expect(health.communicationFrequency).toBe('occasionally');
+    expect(health.breakdown.every(entry => entry.impact === 0)).toBe(true);
+  });
+
+  it('should derive communication frequency from days with activity', () => {
+    const everyOtherDay = Array.from({ length: 15 }, (_, i) => activity(i * 2));
+
+    expect(getCommunicationFrequency(everyOtherDay, longAgo, now).frequency).toBe('daily');
+    expect(getCommunicationFrequency([activity(1), activity(8), activity(15), activity(22)], longAgo, now).frequency).toBe('weekly');
+    expect(getCommunicationFrequency([activity(10)], longAgo, now).frequency).toBe('monthly');
+    expect(getCommunicationFrequency([activity(60)], longAgo, now).frequency).toBe('occasionally');
+    expect(getCommunicationFrequency([], longAgo, now).frequency).toBe('rarely');
+  });
+
+  it('should let resolutions make up for most of a conflict', () => {
+    const health = computeHealth({
+      activities: [activity(3, { type: 'conflict' }), activity(2, { type: 'conflict' }), activity(1, { type: 'resolution' })],
+      since,
+      startedAt: longAgo,
+      now
+    });
+
+    expect(factor(health, 'conflicts').impact).toBe(2 * HEALTH_WEIGHTS.conflict + HEALTH_WEIGHTS.resolution);
+  });
+
+  it('should weigh violations by severity and ignore ones outside the window', () => {
+    const health = computeHealth({
+      terms: [{
+        violations: [
+          { severity: 'severe', reportedAt: daysAgo(3) },
+          { severity: 'moderate', reportedAt: daysAgo(10), resolved: true },
+          { severity: 'major', reportedAt: daysAgo(200) }
+        ]
+      }],
+      since,
+      startedAt: longAgo,
+      now
+    });
+
+    expect(factor(health, 'violations').impact).toBe(Math.round(HEALTH_WEIGHTS.violation.severe + HEALTH_WEIGHTS.violation.moderate / 2));
+    expect(factor(health, 'violations').value).toEqual({ moderate: 1, severe: 1 });
+  });
+
+  it('should count completed and overdue milestones', () => {
+    const health = computeHealth({
+      milestones: [
+        { status: 'completed', completedDate: daysAgo(5) },
+        { status: 'completed', completedDate: daysAgo(6) },
+        { status: 'in_progress', targetDate: daysAgo(1) },
+        { status: 'pending', targetDate: daysAgo(-10) }
+      ],
+      since,
+      startedAt: longAgo,
+      now
+    });
+
+    expect(factor(health, 'milestones').value).toEqual({ completed: 2, overdue: 1 });
+    expect(factor(health, 'milestones').impact).toBe(2 * HEALTH_WEIGHTS.milestoneCompleted + HEALTH_WEIGHTS.milestoneOverdue);
+  });
+
+  it('should cap reported trust changes and keep the score within 0-100', () => {
+    const activities = Array.from({ length: 20 }, (_, i) => activity(i, { mood: 'very_positive', impact: { trustChange: 10 } }));
+    const health = computeHealth({ activities, baseline: 95, since, startedAt: longAgo, now });
+
+    expect(factor(health, 'reported').impact).toBe(HEALTH_WEIGHTS.reportedImpactCap);
+    expect(health.trustLevel).toBe(100);
+  });
+
+  it('should list what moved the score most first, with an explanation', () => {
+    const health = computeHealth({
+      activities: [activity(1, { mood: 'negative' }), activity(2, { type: 'conflict', mood: 'negative' })],
+      terms: [{ violations: [{ severity: 'major', reportedAt: daysAgo(2) }] }],
+      since,
+      startedAt: longAgo,
+      now
+    });
+
+    expect(health.breakdown[0].factor).toBe('violations');
+    expect(health.breakdown[0].explanation).toMatch(/1 major .*: -10$/);
+    expect(health.trustLevel).toBe(BASE_TRUST_LEVEL + health.breakdown.reduce((sum, entry) => sum + entry.impact, 0));
+  });
+});
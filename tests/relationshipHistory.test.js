@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import Relationship from '../models/Relationship.js';
+import { snapshotRelationship, diffSnapshots, getStatusEvent } from '../services/relationshipHistory.js';
+
+const loadRelationship = () => Relationship.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  initiator: new mongoose.Types.ObjectId(),
+  partner: new mongoose.Types.ObjectId(),
+  title: 'Friendship',
+  type: 'friend',
+  status: 'active',
+  privacy: 'private',
+  tags: ['school'],
+  customFields: { meetingPlace: 'Library' }
+});
+
+describe('relationship history', () => {
+  it('should snapshot relationships when they are loaded', () => {
+    const relationship = loadRelationship();
+
+    expect(relationship.$locals.snapshot.title).toEqual('Friendship');
+    expect(relationship.$locals.snapshot.status).toEqual('active');
+  });
+
+  it('should describe changes as a field-level diff', () => {
+    const relationship = loadRelationship();
+    relationship.title = 'Best Friendship';
+    relationship.tags.push('work');
+    relationship.customFields.meetingPlace = 'Cafe';
+
+    const changes = diffSnapshots(relationship.$locals.snapshot, snapshotRelationship(relationship));
+
+    expect(changes).toEqual({
+      title: { from: 'Friendship', to: 'Best Friendship' },
+      tags: { from: ['school'], to: ['school', 'work'] },
+      'customFields.meetingPlace': { from: 'Library', to: 'Cafe' }
+    });
+  });
+
+  it('should leave status changes out of the diff', () => {
+    const relationship = loadRelationship();
+    relationship.status = 'archived';
+    relationship.endDate = new Date();
+
+    expect(diffSnapshots(relationship.$locals.snapshot, snapshotRelationship(relationship))).toEqual({});
+  });
+
+  it('should map status transitions to lifecycle events', () => {
+    expect(getStatusEvent('pending', 'active')).toEqual('accepted');
+    expect(getStatusEvent('active', 'requested_breakup')).toEqual('breakup_requested');
+    expect(getStatusEvent('requested_breakup', 'ended')).toEqual('breakup_confirmed');
+    expect(getStatusEvent('requested_breakup', 'active')).toEqual('breakup_request_canceled');
+    expect(getStatusEvent('active', 'ended')).toEqual('ended');
+    expect(getStatusEvent('active', 'archived')).toEqual('archived');
+    expect(getStatusEvent('active', 'active')).toBeNull();
+  });
+});
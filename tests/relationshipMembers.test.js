@@ -0,0 +1,44 @@
+import Term from '../models/Term.js';
+import { getTransitionError } from '../services/relationshipStateMachine.js';
+import { owner, admin, member, invitee, partner, buildRelationship, buildGroup } from './relationshipFixtures.js';
+
+describe('group relationships', () => {
+  it('should count only joined members as part of the group', () => {
+    const group = buildGroup();
+
+    expect(group.includesUser(member)).toBe(true);
+    expect(group.includesUser(invitee)).toBe(false);
+    expect(group.getMember(invitee).status).toEqual('invited');
+    expect(group.countActiveMembers()).toEqual(3);
+    expect(group.getOtherMembers(owner).map(String)).toEqual([admin, member].map(String));
+  });
+
+  it('should derive the members of a pair from initiator and partner', () => {
+    const pair = buildRelationship({ initiator: owner, status: 'pending' });
+
+    expect(pair.getMembers().map(entry => entry.status)).toEqual(['active', 'invited']);
+    expect(pair.getOtherMembers(owner).map(String)).toEqual([partner.toString()]);
+    expect(pair.countActiveMembers()).toEqual(1);
+  });
+
+  it('should keep two-person transitions away from groups', () => {
+    const group = buildGroup();
+
+    expect(getTransitionError(group, 'request_breakup', owner).message).toEqual('Cannot request a breakup: this is a group relationship');
+    expect(getTransitionError(group, 'archive', member).status).toEqual(403);
+    expect(getTransitionError(group, 'archive', admin)).toBeNull();
+    expect(getTransitionError(group, 'archive', invitee).message).toEqual('Access denied');
+  });
+
+  it('should need as many agreements as the term requires', () => {
+    const agreement = (user) => ({ user, agreedAt: new Date() });
+    const pairTerm = Term.hydrate({ agreedBy: [agreement(owner), agreement(member)] });
+    const groupTerm = Term.hydrate({ requiredAgreements: 3, agreedBy: [agreement(owner), agreement(member)] });
+
+    expect(pairTerm.isFullyAgreed).toBe(true);
+    expect(groupTerm.isFullyAgreed).toBe(false);
+
+    groupTerm.agreedBy.push(agreement(admin));
+    expect(groupTerm.isFullyAgreed).toBe(true);
+  });
+});
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+import { getApprovers, applyPermissionChanges } from '../services/relationshipPermissions.js';
+import { initiator, partner, buildRelationship } from './relationshipFixtures.js';
+
+describe('relationship permissions', () => {
+  it('should allow everything until a permission is turned off', () => {
+    const relationship = buildRelationship();
+
+    expect(relationship.can(partner, 'viewHistory')).toBe(true);
+    expect(relationship.can(partner, 'editProfile')).toBe(true);
+
+    applyPermissionChanges(relationship, partner, { viewHistory: false });
+
+    expect(relationship.can(partner, 'viewHistory')).toBe(false);
+
+    applyPermissionChanges(relationship, partner, { createTerms: false });
+
+    expect(relationship.can(partner, 'createTerms')).toBe(false);
+    expect(relationship.can(partner, 'createActivities')).toBe(true);
+    expect(relationship.can(initiator, 'createTerms')).toBe(true);
+    expect(relationship.can(new mongoose.Types.ObjectId(), 'createActivities')).toBe(false);
+  });
+
+  it('should ask the affected member, or the partner when changing your own', () => {
+    const relationship = buildRelationship();
+
+    expect(getApprovers(relationship, { requestedBy: initiator, user: partner })).toEqual([partner.toString()]);
+    expect(getApprovers(relationship, { requestedBy: initiator, user: initiator })).toEqual([partner.toString()]);
+  });
+});
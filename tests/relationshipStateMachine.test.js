@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import { getTransitionError, getAvailableTransitions } from '../services/relationshipStateMachine.js';
+import { initiator, partner, buildRelationship } from './relationshipFixtures.js';
+
+describe('relationship state machine', () => {
+  it('should reject moves the table does not allow with a 409', () => {
+    const relationship = buildRelationship({ status: 'ended' });
+
+    const error = getTransitionError(relationship, 'request_breakup', initiator);
+
+    expect(error.status).toEqual(409);
+    expect(error.message).toEqual('Cannot request a breakup: the relationship has ended');
+    expect(error.details).toEqual({ currentStatus: 'ended', transition: 'request_breakup' });
+  });
+
+  it('should apply the same actor guards to both members', () => {
+    const pending = buildRelationship({ status: 'pending' });
+    expect(getTransitionError(pending, 'accept', initiator).status).toEqual(403);
+    expect(getTransitionError(pending, 'accept', partner)).toBeNull();
+
+    const breakup = buildRelationship({ status: 'requested_breakup', breakupRequestedBy: partner });
+    expect(getTransitionError(breakup, 'confirm_breakup', partner).message).toEqual('You cannot confirm your own breakup request');
+    expect(getTransitionError(breakup, 'confirm_breakup', initiator)).toBeNull();
+    expect(getTransitionError(breakup, 'cancel_breakup', initiator).status).toEqual(403);
+  });
+
+  it('should let only the other member answer a rekindle request', () => {
+    const relationship = buildRelationship({
+      status: 'requested_rekindle',
+      rekindleRequest: { requestedBy: initiator, previousStatus: 'archived' }
+    });
+
+    expect(getTransitionError(relationship, 'accept_rekindle', initiator).status).toEqual(403);
+    expect(getTransitionError(relationship, 'accept_rekindle', partner)).toBeNull();
+    expect(getTransitionError(relationship, 'cancel_rekindle', partner).status).toEqual(403);
+  });
+
+  it('should refuse transitions from people outside the relationship', () => {
+    const relationship = buildRelationship({ status: 'active' });
+
+    expect(getTransitionError(relationship, 'archive', new mongoose.Types.ObjectId()).status).toEqual(403);
+  });
+
+  it('should list what a member can do next', () => {
+    expect(getAvailableTransitions(buildRelationship({ status: 'pending' }), partner)).toEqual(['accept', 'decline']);
+    expect(getAvailableTransitions(buildRelationship({ status: 'pending' }), initiator)).toEqual(['cancel_invitation']);
+    expect(getAvailableTransitions(buildRelationship({ status: 'active' }), initiator)).toEqual(['request_breakup', 'archive']);
+    expect(getAvailableTransitions(buildRelationship({ status: 'ended' }), partner)).toEqual(['request_rekindle', 'remove']);
+  });
+});
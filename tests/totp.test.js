@@ -0,0 +1,57 @@
+import { base32Encode, base32Decode, generateTotp, verifyTotp, getTimeStep, buildOtpauthUri } from '../utils/totp.js';
+import { confirmIdentity, openTwoFactorChallenge } from '../services/loginSecurity.js';
+import { signPurposeToken } from '../services/authTokens.js';
+
+// RFC 6238 Appendix B uses the ASCII secret "12345678901234567890" with SHA-1
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('totp', () => {
+  it('should round-trip base32 encoding', () => {
+    const buffer = Buffer.from('relationship');
+    expect(base32Decode(base32Encode(buffer)).equals(buffer)).toBe(true);
+  });
+
+  it('should match the RFC 6238 test vectors', () => {
+    expect(generateTotp(RFC_SECRET, { time: 59 * 1000, digits: 8 })).toEqual('94287082');
+    expect(generateTotp(RFC_SECRET, { time: 1111111109 * 1000, digits: 8 })).toEqual('07081804');
+    expect(generateTotp(RFC_SECRET, { time: 2000000000 * 1000, digits: 8 })).toEqual('69279037');
+  });
+
+  it('should accept codes within the drift window and return the matched step', () => {
+    const time = 1700000000 * 1000;
+    const previousCode = generateTotp(RFC_SECRET, { time: time - 30 * 1000 });
+
+    expect(verifyTotp(RFC_SECRET, previousCode, { time })).toEqual(getTimeStep(time) - 1);
+    expect(verifyTotp(RFC_SECRET, previousCode, { time, window: 0 })).toBeNull();
+  });
+
+  it('should reject malformed codes', () => {
+    expect(verifyTotp(RFC_SECRET, '12ab56')).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '')).toBeNull();
+  });
+
+  it('should build an otpauth URI for authenticator apps', () => {
+    const uri = buildOtpauthUri({ secret: RFC_SECRET, accountName: 'user1@example.com', issuer: 'RelationApp' });
+    expect(uri.startsWith('otpauth://totp/RelationApp%3Auser1%40example.com?')).toBe(true);
+    expect(uri).toContain(`secret=${RFC_SECRET}`);
+  });
+
+  it('should confirm an account without a password with a fresh authentication code', async () => {
+    const user = { hasPassword: false, twoFactor: { enabled: true, secret: RFC_SECRET } };
+    const req = { body: { code: generateTotp(RFC_SECRET) } };
+
+    expect(await confirmIdentity(user, req)).toBe(true);
+    // The same code can't confirm twice, and no session means no fresh sign-in
+    expect(await confirmIdentity(user, req)).toBe(false);
+  });
+
+  it('should refuse login challenges that are not tied to a stored challenge', async () => {
+    // Challenges issued without a jti can't have their attempts counted
+    const untracked = signPurposeToken({ userId: '507f1f77bcf86cd799439011' }, '2fa_challenge', '5m');
+    const wrongPurpose = signPurposeToken({ userId: '507f1f77bcf86cd799439011', jti: 'abc' }, 'email_verification', '5m');
+
+    expect(await openTwoFactorChallenge(untracked)).toBeNull();
+    expect(await openTwoFactorChallenge(wrongPurpose)).toBeNull();
+    expect(await openTwoFactorChallenge('not-a-token')).toBeNull();
+  });
+});
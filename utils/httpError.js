@@ -0,0 +1,10 @@
+// An expected failure with the status to answer with. Handlers pass it on to
+// the error handler, which sends the message and any details to the client.
+export class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
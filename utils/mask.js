@@ -0,0 +1,17 @@
+// Keeps just enough of an email for its owner to recognise it:
+// "jane.doe@example.com" becomes "j******e@e*****e.com"
+export const maskEmail = (email) => {
+  if (!email || !email.includes('@')) return '';
+
+  const [local, domain] = email.split('@');
+  const dot = domain.lastIndexOf('.');
+  const host = dot > 0 ? domain.slice(0, dot) : domain;
+  const tld = dot > 0 ? domain.slice(dot) : '';
+
+  return `${maskPart(local)}@${maskPart(host)}${tld}`;
+};
+
+const maskPart = (part) => {
+  if (part.length <= 2) return `${part[0] || ''}*`;
+  return `${part[0]}${'*'.repeat(part.length - 2)}${part[part.length - 1]}`;
+};
@@ -0,0 +1,11 @@
+import crypto from 'crypto';
+
+// Random, URL-safe token suitable for refresh tokens, reset links, etc.
+export const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Tokens are only ever persisted as SHA-256 hashes
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};